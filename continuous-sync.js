@@ -2,18 +2,23 @@
 
 /**
  * Continuous 5-Minute Sync
- * Runs every 5 minutes and pushes new Tally data to Railway SQLite
+ * Runs every 5 minutes and pushes new Tally data to Railway SQLite, removing rows deleted in Tally
  */
 
 const fs = require('fs');
 const http = require('http');
 const axios = require('axios');
 const yaml = require('js-yaml');
+const { syncDeletedData } = require('./sync-deletion');
 
 // Load configurations
 const config = JSON.parse(fs.readFileSync('./windows-client-config.json', 'utf8'));
 const tallyExportConfig = yaml.load(fs.readFileSync('./tally-export-config.yaml', 'utf8'));
 
+// Railway server accepts requests only with API key of company (railway.api_key of config, or RAILWAY_API_KEY)
+const railwayApiKey = process.env.RAILWAY_API_KEY || config.railway.api_key;
+if (railwayApiKey) axios.defaults.headers.common['X-API-Key'] = railwayApiKey;
+
 class ContinuousSync {
   constructor() {
     this.config = config;
@@ -106,23 +111,27 @@ class ContinuousSync {
       console.log(`   💼 Transaction AlterID: ${this.lastAlterIdTransaction} → ${tallyAlterIds.transaction} (${transactionChanged ? 'CHANGED' : 'unchanged'})`);
       
       let totalNewRecords = 0;
+      let totalDeletedRecords = 0; // deletion in Tally increments AlterID too, hence checked along with changes
       
       // Step 4: Sync changed data
       if (masterChanged) {
         console.log('\n📊 Syncing new/modified master data...');
         totalNewRecords += await this.syncIncrementalMasterData();
+        totalDeletedRecords += await this.syncDeletedData(this.masterTables);
         this.lastAlterIdMaster = tallyAlterIds.master;
       }
       
       if (transactionChanged) {
         console.log('\n💼 Syncing new/modified transaction data...');
         totalNewRecords += await this.syncIncrementalTransactionData();
+        totalDeletedRecords += await this.syncDeletedData(this.transactionTables);
         this.lastAlterIdTransaction = tallyAlterIds.transaction;
       }
       
       const duration = (Date.now() - startTime) / 1000;
       console.log(`\n✅ Sync Cycle #${this.syncCount} Completed:`);
       console.log(`   📊 New Records: ${totalNewRecords}`);
+      console.log(`   🗑️ Deleted Records: ${totalDeletedRecords}`);
       console.log(`   ⏱️  Duration: ${duration.toFixed(1)} seconds`);
       console.log(`   ⏰ Next sync: ${new Date(Date.now() + 5 * 60 * 1000).toLocaleString()}\n`);
       
@@ -305,6 +314,21 @@ class ContinuousSync {
     return jsonData.length;
   }
 
+  /**
+   * Remove rows deleted in Tally from Railway (see sync-deletion.js)
+   */
+  async syncDeletedData(lstTableConfig) {
+    return syncDeletedData(lstTableConfig, {
+      config: this.config,
+      transactionTables: this.transactionTables,
+      exportTable: (tableConfig) => this.postTallyXML(this.generateTDLXML(tableConfig)),
+      parseRows: (xmlData, tableConfig) => this.csvToJSON(this.processXMLToCSV(xmlData, tableConfig), tableConfig),
+      log: (message, level) => level === 'error' ? console.error(message) : console.log(message),
+      timeout: 30000,
+      batchSize: this.config.railway.batch_size || 500
+    });
+  }
+
   async pushToRailway(tableName, data) {
     const endpoint = `${this.config.railway.api_base}/api/v1/bulk-sync/${this.config.company.id}/${this.config.company.division_id}`;
     
@@ -3,7 +3,7 @@
 /**
  * Incremental Sync Engine
  * One-way incremental sync from Tally to Railway SQLite
- * Uses AlterID tracking to detect changes
+ * Uses AlterID tracking to detect changes, and GUID diff of Primary tables to detect deletions
  */
 
 const fs = require('fs');
@@ -11,12 +11,17 @@ const http = require('http');
 const axios = require('axios');
 const yaml = require('js-yaml');
 const path = require('path');
+const { syncDeletedData } = require('./sync-deletion');
 
 // Load configurations
 const config = JSON.parse(fs.readFileSync('./windows-client-config.json', 'utf8'));
 const incrementalConfig = JSON.parse(fs.readFileSync('./incremental-sync-config.json', 'utf8'));
 const tallyExportConfig = yaml.load(fs.readFileSync('./tally-export-config.yaml', 'utf8'));
 
+// API key issued by administrator of Railway server for this company (sent with every request to Railway server)
+const railwayApiKey = process.env.RAILWAY_API_KEY || config.railway.api_key;
+if (railwayApiKey) axios.defaults.headers.common['X-API-Key'] = railwayApiKey;
+
 class IncrementalSyncEngine {
   constructor() {
     this.config = config;
@@ -167,12 +172,14 @@ class IncrementalSyncEngine {
       this.log(`📊 Changes detected - Master: ${masterChanged}, Transaction: ${transactionChanged}`);
       
       let totalNewRecords = 0;
+      let totalDeletedRecords = 0; // deletion in Tally increments AlterID too, hence checked along with changes
       
       // Step 4: Sync changed master data
       if (masterChanged) {
         this.log('📊 Syncing changed master data...');
         const masterRecords = await this.syncChangedMasterData();
         totalNewRecords += masterRecords;
+        totalDeletedRecords += await this.syncDeletedData(this.masterTables);
         this.lastAlterIdMaster = tallyAlterIds.master;
       }
       
@@ -181,6 +188,7 @@ class IncrementalSyncEngine {
         this.log('💼 Syncing changed transaction data...');
         const transactionRecords = await this.syncChangedTransactionData();
         totalNewRecords += transactionRecords;
+        totalDeletedRecords += await this.syncDeletedData(this.transactionTables);
         this.lastAlterIdTransaction = tallyAlterIds.transaction;
       }
       
@@ -188,7 +196,7 @@ class IncrementalSyncEngine {
       await this.updateAlterIdsInRailway(tallyAlterIds);
       
       const syncDuration = (Date.now() - syncStartTime) / 1000;
-      this.log(`✅ Incremental sync completed: ${totalNewRecords} new records in ${syncDuration}s`);
+      this.log(`✅ Incremental sync completed: ${totalNewRecords} new records, ${totalDeletedRecords} deleted records in ${syncDuration}s`);
       
       // Notify on large changes
       if (totalNewRecords >= this.incrementalConfig.notifications.large_change_threshold) {
@@ -354,6 +362,21 @@ class IncrementalSyncEngine {
     return totalRecords;
   }
 
+  /**
+   * Remove rows deleted in Tally from Railway (see sync-deletion.js)
+   */
+  async syncDeletedData(lstTableConfig) {
+    return syncDeletedData(lstTableConfig, {
+      config: this.config,
+      transactionTables: this.transactionTables,
+      exportTable: (tableConfig) => this.postTallyXML(this.generateIncrementalTDLXML(tableConfig)),
+      parseRows: (xmlData, tableConfig) => this.csvToJSON(this.processXMLToCSV(xmlData, tableConfig), tableConfig),
+      log: (message, level) => this.log(message, level),
+      timeout: this.incrementalConfig.sync_settings.timeout_seconds * 1000,
+      batchSize: this.incrementalConfig.sync_settings.batch_size
+    });
+  }
+
   /**
    * Sync a single table (incremental)
    */
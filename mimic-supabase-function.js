@@ -11,18 +11,19 @@ const axios = require('axios');
 const API_URL = 'https://tally-sync-vyaapari360-railway-production.up.railway.app';
 const COMPANY_ID = '629f49fb-983e-4141-8c48-e1423b39e921';
 const DIVISION_ID = '37f3cc0c-58ad-4baf-b309-360116ffc3cd';
+if (process.env.RAILWAY_API_KEY) axios.defaults.headers.common['X-API-Key'] = process.env.RAILWAY_API_KEY;
 
 // Exact table mappings from Supabase function
 const TABLE_MAPPINGS = [
-  { apiTable: 'groups', supabaseTable: 'mst_group', endpoint: '/masters/groups', keyField: 'guid' },
-  { apiTable: 'ledgers', supabaseTable: 'mst_ledger', endpoint: '/masters/ledgers', keyField: 'guid' },
-  { apiTable: 'stock_items', supabaseTable: 'mst_stock_item', endpoint: '/masters/stock-items', keyField: 'guid' },
-  { apiTable: 'voucher_types', supabaseTable: 'mst_vouchertype', endpoint: '/masters/voucher-types', keyField: 'guid' },
-  { apiTable: 'cost_centers', supabaseTable: 'mst_cost_centre', endpoint: '/masters/cost-centers', keyField: 'guid' },
-  { apiTable: 'godowns', supabaseTable: 'mst_godown', endpoint: '/masters/godowns', keyField: 'guid' },
-  { apiTable: 'employees', supabaseTable: 'mst_employee', endpoint: '/masters/employees', keyField: 'guid' },
-  { apiTable: 'uoms', supabaseTable: 'mst_uom', endpoint: '/masters/uoms', keyField: 'guid' },
-  { apiTable: 'vouchers', supabaseTable: 'tally_trn_voucher', endpoint: '/vouchers', keyField: 'guid' },
+  { apiTable: 'groups', supabaseTable: 'mst_group', endpoint: '/api/v1/masters/groups', keyField: 'guid' },
+  { apiTable: 'ledgers', supabaseTable: 'mst_ledger', endpoint: '/api/v1/masters/ledgers', keyField: 'guid' },
+  { apiTable: 'stock_items', supabaseTable: 'mst_stock_item', endpoint: '/api/v1/masters/stock-items', keyField: 'guid' },
+  { apiTable: 'voucher_types', supabaseTable: 'mst_vouchertype', endpoint: '/api/v1/masters/voucher-types', keyField: 'guid' },
+  { apiTable: 'cost_centers', supabaseTable: 'mst_cost_centre', endpoint: '/api/v1/masters/cost-centers', keyField: 'guid' },
+  { apiTable: 'godowns', supabaseTable: 'mst_godown', endpoint: '/api/v1/masters/godowns', keyField: 'guid' },
+  { apiTable: 'employees', supabaseTable: 'mst_employee', endpoint: '/api/v1/masters/employees', keyField: 'guid' },
+  { apiTable: 'uoms', supabaseTable: 'mst_uom', endpoint: '/api/v1/masters/uoms', keyField: 'guid' },
+  { apiTable: 'vouchers', supabaseTable: 'tally_trn_voucher', endpoint: '/api/v1/vouchers', keyField: 'guid' },
   { apiTable: 'accounting', supabaseTable: 'trn_accounting', endpoint: '/accounting', keyField: 'guid' }
 ];
 
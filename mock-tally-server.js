@@ -0,0 +1,643 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Tally XML Server
+ * Stand-in for TallyPrime XML server (port 9000) to test extraction without Tally, e.g. on Linux / CI
+ *
+ * - Serves fixture companies from fixtures/tally/*.json, whose rows are keyed by table & column names of export definition (YAML)
+ * - Understands TDL envelopes generated by tally.generateXMLfromYAML(), company info / AlterID / list of company requests and status ping
+ * - Rows of table are identified by matching collection & field expressions of request with export definition
+ * - Honours "$AlterID > n" filter and SVFROMDATE / SVTODATE period for vouchers (derived rows follow their parent row)
+ * - Imports vouchers posted as "Import Data" envelope (validating voucher type, ledgers, stock items & totals like Tally)
+ * - Creates / alters ledgers, stock items & godowns posted as "Import Data" envelope (validating parent, unit & duplicate names)
+ * - Responds in UTF-16 like Tally, and can simulate closed companies, slow, stalled, empty, truncated and HTTP error responses
+ *
+ * Usage: node mock-tally-server.js [--port 9000] [--fixtures ./fixtures/tally] [--active "Company"] [--closed "Company"] [--delay ms] [--slow Voucher=ms] [--stall Voucher=days] [--truncate Voucher=days] [--empty Voucher] [--failure Voucher=status]
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const rootDirectory = path.dirname(fileURLToPath(import.meta.url));
+const lstMonths = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const rowsPerChunk = 50; // rows written to response in one go, so that client receives response in multiple chunks
+const masterImports = {
+  LEDGER: { tableName: 'mst_ledger', label: 'Ledger', parentTable: 'mst_group', parentLabel: 'Group' },
+  STOCKITEM: { tableName: 'mst_stock_item', label: 'Stock Item', parentTable: 'mst_stock_group', parentLabel: 'Stock Group' },
+  GODOWN: { tableName: 'mst_godown', label: 'Godown', parentTable: 'mst_godown', parentLabel: 'Godown' }
+};
+
+class MockTallyServer {
+  /**
+   * @param {object} options
+   * @param {string} [options.fixtures] folder containing fixture company JSON files
+   * @param {string[]} [options.definitions] export definition YAML files used to identify requested table
+   * @param {string} [options.activeCompany] company treated as active in Tally (default: open company flagged "active" in fixture, else first open company)
+   * @param {string[]} [options.closed] companies to be treated as closed (in addition to "closed" flag of fixture)
+   * @param {number} [options.delay] delay (in ms) before every response
+   * @param {Object<string, number>} [options.slow] additional delay (in ms) per collection, e.g. { Voucher: 2000 }
+   * @param {Object<string, number>} [options.stall] collection-wise period (in days) beyond which response stops after its first line without ending, e.g. { Voucher: 10 } (0 = always)
+   * @param {Object<string, number>} [options.truncate] collection-wise period (in days) beyond which response is truncated, e.g. { Voucher: 31 } (0 = always)
+   * @param {string[]} [options.empty] collections for which response without rows has empty body (instead of empty envelope)
+   * @param {Object<string, number>} [options.failure] collection-wise HTTP status of error page returned in place of data, e.g. { Voucher: 503 }
+   */
+  constructor(options = {}) {
+    this.options = {
+      fixtures: path.join(rootDirectory, 'fixtures', 'tally'),
+      definitions: [path.join(rootDirectory, 'tally-export-config.yaml'), path.join(rootDirectory, 'tally-export-config-incremental.yaml')],
+      activeCompany: '',
+      closed: [],
+      delay: 0,
+      slow: {},
+      stall: {},
+      truncate: {},
+      empty: [],
+      failure: {},
+      ...options
+    };
+    this.companies = this.loadFixtures(this.options.fixtures);
+    this.tables = this.loadDefinitions(this.options.definitions);
+    this.requests = []; // log of requests served, for assertions in tests
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  listen(port = 9000, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      this.server.closeAllConnections?.();
+      this.server.close(() => resolve());
+    });
+  }
+
+  getCompany(companyName) {
+    return this.companies.find(p => p.company.name.toLowerCase() == String(companyName).toLowerCase());
+  }
+
+  setClosed(companyName, isClosed = true) {
+    const company = this.getCompany(companyName);
+    if (!company) throw new Error(`Company "${companyName}" not found in fixtures`);
+    company.company.closed = isClosed;
+  }
+
+  /**
+   * Deletes master / voucher (along with its derived rows) from company. Like Tally, deletion increments AlterID
+   */
+  deleteObject(companyName, guid) {
+    const company = this.getCompany(companyName);
+    if (!company) throw new Error(`Company "${companyName}" not found in fixtures`);
+    const isVoucher = this.getPrimaryRows(company, 'Voucher').has(guid);
+    const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+    for (const tableName of Object.keys(company.tables))
+      company.tables[tableName] = company.tables[tableName].filter(p => p.guid != guid);
+    company.deletedAlterId = { ...company.deletedAlterId, [isVoucher ? 'transaction' : 'master']: Math.max(alterIdMaster, alterIdTransaction) + 1 };
+  }
+
+  isClosed(company) {
+    return company.company.closed === true || this.options.closed.some(p => p.toLowerCase() == company.company.name.toLowerCase());
+  }
+
+  loadFixtures(fixtureDirectory) {
+    return fs.readdirSync(fixtureDirectory)
+      .filter(p => p.endsWith('.json'))
+      .sort()
+      .map(p => JSON.parse(fs.readFileSync(path.join(fixtureDirectory, p), 'utf8')));
+  }
+
+  loadDefinitions(lstDefinitionFile) {
+    const retval = [];
+    for (const definitionFile of lstDefinitionFile) {
+      try {
+        const objYAML = yaml.load(fs.readFileSync(definitionFile, 'utf8'));
+        for (const table of [...(objYAML.master || []), ...(objYAML.transaction || [])])
+          if (!retval.some(p => p.name == table.name && p.collection == table.collection && JSON.stringify(p.fields) == JSON.stringify(table.fields)))
+            retval.push(table);
+      } catch (err) {
+        console.warn(`⚠️  Skipping export definition ${path.basename(definitionFile)}: ${err.message.split('\n')[0]}`);
+      }
+    }
+    return retval;
+  }
+
+  handleRequest(req, res) {
+    const lstChunk = [];
+    req.on('data', (chunk) => lstChunk.push(chunk));
+    req.on('end', async () => {
+      try {
+        const payload = this.decodePayload(Buffer.concat(lstChunk));
+        const { type, company, content, collection, days, lstRows } = this.processPayload(payload);
+
+        let waitTime = this.options.delay + (collection ? (this.options.slow[collection] || 0) : 0);
+        if (waitTime > 0)
+          await new Promise((resolve) => setTimeout(resolve, waitTime));
+
+        if (lstRows && collection in this.options.failure) { // error page of proxy or Tally in trouble
+          res.writeHead(this.options.failure[collection], { 'Content-Type': 'text/html' });
+          res.end(`<html><body><h1>${this.options.failure[collection]} ${http.STATUS_CODES[this.options.failure[collection]] || ''}</h1></body></html>`);
+          this.requests.push({ type, company, collection, status: this.options.failure[collection] });
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/xml;charset=utf-16' });
+        if (lstRows && collection in this.options.stall && days > this.options.stall[collection]) { // Tally hangs midway, keeping connection open
+          res.write(Buffer.from('<ENVELOPE>\r\n', 'utf16le'));
+          this.requests.push({ type, company, collection, rowCount: 0, isStalled: true });
+        }
+        else if (lstRows && !lstRows.length && this.options.empty.includes(collection)) {
+          res.end();
+          this.requests.push({ type, company, collection, rowCount: 0 });
+        }
+        else if (lstRows) { // table export is streamed in chunks like Tally
+          let isTruncated = collection in this.options.truncate && days > this.options.truncate[collection];
+          let countRows = isTruncated ? Math.floor(lstRows.length / 2) : lstRows.length;
+          res.write(Buffer.from('<ENVELOPE>\r\n', 'utf16le'));
+          for (let i = 0; i < countRows; i += rowsPerChunk)
+            res.write(Buffer.from(lstRows.slice(i, Math.min(i + rowsPerChunk, countRows)).join(''), 'utf16le'));
+          if (isTruncated) // response ends abruptly in the middle of row
+            res.end(Buffer.from(lstRows.length ? lstRows[countRows].substring(0, 20) : '', 'utf16le'));
+          else
+            res.end(Buffer.from('</ENVELOPE>\r\n', 'utf16le'));
+          this.requests.push({ type, company, collection, rowCount: countRows, isTruncated });
+        }
+        else {
+          res.end(Buffer.from(content, 'utf16le'));
+          this.requests.push({ type, company, collection });
+        }
+      } catch (err) {
+        res.writeHead(500);
+        res.end();
+        console.error('❌ Mock Tally error:', err.message);
+      }
+    });
+  }
+
+  decodePayload(buffer) {
+    // Tally accepts both UTF-16 and UTF-8 requests, UTF-16 has null byte against every ASCII character
+    let countNull = 0;
+    for (let i = 1; i < Math.min(buffer.length, 200); i += 2)
+      if (buffer[i] == 0) countNull++;
+    return countNull > 10 ? buffer.toString('utf16le') : buffer.toString('utf8');
+  }
+
+  processPayload(payload) {
+    if (!payload.trim()) // status ping
+      return { type: 'status', content: '<RESPONSE>TallyPrime Server is Running</RESPONSE>' };
+
+    const company = this.resolveCompany(payload);
+    const isCompanyAvailable = company && !this.isClosed(company);
+
+    if (payload.includes('FldBooksFrom')) { // company information
+      if (!isCompanyAvailable)
+        return { type: 'company-info', company: company?.company.name, content: '' };
+      const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+      const lstValues = [company.company.guid, company.company.name, this.toYYYYMMDD(company.company.books_from), this.toYYYYMMDD(this.getLastVoucherDate(company)), alterIdMaster, alterIdTransaction, '†'];
+      return { type: 'company-info', company: company.company.name, content: lstValues.map(p => `"${String(p).replace(/"/g, '""')}"`).join(',') + ',\r\n' };
+    }
+
+    if (payload.includes('FldAlterMaster')) { // last AlterID
+      if (!isCompanyAvailable)
+        return { type: 'alterid', company: company?.company.name, content: '' };
+      const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+      return { type: 'alterid', company: company.company.name, content: `"${alterIdMaster}","${alterIdTransaction}",\r\n` };
+    }
+
+    if (/<TALLYREQUEST>\s*Import\s*<\/TALLYREQUEST>/i.test(payload)) { // import of vouchers / masters
+      if (!isCompanyAvailable)
+        return { type: 'import', company: company?.company.name, content: this.getImportResponse({ errors: 1, lineErrors: ['Could not find company'] }) };
+      return { type: 'import', company: company.company.name, content: this.importData(company, payload) };
+    }
+
+    const collectionType = /<COLLECTION NAME="MyCollection">\s*<TYPE>([^<]+)<\/TYPE>/i.exec(payload)?.[1].trim() || '';
+
+    if (collectionType.toLowerCase() == 'company' && payload.includes('<XMLTAG>ROW</XMLTAG>')) { // list of companies open in Tally
+      const lstRows = this.companies.filter(p => !this.isClosed(p)).map(p => `<ROW>${this.escapeXML(p.company.name)}</ROW>\r\n`);
+      return { type: 'list-company', content: `<DATA>\r\n${lstRows.join('')}</DATA>\r\n` };
+    }
+
+    if (/<FIELD NAME="Fld\d+">/.test(payload) && collectionType) { // table export of generateXMLfromYAML()
+      const lstRoutes = [...payload.matchAll(/<REPEAT>\s*MyLine\d+\s*:\s*([\w.]+)\s*<\/REPEAT>/g)].map(p => p[1]).filter(p => p != 'MyCollection');
+      const collection = [collectionType, ...lstRoutes].join('.');
+      if (!isCompanyAvailable) {
+        const companyName = this.unescapeXML(/<SVCURRENTCOMPANY>([^<]*)<\/SVCURRENTCOMPANY>/.exec(payload)?.[1] || '');
+        return { type: 'table', company: company?.company.name, collection, content: `<ENVELOPE><LINEERROR>Could not set 'SVCurrentCompany' to '${this.escapeXML(companyName)}'</LINEERROR></ENVELOPE>\r\n` };
+      }
+      const fromDate = this.parseDate(/<SVFROMDATE>([^<]*)<\/SVFROMDATE>/.exec(payload)?.[1]);
+      const toDate = this.parseDate(/<SVTODATE>([^<]*)<\/SVTODATE>/.exec(payload)?.[1]);
+      const days = fromDate && toDate ? Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000) + 1 : Infinity;
+      const lstRows = this.exportTable(company, payload, collection, fromDate, toDate);
+      return { type: 'table', company: company.company.name, collection, days, lstRows };
+    }
+
+    return { type: 'unknown', content: '<ENVELOPE></ENVELOPE>\r\n' };
+  }
+
+  resolveCompany(payload) {
+    // target company is specified either as static variable or in filter formula, else active company of Tally
+    const companyName = /<SVCURRENTCOMPANY>([^<]*)<\/SVCURRENTCOMPANY>/.exec(payload)?.[1]
+      ?? /\$\$IsEqual:"((?:[^"]|"")*)":\$Name/.exec(payload)?.[1]?.replace(/""/g, '"');
+    if (companyName)
+      return this.getCompany(this.unescapeXML(companyName));
+    if (this.options.activeCompany)
+      return this.getCompany(this.options.activeCompany);
+    return this.companies.find(p => p.company.active && !this.isClosed(p)) || this.companies.find(p => !this.isClosed(p));
+  }
+
+  exportTable(company, payload, collection, fromDate, toDate) {
+    const lstFieldExpr = [...payload.matchAll(/<FIELD NAME="Fld(\d+)">\s*<SET>([\s\S]*?)<\/SET>/g)]
+      .sort((a, b) => parseInt(a[1]) - parseInt(b[1]))
+      .map(p => p[2]);
+    const lstFilter = [...payload.matchAll(/<SYSTEM TYPE="Formulae" NAME="Fltr\d+">([\s\S]*?)<\/SYSTEM>/g)].map(p => p[1].trim());
+    const minAlterId = lstFilter.map(p => /^\$AlterID\s*>\s*(\d+)$/i.exec(p)).filter(p => p).map(p => parseInt(p[1]))[0];
+    const masterId = lstFilter.map(p => /^\$MasterID\s*=\s*(\d+)$/i.exec(p)).filter(p => p).map(p => parseInt(p[1]))[0];
+
+    // constant expressions (company_id of companies sharing tables) are not part of definition, and are echoed as is
+    const isConstant = (fieldExpr) => /^"(?:[^"]|"")*"$/.test(fieldExpr.trim());
+    const lstTableExpr = lstFieldExpr.filter(p => !isConstant(p));
+
+    // table of export definition whose collection & field expressions match the request
+    const targetTable = this.tables.find(p => p.collection == collection && p.fields.length == lstTableExpr.length && p.fields.every((q, i) => this.isFieldMatch(q.field, lstTableExpr[i])));
+    const rootCollection = collection.split('.')[0];
+    const mapParent = this.getPrimaryRows(company, rootCollection);
+
+    let lstSourceRows;
+    let lstFields;
+    if (targetTable) {
+      lstSourceRows = company.tables[targetTable.name] || [];
+      lstFields = targetTable.fields;
+    }
+    else if (!collection.includes('.')) { // ad-hoc request on primary collection (e.g. GUID & AlterID list of incremental sync)
+      lstSourceRows = [...mapParent.values()];
+      lstFields = lstTableExpr.map(p => ({ name: this.getColumnName(p), type: 'text' }));
+    }
+    else {
+      console.warn(`⚠️  No table of export definition matches collection ${collection}`);
+      return [];
+    }
+
+    const lstRows = [];
+    for (const row of lstSourceRows) {
+      const parentRow = 'alterid' in row ? row : this.findParentRow(row, mapParent);
+      if (minAlterId !== undefined && !((parentRow?.alterid || 0) > minAlterId))
+        continue;
+      if (masterId !== undefined && this.getMasterId(parentRow?.guid) != masterId)
+        continue;
+      if (rootCollection == 'Voucher' && parentRow?.date && ((fromDate && parentRow.date < fromDate) || (toDate && parentRow.date > toDate)))
+        continue;
+      let indexField = 0;
+      const lstValues = lstFieldExpr.map(p => {
+        if (isConstant(p))
+          return this.escapeXML(p.trim().slice(1, -1).replace(/""/g, '"'));
+        const field = lstFields[indexField++];
+        if (!(field.name in row) && /^\.\.\w+$/.test(field.field || '')) // attribute of parent object (e.g. ..Guid of voucher)
+          return this.formatValue(parentRow?.[this.getColumnName(field.field.replace('..', '$'))], field.type);
+        return this.formatValue(row[field.name], field.type);
+      });
+      lstRows.push(lstValues.map((p, i) => `<F${String(i + 1).padStart(2, '0')}>${p}</F${String(i + 1).padStart(2, '0')}>\r\n`).join(''));
+    }
+    return lstRows;
+  }
+
+  isFieldMatch(fieldYAML, fieldExpr) {
+    if (/^(\.\.)?[a-zA-Z0-9_]+$/.test(fieldYAML)) // plain attribute is wrapped in type-wise formula
+      return new RegExp(`\\$${fieldYAML.replace(/\./g, '\\.')}(?![\\w])`).test(fieldExpr);
+    return fieldExpr.includes(fieldYAML);
+  }
+
+  getColumnName(fieldExpr) {
+    // $AlterId => alterid, $VoucherNumber => voucher_number
+    const attribute = /\$(\w+)/.exec(fieldExpr)?.[1] || '';
+    return attribute.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase().replace(/^alter_id$/, 'alterid');
+  }
+
+  getPrimaryRows(company, rootCollection) {
+    const retval = new Map();
+    for (const table of this.tables.filter(p => p.collection == rootCollection && p.nature == 'Primary'))
+      for (const row of company.tables[table.name] || [])
+        if (!retval.has(row.guid)) retval.set(row.guid, row);
+    return retval;
+  }
+
+  findParentRow(row, mapParent) {
+    // derived row refers its parent by GUID (e.g. guid of voucher / _item of stock item)
+    for (const value of Object.values(row))
+      if (typeof value == 'string' && mapParent.has(value))
+        return mapParent.get(value);
+    return undefined;
+  }
+
+  getMasterId(guid) {
+    // GUID of Tally object is company GUID suffixed with master ID in hexadecimal
+    return parseInt(String(guid || '').split('-').pop(), 16) || 0;
+  }
+
+  importData(company, payload) {
+    const result = { created: 0, altered: 0, deleted: 0, cancelled: 0, errors: 0, lastVoucherId: 0, lastMasterId: 0, lineErrors: [] };
+    for (const match of payload.matchAll(/<(VOUCHER|LEDGER|STOCKITEM|GODOWN)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+      try {
+        const action = /\bACTION="([^"]*)"/.exec(match[2])?.[1] || 'Create';
+        if (match[1] == 'VOUCHER' && (action == 'Cancel' || action == 'Delete')) {
+          this.removeVoucher(company, action, match[2], match[3]);
+          action == 'Cancel' ? result.cancelled++ : result.deleted++;
+        }
+        else if (match[1] == 'VOUCHER') {
+          result.lastVoucherId = this.importVoucher(company, match[3]);
+          result.created++;
+        }
+        else {
+          const { masterId, isAltered } = this.importMaster(company, match[1], match[2], match[3]);
+          result.lastMasterId = masterId;
+          isAltered ? result.altered++ : result.created++;
+        }
+      } catch (err) {
+        result.errors++;
+        result.lineErrors.push(err.message);
+      }
+    }
+    return this.getImportResponse(result);
+  }
+
+  importMaster(company, tagName, attributesXML, xml) {
+    const { tableName, label, parentTable, parentLabel } = masterImports[tagName];
+    const action = /\bACTION="([^"]*)"/.exec(attributesXML)?.[1] || 'Create';
+    const objectName = this.unescapeXML(/\bNAME="([^"]*)"/.exec(attributesXML)?.[1] || '');
+    const fields = this.getXMLFields(xml);
+    const lstName = this.getXMLLists(xml, 'NAME.LIST').flatMap(p => [...p.matchAll(/<NAME>([^<]*)<\/NAME>/g)].map(q => this.unescapeXML(q[1].trim())));
+    const name = lstName[0] || objectName;
+    if (!name)
+      throw new Error(`${label} name is missing`);
+
+    // names are unique case-insensitive within master type
+    const findByName = (table, value) => (company.tables[table] || []).find(p => p.name.toLowerCase() == String(value).toLowerCase());
+    const existing = findByName(tableName, objectName || name);
+    if (action == 'Alter' && !existing)
+      throw new Error(`${label} '${objectName || name}' does not exist!`);
+    if (action == 'Create' && existing)
+      throw new Error(`${label} '${name}' already exists!`);
+    const duplicate = findByName(tableName, name);
+    if (duplicate && duplicate !== existing)
+      throw new Error(`${label} '${name}' already exists!`);
+
+    const parent = fields.PARENT ? findByName(parentTable, fields.PARENT) : undefined;
+    if (fields.PARENT && !parent)
+      throw new Error(`${parentLabel} '${fields.PARENT}' does not exist!`);
+    if (tagName == 'LEDGER' && !parent)
+      throw new Error(`Group not specified for Ledger '${name}'`);
+
+    const row = { name, parent: parent?.name || '', _parent: parent?.guid || '' };
+    if (lstName[1]) row.alias = lstName[1];
+    if (tagName == 'LEDGER') {
+      const lstAddress = this.getXMLLists(xml, 'ADDRESS.LIST').flatMap(p => [...p.matchAll(/<ADDRESS>([^<]*)<\/ADDRESS>/g)].map(q => this.unescapeXML(q[1].trim())));
+      Object.assign(row, {
+        is_revenue: parent.is_revenue || 0, is_deemedpositive: parent.is_deemedpositive || 0, opening_balance: Number(fields.OPENINGBALANCE) || 0,
+        description: fields.DESCRIPTION || '', notes: fields.NARRATION || '', mailing_name: fields.MAILINGNAME || '', mailing_address: lstAddress.join('\n'),
+        mailing_state: fields.LEDSTATENAME || '', mailing_country: fields.COUNTRYNAME || '', mailing_pincode: fields.PINCODE || '', email: fields.EMAIL || '',
+        it_pan: fields.INCOMETAXNUMBER || '', gstn: fields.PARTYGSTIN || '', gst_registration_type: fields.GSTREGISTRATIONTYPE || '', bill_credit_period: parseInt(fields.BILLCREDITPERIOD) || 0
+      });
+    }
+    else if (tagName == 'STOCKITEM') {
+      const uom = findByName('mst_uom', fields.BASEUNITS || '');
+      if (!uom)
+        throw new Error(`Unit '${fields.BASEUNITS || ''}' does not exist!`);
+      const gstDetails = this.getXMLFields(this.getXMLLists(xml, 'GSTDETAILS.LIST')[0] || '');
+      const igstRate = this.getXMLLists(xml, 'RATEDETAILS.LIST').map(p => this.getXMLFields(p)).find(p => p.GSTRATEDUTYHEAD == 'IGST')?.GSTRATE;
+      Object.assign(row, {
+        uom: uom.name, _uom: uom.guid, part_number: fields.PARTNO || '', gst_hsn_code: gstDetails.HSNCODE || '', gst_rate: Number(igstRate) || 0,
+        gst_taxability: gstDetails.TAXABILITY || '', gst_type_of_supply: fields.GSTTYPEOFSUPPLY || '', costing_method: fields.COSTINGMETHOD || '',
+        opening_balance: parseFloat(fields.OPENINGBALANCE) || 0, opening_rate: parseFloat(fields.OPENINGRATE) || 0, opening_value: Number(fields.OPENINGVALUE) || 0
+      });
+    }
+
+    const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+    const alterid = Math.max(alterIdMaster, alterIdTransaction) + 1;
+    if (existing) {
+      Object.assign(existing, row, { alterid });
+      return { masterId: this.getMasterId(existing.guid), isAltered: true };
+    }
+    const lstGuid = Object.values(company.tables).flat().map(p => p.guid);
+    const masterId = Math.max(0, ...lstGuid.map(p => this.getMasterId(p))) + 1;
+    company.tables[tableName] = company.tables[tableName] || [];
+    company.tables[tableName].push({ guid: `${company.company.guid}-${masterId.toString(16).padStart(8, '0')}`, alterid, ...row });
+    return { masterId, isAltered: false };
+  }
+
+  /**
+   * Cancels (voucher is retained without entries) or deletes voucher identified by GUID
+   */
+  removeVoucher(company, action, attributesXML, xml) {
+    const guid = this.unescapeXML(/\bTAGVALUE="([^"]*)"/.exec(attributesXML)?.[1] || '');
+    const voucher = (company.tables.trn_voucher || []).find(p => p.guid == guid);
+    if (!voucher)
+      throw new Error(`Voucher '${guid}' does not exist!`);
+    const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+    const alterid = Math.max(alterIdMaster, alterIdTransaction) + 1;
+    for (const tableName of Object.keys(company.tables).filter(p => p.startsWith('trn_') && p != 'trn_voucher'))
+      company.tables[tableName] = company.tables[tableName].filter(p => p.guid != guid);
+    if (action == 'Delete') {
+      company.tables.trn_voucher = company.tables.trn_voucher.filter(p => p.guid != guid);
+      company.deletedAlterId = { ...company.deletedAlterId, transaction: alterid };
+    }
+    else
+      Object.assign(voucher, { is_cancelled: 1, alterid, narration: this.getXMLFields(xml).NARRATION ?? voucher.narration });
+  }
+
+  importVoucher(company, xml) {
+    const header = this.getXMLFields(xml);
+    const voucherType = (company.tables.mst_vouchertype || []).find(p => p.name == header.VOUCHERTYPENAME);
+    if (!voucherType)
+      throw new Error(`Voucher Type '${header.VOUCHERTYPENAME || ''}' does not exist!`);
+    const date = this.parseDate(header.DATE);
+    if (!date)
+      throw new Error('Voucher date is missing');
+
+    const getLedger = (name) => {
+      const ledger = (company.tables.mst_ledger || []).find(p => p.name == name);
+      if (!ledger) throw new Error(`Ledger '${name}' does not exist!`);
+      return ledger;
+    };
+    const getStockItem = (name) => {
+      const item = (company.tables.mst_stock_item || []).find(p => p.name == name);
+      if (!item) throw new Error(`Stock Item '${name}' does not exist!`);
+      return item;
+    };
+    const getGodownGuid = (name) => (company.tables.mst_godown || []).find(p => p.name == name)?.guid || '';
+
+    const lstAccounting = [];
+    const lstBill = [];
+    for (const entryXML of this.getXMLLists(xml, 'ALLLEDGERENTRIES.LIST').concat(this.getXMLLists(xml, 'LEDGERENTRIES.LIST'))) {
+      const entry = this.getXMLFields(entryXML);
+      const ledger = getLedger(entry.LEDGERNAME);
+      lstAccounting.push({ ledger: ledger.name, _ledger: ledger.guid, amount: Number(entry.AMOUNT) || 0 });
+      for (const billXML of this.getXMLLists(entryXML, 'BILLALLOCATIONS.LIST')) {
+        const bill = this.getXMLFields(billXML);
+        lstBill.push({ ledger: ledger.name, _ledger: ledger.guid, name: bill.NAME || '', amount: Number(bill.AMOUNT) || 0, billtype: bill.BILLTYPE || '', bill_credit_period: parseInt(bill.BILLCREDITPERIOD) || 0 });
+      }
+    }
+    const lstInventory = [];
+    const lstBatch = [];
+    for (const entryXML of this.getXMLLists(xml, 'ALLINVENTORYENTRIES.LIST')) {
+      const entry = this.getXMLFields(entryXML);
+      const item = getStockItem(entry.STOCKITEMNAME);
+      const sign = entry.ISDEEMEDPOSITIVE == 'Yes' ? 1 : -1;
+      const lstBatchXML = this.getXMLLists(entryXML, 'BATCHALLOCATIONS.LIST').map(p => this.getXMLFields(p));
+      for (const batch of lstBatchXML)
+        lstBatch.push({ item: item.name, _item: item.guid, name: batch.BATCHNAME || '', quantity: sign * (parseFloat(batch.ACTUALQTY) || 0), amount: Number(batch.AMOUNT) || 0, godown: batch.GODOWNNAME || '', _godown: getGodownGuid(batch.GODOWNNAME), destination_godown: batch.DESTINATIONGODOWNNAME || '', _destination_godown: getGodownGuid(batch.DESTINATIONGODOWNNAME), tracking_number: batch.TRACKINGNUMBER || '' });
+      lstInventory.push({
+        item: item.name, _item: item.guid, quantity: sign * (parseFloat(entry.ACTUALQTY) || 0), rate: parseFloat(entry.RATE) || 0, amount: Number(entry.AMOUNT) || 0,
+        additional_amount: 0, discount_amount: Number(entry.DISCOUNT) || 0, godown: lstBatchXML[0]?.GODOWNNAME || '', _godown: getGodownGuid(lstBatchXML[0]?.GODOWNNAME),
+        tracking_number: lstBatchXML[0]?.TRACKINGNUMBER || '', order_number: lstBatchXML[0]?.ORDERNO || '', order_duedate: this.parseDate(lstBatchXML[0]?.ORDERDUEDATE) || ''
+      });
+      for (const allocationXML of this.getXMLLists(entryXML, 'ACCOUNTINGALLOCATIONS.LIST')) {
+        const allocation = this.getXMLFields(allocationXML);
+        const ledger = getLedger(allocation.LEDGERNAME);
+        lstAccounting.push({ ledger: ledger.name, _ledger: ledger.guid, amount: Number(allocation.AMOUNT) || 0 });
+      }
+    }
+
+    if (!lstAccounting.length)
+      throw new Error('No entries in Voucher!');
+    if (Math.abs(lstAccounting.reduce((total, p) => total + p.amount, 0)) > 0.005)
+      throw new Error('Voucher totals do not match!');
+
+    // automatic numbering assigns next number of voucher type
+    let voucherNumber = header.VOUCHERNUMBER || '';
+    if (!voucherNumber && /Auto/i.test(voucherType.numbering_method || ''))
+      voucherNumber = String(Math.max(0, ...(company.tables.trn_voucher || []).filter(p => p.voucher_type == voucherType.name).map(p => parseInt(p.voucher_number) || 0)) + 1);
+
+    const lstGuid = Object.values(company.tables).flat().map(p => p.guid);
+    const masterId = Math.max(0, ...lstGuid.map(p => this.getMasterId(p))) + 1;
+    const { alterIdMaster, alterIdTransaction } = this.getLastAlterId(company);
+    const guid = `${company.company.guid}-${masterId.toString(16).padStart(8, '0')}`;
+    const partyLedger = header.PARTYLEDGERNAME ? getLedger(header.PARTYLEDGERNAME) : undefined;
+    const isInventoryVoucher = lstInventory.length > 0;
+
+    company.tables.trn_voucher = company.tables.trn_voucher || [];
+    company.tables.trn_voucher.push({
+      guid, alterid: Math.max(alterIdMaster, alterIdTransaction) + 1, date, voucher_type: voucherType.name, _voucher_type: voucherType.guid, voucher_number: voucherNumber,
+      reference_number: header.REFERENCE || '', reference_date: this.parseDate(header.REFERENCEDATE) || '', narration: header.NARRATION || '',
+      party_name: partyLedger?.name || '', _party_name: partyLedger?.guid || '', place_of_supply: header.PLACEOFSUPPLY || '',
+      is_invoice: header.ISINVOICE == 'Yes' ? 1 : 0, is_accounting_voucher: 1, is_inventory_voucher: isInventoryVoucher ? 1 : 0, is_order_voucher: 0
+    });
+    for (const [tableName, lstRows] of [['trn_accounting', lstAccounting], ['trn_inventory', lstInventory], ['trn_bill', lstBill], ['trn_batch', lstBatch]])
+      if (lstRows.length)
+        company.tables[tableName] = [...(company.tables[tableName] || []), ...lstRows.map(p => ({ guid, ...p }))];
+    return masterId;
+  }
+
+  getImportResponse({ created = 0, altered = 0, deleted = 0, cancelled = 0, errors = 0, lastVoucherId = 0, lastMasterId = 0, lineErrors = [] }) {
+    let retval = '<ENVELOPE><HEADER><VERSION>1</VERSION><STATUS>1</STATUS></HEADER><BODY><DESC></DESC><DATA>';
+    retval += lineErrors.map(p => `<LINEERROR>${this.escapeXML(p)}</LINEERROR>`).join('');
+    retval += `<IMPORTRESULT><CREATED>${created}</CREATED><ALTERED>${altered}</ALTERED><DELETED>${deleted}</DELETED><LASTVCHID>${lastVoucherId}</LASTVCHID><LASTMID>${lastMasterId}</LASTMID><COMBINED>0</COMBINED><IGNORED>0</IGNORED><ERRORS>${errors}</ERRORS><CANCELLED>${cancelled}</CANCELLED><EXCEPTIONS>0</EXCEPTIONS></IMPORTRESULT>`;
+    retval += '</DATA></BODY></ENVELOPE>\r\n';
+    return retval;
+  }
+
+  getXMLLists(xml, tagName) {
+    // list blocks of given tag (same list tag is not nested in Tally XML)
+    const tag = tagName.replace(/\./g, '\\.');
+    return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(p => p[1]);
+  }
+
+  getXMLFields(xml) {
+    // plain child elements of block, excluding those nested in sub-lists
+    const retval = {};
+    const xmlFlat = xml.replace(/<([\w.]+\.LIST)>[\s\S]*?<\/\1>/g, '');
+    for (const match of xmlFlat.matchAll(/<([A-Z0-9.]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g))
+      retval[match[1]] = this.unescapeXML(match[2].trim());
+    return retval;
+  }
+
+  getLastAlterId(company) {
+    let alterIdMaster = company.deletedAlterId?.master || 0;
+    let alterIdTransaction = company.deletedAlterId?.transaction || 0;
+    for (const table of this.tables.filter(p => p.nature == 'Primary'))
+      for (const row of company.tables[table.name] || [])
+        if (table.collection == 'Voucher')
+          alterIdTransaction = Math.max(alterIdTransaction, row.alterid || 0);
+        else
+          alterIdMaster = Math.max(alterIdMaster, row.alterid || 0);
+    return { alterIdMaster, alterIdTransaction };
+  }
+
+  getLastVoucherDate(company) {
+    const lstDates = (company.tables.trn_voucher || []).map(p => p.date).filter(p => p).sort();
+    return lstDates.length ? lstDates[lstDates.length - 1] : company.company.books_from;
+  }
+
+  formatValue(value, type) {
+    if (type == 'date')
+      return value ? String(value) : 'ñ'; // Tally formula emits ñ for empty date
+    if (type == 'logical')
+      return value === true || value === 1 || value === '1' ? '1' : '0';
+    if (/^(number|amount|quantity|rate)$/.test(type))
+      return value === undefined || value === null || value === '' ? '0' : String(value);
+    return value === undefined || value === null ? '' : this.escapeXML(String(value));
+  }
+
+  parseDate(value) {
+    // static variables are passed as d-MMM-yyyy by utility, or as YYYYMMDD / YYYY-MM-DD
+    if (!value) return undefined;
+    let match = /^(\d{1,2})-(\w{3})-(\d{4})$/.exec(value.trim());
+    if (match && lstMonths.includes(match[2]))
+      return `${match[3]}-${String(lstMonths.indexOf(match[2]) + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(value.trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+  }
+
+  toYYYYMMDD(value) {
+    return String(value || '').replace(/-/g, '');
+  }
+
+  escapeXML(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+  }
+
+  unescapeXML(value) {
+    return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&#4;/g, '\u0004').replace(/&amp;/g, '&');
+  }
+}
+
+function createMockTallyServer(options) {
+  return new MockTallyServer(options);
+}
+
+// Run standalone when invoked from commandline
+if (process.argv[1] && path.resolve(process.argv[1]) == fileURLToPath(import.meta.url)) {
+  const options = { closed: [], slow: {}, stall: {}, truncate: {}, empty: [], failure: {} };
+  let port = 9000;
+  const lstArgs = process.argv.slice(2);
+  for (let i = 0; i < lstArgs.length; i += 2) {
+    const [argName, argValue] = [lstArgs[i], lstArgs[i + 1] || ''];
+    if (argName == '--port') port = parseInt(argValue);
+    else if (argName == '--fixtures') options.fixtures = path.resolve(argValue);
+    else if (argName == '--active') options.activeCompany = argValue;
+    else if (argName == '--closed') options.closed.push(argValue);
+    else if (argName == '--delay') options.delay = parseInt(argValue);
+    else if (argName == '--empty') options.empty.push(argValue);
+    else if (argName == '--slow' || argName == '--stall' || argName == '--truncate' || argName == '--failure') { // Collection=value
+      const [collection, value] = argValue.split('=');
+      options[argName.substring(2)][collection] = parseInt(value || '0');
+    }
+    else {
+      console.error(`Unknown option ${argName}`);
+      process.exit(1);
+    }
+  }
+
+  const mockServer = createMockTallyServer(options);
+  mockServer.listen(port, '0.0.0.0').then((activePort) => {
+    console.log(`🧪 Mock Tally XML Server listening on port ${activePort}`);
+    for (const company of mockServer.companies)
+      console.log(`🏢 ${company.company.name}${mockServer.isClosed(company) ? ' (closed)' : ''}`);
+  });
+  process.on('SIGINT', () => mockServer.close().then(() => process.exit(0)));
+}
+
+export { MockTallyServer, createMockTallyServer };
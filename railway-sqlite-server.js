@@ -7,7 +7,13 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
 import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { createServerSchema, QueryError } from './server-schema.js';
+import { AuthError, generateApiKey, hashApiKey, isSameKey, verifyJWT } from './server-auth.js';
+import { createServerReports, toCSV } from './server-reports.js';
 dotenv.config();
 
 const app = express();
@@ -24,13 +30,47 @@ if (process.env.NODE_ENV === 'production') {
   app.use(morgan('tiny', {
     skip: (req, res) => res.statusCode < 400 && !req.url.includes('/bulk-sync')
   }));
-} else {
+} else if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
 app.use(express.json({ limit: '50mb' }));
 app.use(express.raw({ type: 'application/xml', limit: '50mb' }));
 
+// Authentication: every route except health check requires API key (sync clients), JWT (web app) or admin key
+// Token / key scoped to company (and division) is permitted only on routes of that company & division
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const JWT_SECRET = process.env.JWT_SECRET || '';
+if (!ADMIN_API_KEY) {
+  console.warn('⚠️ ADMIN_API_KEY is not set, API keys can be issued only by JWT of admin role');
+}
+
+app.use('/api/v1', (req, res, next) => {
+  if (req.path === '/health') {
+    return next();
+  }
+  authenticate(req).then((principal) => {
+    req.principal = principal;
+    next();
+  }, (err) => sendAuthError(res, err));
+});
+
+app.param('companyId', (req, res, next, companyId) => {
+  const { principal } = req;
+  if (principal && principal.role !== 'admin' && principal.company_id !== companyId) {
+    return sendAuthError(res, new AuthError(`Not permitted for company ${companyId}`, 403));
+  }
+  next();
+});
+
+app.param('divisionId', (req, res, next, divisionId) => {
+  const { principal } = req;
+  if (principal && principal.role !== 'admin' && principal.division_id && principal.division_id !== divisionId) {
+    return sendAuthError(res, new AuthError(`Not permitted for division ${divisionId}`, 403));
+  }
+  next();
+});
+
 // Database configuration
 const DB_PATH = process.env.DB_PATH || '/data/tally.db';
 console.log(`🗄️ Using database: ${DB_PATH}`);
@@ -38,15 +78,62 @@ console.log(`🗄️ Using database: ${DB_PATH}`);
 // Error tracking for bulk operations
 const errorTracker = new Map();
 const MAX_ERRORS_PER_TABLE = 3;
+const MAX_ROW_ERRORS = 100; // rejected rows listed in bulk sync response (beyond which only counted)
+
+// Outbound queue of changes to be pushed into Tally by Windows clients
+const QUEUE_OPERATIONS = ['create_voucher', 'cancel_voucher', 'delete_voucher'];
+const QUEUE_VOUCHER_REMOVAL = ['cancel_voucher', 'delete_voucher']; // operations on existing voucher, identified by payload.guid
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const QUEUE_VISIBILITY_TIMEOUT = 300; // seconds an item stays leased to a client before it is offered again
+const QUEUE_MAX_VISIBILITY_TIMEOUT = 3600; // longer lease requested by client is capped, so that item of crashed client is not held for long
+
+// Schema of tables extracted from Tally, built from export definition YAML (same as that of sync clients)
+// Table names of API (groups, vouchers, etc.) and of definition (trn_bill, mst_employee, etc.) are mapped to database tables
+const SCHEMA_DEFINITION = process.env.SCHEMA_DEFINITION || path.join(path.dirname(fileURLToPath(import.meta.url)), 'tally-export-config.yaml');
+const schema = createServerSchema(SCHEMA_DEFINITION);
+const TABLE_MAPPING = schema.tableMapping;
+const reports = createServerReports(schema);
+
+// Masters served by resource routes (/api/v1/masters/{resource}), listed in order of their names
+const MASTER_RESOURCES = {
+  'groups': 'mst_group',
+  'ledgers': 'mst_ledger',
+  'stock-groups': 'mst_stock_group',
+  'stock-items': 'mst_stock_item',
+  'voucher-types': 'mst_vouchertype',
+  'uoms': 'mst_uom',
+  'godowns': 'mst_godown',
+  'cost-categories': 'mst_cost_category',
+  'cost-centers': 'mst_cost_centre',
+  'attendance-types': 'mst_attendance_type',
+  'employees': 'mst_employee',
+  'payheads': 'mst_payhead'
+};
+const RESOURCE_PAGE_SIZE = 100;
+const RESOURCE_MAX_PAGE_SIZE = 1000;
+
+// Rows of child tables removed along with their parent row (like cascade_delete of export definition)
+const CASCADE_DELETE = {
+  trn_voucher: schema.getChildTables('trn_voucher')
+};
+const DELETE_BATCH_SIZE = 500; // GUIDs per DELETE statement, within SQLite limit of bound parameters
+
+// Tables whose rows carry Tally AlterID, compared on bulk sync to skip rows older than the stored ones
+const ALTERID_TABLES = schema.getPrimaryTables();
 
 // Initialize SQLite database
-const db = new sqlite3.Database(DB_PATH, (err) => {
-  if (err) {
-    console.error('❌ Error opening database:', err.message);
-  } else {
-    console.log('✅ Connected to SQLite database');
-    initializeDatabase();
-  }
+// ready resolves once schema & indexes are in place (awaited by tests before firing requests)
+let db;
+const ready = new Promise((resolve, reject) => {
+  db = new sqlite3.Database(DB_PATH, (err) => {
+    if (err) {
+      console.error('❌ Error opening database:', err.message);
+      reject(err);
+    } else {
+      console.log('✅ Connected to SQLite database');
+      initializeDatabase().then(resolve, reject);
+    }
+  });
 });
 
 // Initialize database schema
@@ -55,212 +142,8 @@ function initializeDatabase() {
     console.log('🔧 Initializing database schema...');
   }
   
-  // Create tables with proper schema including notes column
+  // Tables of Tally data are created (and migrated) from schema, these are of server itself
   const createTables = `
-    -- Master data tables
-    CREATE TABLE IF NOT EXISTS mst_group (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      primary_group TEXT NOT NULL DEFAULT '',
-      is_revenue INTEGER DEFAULT 0,
-      is_deemedpositive INTEGER DEFAULT 0,
-      is_reserved INTEGER DEFAULT 0,
-      affects_gross_profit INTEGER DEFAULT 0,
-      sort_position INTEGER,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_ledger (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      alias TEXT NOT NULL DEFAULT '',
-      description TEXT NOT NULL DEFAULT '',
-      notes TEXT NOT NULL DEFAULT '',
-      is_revenue INTEGER DEFAULT 0,
-      is_deemedpositive INTEGER DEFAULT 0,
-      opening_balance REAL DEFAULT 0,
-      closing_balance REAL DEFAULT 0,
-      mailing_name TEXT NOT NULL DEFAULT '',
-      mailing_address TEXT NOT NULL DEFAULT '',
-      mailing_state TEXT NOT NULL DEFAULT '',
-      mailing_country TEXT NOT NULL DEFAULT '',
-      mailing_pincode TEXT NOT NULL DEFAULT '',
-      email TEXT NOT NULL DEFAULT '',
-      it_pan TEXT NOT NULL DEFAULT '',
-      gstn TEXT NOT NULL DEFAULT '',
-      gst_registration_type TEXT NOT NULL DEFAULT '',
-      gst_supply_type TEXT NOT NULL DEFAULT '',
-      gst_duty_head TEXT NOT NULL DEFAULT '',
-      tax_rate REAL DEFAULT 0,
-      bank_account_holder TEXT NOT NULL DEFAULT '',
-      bank_account_number TEXT NOT NULL DEFAULT '',
-      bank_ifsc TEXT NOT NULL DEFAULT '',
-      bank_swift TEXT NOT NULL DEFAULT '',
-      bank_name TEXT NOT NULL DEFAULT '',
-      bank_branch TEXT NOT NULL DEFAULT '',
-      bill_credit_period INTEGER DEFAULT 0,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_stock_group (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_stock_item (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      alias TEXT NOT NULL DEFAULT '',
-      description TEXT NOT NULL DEFAULT '',
-      notes TEXT NOT NULL DEFAULT '',
-      part_number TEXT NOT NULL DEFAULT '',
-      uom TEXT NOT NULL DEFAULT '',
-      alternate_uom TEXT NOT NULL DEFAULT '',
-      conversion INTEGER DEFAULT 0,
-      opening_balance REAL DEFAULT 0,
-      opening_rate REAL DEFAULT 0,
-      opening_value REAL DEFAULT 0,
-      closing_balance REAL DEFAULT 0,
-      closing_rate REAL DEFAULT 0,
-      closing_value REAL DEFAULT 0,
-      costing_method TEXT NOT NULL DEFAULT '',
-      gst_type_of_supply TEXT DEFAULT '',
-      gst_hsn_code TEXT DEFAULT '',
-      gst_hsn_description TEXT DEFAULT '',
-      gst_rate REAL DEFAULT 0,
-      gst_taxability TEXT DEFAULT '',
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_vouchertype (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      numbering_method TEXT NOT NULL DEFAULT '',
-      is_deemedpositive INTEGER DEFAULT 0,
-      affects_stock INTEGER DEFAULT 0,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_uom (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      formalname TEXT NOT NULL DEFAULT '',
-      is_simple_unit INTEGER DEFAULT 1,
-      base_units TEXT NOT NULL DEFAULT '',
-      additional_units TEXT NOT NULL DEFAULT '',
-      conversion INTEGER DEFAULT 0,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS mst_godown (
-      guid TEXT PRIMARY KEY,
-      name TEXT NOT NULL DEFAULT '',
-      parent TEXT NOT NULL DEFAULT '',
-      address TEXT NOT NULL DEFAULT '',
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    -- Transaction data tables
-    CREATE TABLE IF NOT EXISTS trn_voucher (
-      guid TEXT PRIMARY KEY,
-      date TEXT NOT NULL,
-      voucher_type TEXT NOT NULL,
-      voucher_number TEXT NOT NULL,
-      reference_number TEXT,
-      reference TEXT,
-      reference_date TEXT,
-      narration TEXT,
-      party_name TEXT,
-      party_ledger_name TEXT,
-      place_of_supply TEXT,
-      amount REAL DEFAULT 0,
-      is_cancelled INTEGER DEFAULT 0,
-      is_optional INTEGER DEFAULT 0,
-      is_invoice INTEGER DEFAULT 0,
-      is_accounting INTEGER DEFAULT 1,
-      is_inventory INTEGER DEFAULT 0,
-      is_accounting_voucher INTEGER DEFAULT 1,
-      is_inventory_voucher INTEGER DEFAULT 0,
-      is_order_voucher INTEGER DEFAULT 0,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally'
-    );
-
-    CREATE TABLE IF NOT EXISTS trn_accounting (
-      guid TEXT PRIMARY KEY,
-      voucher_guid TEXT NOT NULL,
-      voucher_number TEXT,
-      voucher_type TEXT,
-      voucher_date TEXT,
-      ledger TEXT NOT NULL,
-      ledger_name TEXT,
-      ledger_guid TEXT,
-      amount REAL DEFAULT 0,
-      amount_forex REAL DEFAULT 0,
-      currency TEXT DEFAULT '',
-      is_party_ledger INTEGER DEFAULT 0,
-      additional_allocation_type TEXT DEFAULT '',
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally',
-      FOREIGN KEY (voucher_guid) REFERENCES trn_voucher(guid)
-    );
-
-    CREATE TABLE IF NOT EXISTS trn_inventory (
-      guid TEXT PRIMARY KEY,
-      voucher_guid TEXT NOT NULL,
-      voucher_number TEXT,
-      voucher_type TEXT,
-      voucher_date TEXT,
-      item TEXT NOT NULL,
-      stock_item_name TEXT,
-      stock_item_guid TEXT,
-      quantity REAL DEFAULT 0,
-      rate REAL DEFAULT 0,
-      amount REAL DEFAULT 0,
-      additional_amount REAL DEFAULT 0,
-      discount_amount REAL DEFAULT 0,
-      godown TEXT,
-      tracking_number TEXT DEFAULT '',
-      order_number TEXT DEFAULT '',
-      order_duedate TEXT,
-      company_id TEXT NOT NULL,
-      division_id TEXT NOT NULL,
-      sync_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      source TEXT DEFAULT 'tally',
-      FOREIGN KEY (voucher_guid) REFERENCES trn_voucher(guid)
-    );
-
     -- Sync metadata table
     CREATE TABLE IF NOT EXISTS sync_metadata (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -276,20 +159,103 @@ function initializeDatabase() {
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(company_id, division_id, table_name)
     );
+
+    -- API keys of sync clients (only hash of key is stored)
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT DEFAULT '',
+      company_id TEXT NOT NULL,
+      division_id TEXT,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT,
+      revoked_at TEXT,
+      last_used_at TEXT,
+      replaced_by INTEGER
+    );
+
+    -- Statements run through execute-sql, along with caller
+    CREATE TABLE IF NOT EXISTS sql_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      executed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      principal TEXT,
+      ip_address TEXT,
+      sql TEXT NOT NULL,
+      params TEXT,
+      status TEXT NOT NULL,
+      rows_returned INTEGER,
+      rows_changed INTEGER,
+      error_message TEXT,
+      duration_ms INTEGER
+    );
+
+    -- Outbound queue (web app -> Tally)
+    -- status: pending (waiting) / sent (leased to client until lease_expires_at) / confirmed (applied in Tally) / failed (dead-lettered)
+    CREATE TABLE IF NOT EXISTS sync_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id TEXT NOT NULL,
+      division_id TEXT NOT NULL,
+      sync_id TEXT,
+      operation TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      error_message TEXT,
+      result TEXT,
+      lease_id TEXT,
+      leased_by TEXT,
+      lease_expires_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
   `;
 
-  db.exec(createTables, (err) => {
-    if (err) {
-      console.error('❌ Error creating tables:', err.message);
-    } else {
-      if (process.env.NODE_ENV !== 'production') {
-        console.log('✅ Database schema initialized successfully');
+  return new Promise((resolve, reject) => {
+    db.exec(createTables, (err) => {
+      if (err) {
+        console.error('❌ Error creating tables:', err.message);
+        reject(err);
+      } else {
+        if (process.env.NODE_ENV !== 'production') {
+          console.log('✅ Database schema initialized successfully');
+        }
+        migrateSchema().then(createIndexes).then(resolve, reject);
       }
-      createIndexes();
-    }
+    });
   });
 }
 
+// Creates tables of schema, and adds columns (new fields of definition) missing in tables of existing database
+// Columns are never dropped, so fields removed from definition are left as is
+// Table keyed by guid alone (earlier release) is re-created with key of schema, else company would overwrite rows of another
+async function migrateSchema() {
+  for (const table of schema.tables) {
+    const columns = await getAllSQL(`PRAGMA table_info(${table.name})`);
+    if (!columns.length) {
+      await runSQL(schema.getCreateTableSQL(table));
+      continue;
+    }
+    const missingColumns = table.columns.filter(p => !columns.some(q => q.name === p.name));
+    for (const column of missingColumns) {
+      await runSQL(schema.getAddColumnSQL(table, column));
+    }
+    if (missingColumns.length) {
+      console.log(`🔧 ${table.name}: added column(s) ${missingColumns.map(p => p.name).join(', ')}`);
+    }
+    const primaryKey = columns.filter(p => p.pk > 0).sort((a, b) => a.pk - b.pk).map(p => p.name);
+    if (primaryKey.join(',') !== table.primaryKey.join(',')) {
+      const lstColumn = [...columns.map(p => p.name), ...missingColumns.map(p => p.name)];
+      await runInTransaction(async () => {
+        for (const sql of schema.getRebuildTableSQL(table, lstColumn)) {
+          await runSQL(sql);
+        }
+      });
+      console.log(`🔧 ${table.name}: primary key changed from (${primaryKey.join(', ')}) to (${table.primaryKey.join(', ')})`);
+    }
+  }
+}
+
 // Create indexes for better performance
 function createIndexes() {
   if (process.env.NODE_ENV !== 'production') {
@@ -297,35 +263,50 @@ function createIndexes() {
   }
   
   const indexes = [
-    'CREATE INDEX IF NOT EXISTS idx_mst_group_company_division ON mst_group(company_id, division_id)',
-    'CREATE INDEX IF NOT EXISTS idx_mst_ledger_company_division ON mst_ledger(company_id, division_id)',
-    'CREATE INDEX IF NOT EXISTS idx_mst_stock_item_company_division ON mst_stock_item(company_id, division_id)',
-    'CREATE INDEX IF NOT EXISTS idx_trn_voucher_company_division ON trn_voucher(company_id, division_id)',
+    ...schema.tables.flatMap(p => schema.getIndexSQL(p)),
     'CREATE INDEX IF NOT EXISTS idx_trn_voucher_date ON trn_voucher(date)',
-    'CREATE INDEX IF NOT EXISTS idx_trn_voucher_guid ON trn_voucher(guid)',
     'CREATE INDEX IF NOT EXISTS idx_trn_voucher_number ON trn_voucher(voucher_number)',
-    'CREATE INDEX IF NOT EXISTS idx_trn_accounting_voucher_guid ON trn_accounting(voucher_guid)',
-    'CREATE INDEX IF NOT EXISTS idx_trn_inventory_voucher_guid ON trn_inventory(voucher_guid)',
-    'CREATE INDEX IF NOT EXISTS idx_sync_metadata_company_division ON sync_metadata(company_id, division_id)'
+    'CREATE INDEX IF NOT EXISTS idx_trn_voucher_alterid ON trn_voucher(company_id, division_id, alterid)',
+    'CREATE INDEX IF NOT EXISTS idx_sync_metadata_company_division ON sync_metadata(company_id, division_id)',
+    'CREATE INDEX IF NOT EXISTS idx_sync_queue_company_division_status ON sync_queue(company_id, division_id, status)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_queue_sync_id ON sync_queue(company_id, division_id, sync_id) WHERE sync_id IS NOT NULL'
   ];
 
   let completed = 0;
-  indexes.forEach((indexSQL, i) => {
-    db.exec(indexSQL, (err) => {
-      if (err) {
-        console.error(`❌ Error creating index ${i + 1}:`, err.message);
-      }
-      completed++;
-      if (completed === indexes.length && process.env.NODE_ENV !== 'production') {
-        console.log('✅ Database indexes created successfully');
-      }
+  return new Promise((resolve) => {
+    indexes.forEach((indexSQL, i) => {
+      db.exec(indexSQL, (err) => {
+        if (err) {
+          console.error(`❌ Error creating index ${i + 1}:`, err.message);
+        }
+        completed++;
+        if (completed === indexes.length) {
+          if (process.env.NODE_ENV !== 'production') {
+            console.log('✅ Database indexes created successfully');
+          }
+          resolve();
+        }
+      });
     });
   });
 }
 
+// Statements share single connection, so that one outside of transaction would otherwise run inside the open one
+// (and be undone by its ROLLBACK): they wait on the queue, while those of the transaction itself run straight away
+const transactionContext = new AsyncLocalStorage();
+let statementQueue = Promise.resolve();
+function enqueueStatement(statement) {
+  if (transactionContext.getStore()) {
+    return statement();
+  }
+  const result = statementQueue.then(statement);
+  statementQueue = result.catch(() => { });
+  return result;
+}
+
 // Helper function to run SQL queries
 function runSQL(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return enqueueStatement(() => new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) {
         reject(err);
@@ -333,12 +314,12 @@ function runSQL(sql, params = []) {
         resolve({ id: this.lastID, changes: this.changes });
       }
     });
-  });
+  }));
 }
 
 // Helper function to get single row
 function getSQL(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return enqueueStatement(() => new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) {
         reject(err);
@@ -346,12 +327,12 @@ function getSQL(sql, params = []) {
         resolve(row);
       }
     });
-  });
+  }));
 }
 
 // Helper function to get all rows
 function getAllSQL(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return enqueueStatement(() => new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) {
         reject(err);
@@ -359,9 +340,199 @@ function getAllSQL(sql, params = []) {
         resolve(rows);
       }
     });
+  }));
+}
+
+// Transaction holds the statement queue till COMMIT/ROLLBACK, so that neither another transaction
+// nor statement of concurrent request runs on the shared connection in between
+function runInTransaction(work) {
+  if (transactionContext.getStore()) {
+    return work();
+  }
+  return enqueueStatement(() => transactionContext.run(true, async () => {
+    await runSQL('BEGIN');
+    try {
+      const retval = await work();
+      await runSQL('COMMIT');
+      return retval;
+    } catch (err) {
+      await runSQL('ROLLBACK');
+      throw err;
+    }
+  }));
+}
+
+// Helper function to upsert single row
+function insertRow(tableName, row) {
+  const columns = Object.keys(row);
+  return runSQL(`INSERT OR REPLACE INTO ${tableName} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, Object.values(row));
+}
+
+// Voucher aggregate: voucher row carrying its entries, which replace all the stored entries of voucher
+// (entries removed from voucher in Tally would otherwise linger in child tables)
+// Entries of each child table are sent under legacy name of table (accounting_entries) if any, else under table name (trn_bill)
+const VOUCHER_CHILD_TABLES = Object.fromEntries(schema.getChildTables('trn_voucher').map(p => [
+  Object.keys(TABLE_MAPPING).find(name => name !== p.table && TABLE_MAPPING[name] === p.table) || p.table, p
+]));
+
+// Rows are written only into company & division of URL (which authorization is checked against)
+function isRowInScope(row, companyId, divisionId) {
+  return row.company_id === companyId && row.division_id === divisionId;
+}
+
+// Validates voucher aggregate along with its entries, which are defaulted to company, division & guid of voucher
+function prepareVoucherAggregate(aggregate, companyId, divisionId, syncTimestamp) {
+  if (!aggregate || typeof aggregate !== 'object' || Array.isArray(aggregate)) {
+    return { error: 'Record is not an object' };
+  }
+  const record = { ...aggregate };
+  Object.keys(VOUCHER_CHILD_TABLES).forEach(key => delete record[key]);
+  const { row: voucher, error } = schema.prepareRow('trn_voucher', record, { company_id: companyId, division_id: divisionId, sync_timestamp: syncTimestamp });
+  if (error || !isRowInScope(voucher, companyId, divisionId)) {
+    return { error: error || 'Record belongs to another company or division' };
+  }
+
+  const entries = {};
+  for (const [key, { table: tableName, field }] of Object.entries(VOUCHER_CHILD_TABLES)) {
+    const lstEntry = aggregate[key] || [];
+    if (!Array.isArray(lstEntry)) {
+      return { error: `${key} is not an array` };
+    }
+    entries[key] = [];
+    for (let i = 0; i < lstEntry.length; i++) {
+      const result = schema.prepareRow(tableName, { ...lstEntry[i], [field]: voucher.guid }, { company_id: companyId, division_id: divisionId, sync_timestamp: syncTimestamp });
+      if (result.error || !isRowInScope(result.row, companyId, divisionId)) {
+        return { error: `${key}[${i}]: ${result.error || 'Record belongs to another company or division'}` };
+      }
+      entries[key].push(result.row);
+    }
+  }
+  return { row: { voucher, entries } };
+}
+
+function syncVoucherAggregates(lstAggregate) {
+  return runInTransaction(async () => {
+    const result = { processed: 0, stale: 0, entries: Object.fromEntries(Object.keys(VOUCHER_CHILD_TABLES).map(key => [key, 0])) };
+    for (const { voucher, entries } of lstAggregate) {
+      // aggregate older than the stored voucher is skipped as a whole
+      const stored = await getSQL('SELECT alterid FROM trn_voucher WHERE guid = ? AND company_id = ? AND division_id = ?', [voucher.guid, voucher.company_id, voucher.division_id]);
+      if (stored && voucher.alterid !== undefined && voucher.alterid < (stored.alterid || 0)) {
+        result.stale++;
+        continue;
+      }
+
+      await insertRow('trn_voucher', voucher);
+      for (const [key, { table: tableName, field }] of Object.entries(VOUCHER_CHILD_TABLES)) {
+        await runSQL(`DELETE FROM ${tableName} WHERE ${field} = ? AND company_id = ? AND division_id = ?`, [voucher.guid, voucher.company_id, voucher.division_id]);
+        for (const entry of entries[key]) {
+          await insertRow(tableName, entry);
+          result.entries[key]++;
+        }
+      }
+      result.processed++;
+    }
+    return result;
   });
 }
 
+// Upserts rows of batch, grouped by their set of columns (records of batch need not carry same columns)
+// Group failing as a whole is retried row by row, so that only the offending rows are rejected
+async function upsertRows(tableName, lstRow, onRowError) {
+  const result = { processed: 0, stale: 0 };
+  const groups = new Map();
+  for (const item of lstRow) {
+    const key = Object.keys(item.row).join(',');
+    groups.set(key, [...(groups.get(key) || []), item]);
+  }
+
+  const upsert = async (columnNames, items) => {
+    const placeholders = items.map(() => `(${columnNames.map(() => '?').join(', ')})`).join(', ');
+    const columns = columnNames.join(', ');
+    const values = items.flatMap(p => columnNames.map(q => p.row[q]));
+    let sql = `INSERT OR REPLACE INTO ${tableName} (${columns}) VALUES ${placeholders}`;
+    const isVersioned = ALTERID_TABLES.includes(tableName) && columnNames.includes('alterid');
+    if (isVersioned) {
+      // Row older than the stored one (slow retry or another client pushing earlier snapshot) is left untouched
+      const primaryKey = schema.getTable(tableName).primaryKey;
+      const assignments = columnNames.filter(p => !primaryKey.includes(p)).map(p => `${p} = excluded.${p}`).join(', ');
+      sql = `INSERT INTO ${tableName} (${columns}) VALUES ${placeholders}
+        ON CONFLICT(${primaryKey.join(', ')}) DO UPDATE SET ${assignments} WHERE excluded.alterid >= COALESCE(${tableName}.alterid, 0)`;
+    }
+    const { changes } = await runSQL(sql, values);
+    const staleCount = isVersioned ? items.length - changes : 0;
+    result.processed += items.length - staleCount;
+    result.stale += staleCount;
+  };
+
+  for (const [key, items] of groups) {
+    const columnNames = key.split(',');
+    try {
+      await upsert(columnNames, items);
+    } catch (err) {
+      if (items.length === 1) {
+        onRowError(items[0].index, items[0].row, err.message);
+        continue;
+      }
+      for (const item of items) {
+        await upsert(columnNames, [item]).catch(errRow => onRowError(item.index, item.row, errRow.message));
+      }
+    }
+  }
+  return result;
+}
+
+// Highest AlterID stored for company & division (per table), which tells clients how far database is synced
+async function getHighWaterMark(tableName, companyId, divisionId) {
+  const row = await getSQL(`SELECT MAX(alterid) as alterid FROM ${tableName} WHERE company_id = ? AND division_id = ?`, [companyId, divisionId]);
+  return row && row.alterid ? row.alterid : 0;
+}
+
+// Identifies caller from X-API-Key header (admin key or API key issued to sync client) or Authorization: Bearer JWT
+async function authenticate(req) {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization') || '';
+  if (apiKey) {
+    if (ADMIN_API_KEY && isSameKey(apiKey, ADMIN_API_KEY)) {
+      return { type: 'admin_key', role: 'admin' };
+    }
+    const row = await getSQL('SELECT * FROM api_keys WHERE key_hash = ?', [hashApiKey(apiKey)]);
+    if (!row || row.revoked_at || (row.expires_at && row.expires_at <= new Date().toISOString())) {
+      throw new AuthError('Invalid, expired or revoked API key');
+    }
+    runSQL('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.id]).catch(() => { });
+    return { type: 'api_key', role: 'client', key_id: row.id, company_id: row.company_id, division_id: row.division_id };
+  }
+  if (authorization.startsWith('Bearer ')) {
+    if (!JWT_SECRET) {
+      throw new AuthError('JWT authentication is not configured');
+    }
+    const claims = verifyJWT(authorization.substring(7), JWT_SECRET);
+    if (claims.role === 'admin') {
+      return { type: 'jwt', role: 'admin', subject: claims.sub };
+    }
+    if (!claims.company_id) {
+      throw new AuthError('Token carries no company_id');
+    }
+    return { type: 'jwt', role: 'client', subject: claims.sub, company_id: claims.company_id, division_id: claims.division_id || null };
+  }
+  throw new AuthError('Authentication required');
+}
+
+function sendAuthError(res, err) {
+  if (!(err instanceof AuthError)) {
+    console.error('❌ Authentication error:', err.message);
+  }
+  res.status(err.status || 500).json({ success: false, error: err instanceof AuthError ? err.message : 'Authentication failed' });
+}
+
+// Routes spanning companies (raw SQL, key management) are permitted only to admin
+function requireAdmin(req, res, next) {
+  if (!req.principal || req.principal.role !== 'admin') {
+    return sendAuthError(res, new AuthError('Admin role required', 403));
+  }
+  next();
+}
+
 // Health check endpoint
 app.get('/api/v1/health', (req, res) => {
   res.json({
@@ -378,13 +549,7 @@ app.get('/api/v1/metadata/:companyId/:divisionId', async (req, res) => {
     const { companyId, divisionId } = req.params;
     
     const tables = {};
-    const tableNames = [
-      'mst_group', 'mst_ledger', 'mst_stock_group', 'mst_stock_item', 
-      'mst_vouchertype', 'mst_uom', 'mst_godown',
-      'trn_voucher', 'trn_accounting', 'trn_inventory'
-    ];
-    
-    for (const tableName of tableNames) {
+    for (const tableName of schema.tables.map(p => p.name)) {
       try {
         const count = await getSQL(`SELECT COUNT(*) as count FROM ${tableName} WHERE company_id = ? AND division_id = ?`, [companyId, divisionId]);
         tables[tableName] = count ? count.count : 0;
@@ -392,6 +557,11 @@ app.get('/api/v1/metadata/:companyId/:divisionId', async (req, res) => {
         tables[tableName] = 0;
       }
     }
+
+    const alterIds = {};
+    for (const tableName of ALTERID_TABLES) {
+      alterIds[tableName] = await getHighWaterMark(tableName, companyId, divisionId);
+    }
     
     res.json({
       success: true,
@@ -399,6 +569,9 @@ app.get('/api/v1/metadata/:companyId/:divisionId', async (req, res) => {
         company_id: companyId,
         division_id: divisionId,
         tables: tables,
+        alter_ids: alterIds,
+        last_alter_id_master: Math.max(...ALTERID_TABLES.filter(p => p.startsWith('mst_')).map(p => alterIds[p])),
+        last_alter_id_transaction: alterIds.trn_voucher,
         last_updated: new Date().toISOString()
       }
     });
@@ -419,7 +592,7 @@ app.get('/api/v1/metadata/:companyId/:divisionId', async (req, res) => {
 app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
   try {
     const { companyId, divisionId } = req.params;
-    const { table, data, sync_type, metadata } = req.body;
+    const { table, data, sync_type, metadata, mode } = req.body;
     
     if (!table || !data || !Array.isArray(data)) {
       return res.status(400).json({
@@ -433,46 +606,67 @@ app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
       console.log(`📊 Processing ${data.length} records for table: ${table}`);
     }
     
-    // Map table names
-    const tableMapping = {
-      'groups': 'mst_group',
-      'ledgers': 'mst_ledger',
-      'stock_items': 'mst_stock_item',
-      'stock_groups': 'mst_stock_group',
-      'voucher_types': 'mst_vouchertype',
-      'units': 'mst_uom',
-      'godowns': 'mst_godown',
-      'vouchers': 'trn_voucher',
-      'accounting_entries': 'trn_accounting',
-      'inventory_entries': 'trn_inventory'
-    };
-    
-    const targetTable = tableMapping[table];
+    const targetTable = TABLE_MAPPING[table];
     if (!targetTable) {
       return res.status(400).json({
         success: false,
         error: `Unknown table: ${table}`
       });
     }
+    const isAggregate = mode === 'aggregate';
+    if (isAggregate && targetTable !== 'trn_voucher') {
+      return res.status(400).json({
+        success: false,
+        error: `Aggregate mode is supported only for vouchers (trn_voucher), not ${table}`
+      });
+    }
     
     // Process data in batches
     const batchSize = 100;
     let totalProcessed = 0;
     let totalErrors = 0;
+    let totalStale = 0;
+    const totalEntries = Object.fromEntries(Object.keys(VOUCHER_CHILD_TABLES).map(key => [key, 0]));
+    const rowErrors = [];
+    const syncTimestamp = new Date().toISOString(); // unless sent by client, rows are stamped with time of sync (see updated_since of resource routes)
+    const addRowError = (index, record, error) => {
+      totalErrors++;
+      if (rowErrors.length < MAX_ROW_ERRORS) {
+        rowErrors.push({ index, guid: record && record.guid !== undefined ? record.guid : null, error });
+      }
+    };
     
     for (let i = 0; i < data.length; i += batchSize) {
       const batch = data.slice(i, i + batchSize);
+
+      // records failing validation are rejected individually, rest of batch is synced
+      const lstRow = [];
+      batch.forEach((record, j) => {
+        const { row, error } = isAggregate
+          ? prepareVoucherAggregate(record, companyId, divisionId, syncTimestamp)
+          : schema.prepareRow(targetTable, record, { company_id: companyId, division_id: divisionId, sync_timestamp: syncTimestamp });
+        if (error) {
+          addRowError(i + j, record, error);
+        } else if (!isAggregate && !isRowInScope(row, companyId, divisionId)) {
+          addRowError(i + j, record, 'Record belongs to another company or division');
+        } else {
+          lstRow.push({ index: i + j, row });
+        }
+      });
       
       try {
-        // Use INSERT OR REPLACE for upsert functionality
-        const placeholders = batch.map(() => `(${Object.keys(batch[0]).map(() => '?').join(', ')})`).join(', ');
-        const columns = Object.keys(batch[0]).join(', ');
-        const values = batch.flatMap(record => Object.values(record));
-        
-        const sql = `INSERT OR REPLACE INTO ${targetTable} (${columns}) VALUES ${placeholders}`;
-        await runSQL(sql, values);
-        
-        totalProcessed += batch.length;
+        if (isAggregate) {
+          // vouchers of batch along with their entries are replaced in single transaction (failed batch is rolled back)
+          const result = await syncVoucherAggregates(lstRow.map(p => p.row));
+          totalProcessed += result.processed;
+          totalStale += result.stale;
+          Object.keys(totalEntries).forEach(key => totalEntries[key] += result.entries[key]);
+          continue;
+        }
+
+        const result = await upsertRows(targetTable, lstRow, addRowError);
+        totalProcessed += result.processed;
+        totalStale += result.stale;
         
         // Minimal logging in production - only every 10th batch or errors
         const batchNum = Math.floor(i/batchSize) + 1;
@@ -490,7 +684,7 @@ app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
           errorTracker.set(errorKey, errorCount + 1);
         }
         
-        totalErrors += batch.length;
+        lstRow.forEach(p => addRowError(p.index, isAggregate ? p.row.voucher : p.row, batchError.message));
       }
     }
     
@@ -511,7 +705,9 @@ app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
     ]);
     
     // Always log completion summary
-    console.log(`✅ ${table}: ${totalProcessed} processed, ${totalErrors} errors`);
+    console.log(`✅ ${table}: ${totalProcessed} processed, ${totalStale} stale, ${totalErrors} errors`);
+
+    const highWaterMark = ALTERID_TABLES.includes(targetTable) ? await getHighWaterMark(targetTable, companyId, divisionId) : null;
     
     res.json({
       success: true,
@@ -520,7 +716,11 @@ app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
         table: table,
         total_records: data.length,
         processed: totalProcessed,
+        stale: totalStale,
         failed: totalErrors,
+        errors: rowErrors,
+        high_water_mark: highWaterMark,
+        ...(isAggregate ? { mode, entries: totalEntries } : {}),
         sync_type: sync_type || 'full',
         company_id: companyId,
         division_id: divisionId,
@@ -546,59 +746,201 @@ app.post('/api/v1/bulk-sync/:companyId/:divisionId', async (req, res) => {
   }
 });
 
-// Query endpoint
-app.post('/api/v1/query', async (req, res) => {
+// GUIDs stored for company & division, compared by sync clients with those of Tally to detect deleted rows
+// Query string: from_date, to_date (period of vouchers exported from Tally, rows out of period are not deleted ones)
+app.get('/api/v1/guids/:companyId/:divisionId/:table', async (req, res) => {
   try {
-    const { sql, params = [] } = req.body;
-    
-    if (!sql) {
+    const { companyId, divisionId, table } = req.params;
+    const { from_date, to_date } = req.query;
+    const targetTable = TABLE_MAPPING[table];
+    if (!targetTable) {
       return res.status(400).json({
         success: false,
-        error: 'SQL query is required'
+        error: `Unknown table: ${table}`
       });
     }
-    
-    const result = await getAllSQL(sql, params);
-    
+
+    const conditions = ['company_id = ?', 'division_id = ?'];
+    const params = [companyId, divisionId];
+    if (from_date !== undefined) {
+      conditions.push('date >= ?');
+      params.push(schema.coerceColumn(targetTable, 'date', from_date));
+    }
+    if (to_date !== undefined) {
+      conditions.push('date <= ?');
+      params.push(schema.coerceColumn(targetTable, 'date', to_date));
+    }
+    const rows = await getAllSQL(`SELECT guid FROM ${targetTable} WHERE ${conditions.join(' AND ')}`, params);
+
     res.json({
       success: true,
-      data: result,
-      count: result.length
+      data: {
+        table: table,
+        guids: rows.map(p => p.guid),
+        count: rows.length
+      }
     });
-    
+
   } catch (error) {
-    // Minimal query error logging
-    if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Query error:', error);
+    if (error instanceof QueryError) {
+      return res.status(400).json({ success: false, error: error.message });
     }
-    res.status(500).json({
-      success: false,
-      error: error.message
+    console.error('❌ GUID list error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete rows (deleted in Tally) by GUID along with rows of their child tables, in single transaction
+app.post('/api/v1/delete-records/:companyId/:divisionId', async (req, res) => {
+  try {
+    const { companyId, divisionId } = req.params;
+    const { table, guids } = req.body;
+
+    if (!table || !Array.isArray(guids)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: table and guids array are required'
+      });
+    }
+    const targetTable = TABLE_MAPPING[table];
+    if (!targetTable) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown table: ${table}`
+      });
+    }
+
+    const cascaded = {};
+    const deleted = await runInTransaction(async () => {
+      let retval = 0;
+      for (let i = 0; i < guids.length; i += DELETE_BATCH_SIZE) {
+        const batch = guids.slice(i, i + DELETE_BATCH_SIZE).map(String);
+        const placeholders = batch.map(() => '?').join(', ');
+        for (const { table: childTable, field } of CASCADE_DELETE[targetTable] || []) {
+          const result = await runSQL(`DELETE FROM ${childTable} WHERE ${field} IN (${placeholders}) AND company_id = ? AND division_id = ?`, [...batch, companyId, divisionId]);
+          cascaded[childTable] = (cascaded[childTable] || 0) + result.changes;
+        }
+        const result = await runSQL(`DELETE FROM ${targetTable} WHERE guid IN (${placeholders}) AND company_id = ? AND division_id = ?`, [...batch, companyId, divisionId]);
+        retval += result.changes;
+      }
+      return retval;
+    });
+
+    console.log(`🗑️ ${table}: ${deleted} deleted`);
+
+    res.json({
+      success: true,
+      data: {
+        table: table,
+        requested: guids.length,
+        deleted: deleted,
+        cascaded: cascaded,
+        company_id: companyId,
+        division_id: divisionId
+      }
     });
+
+  } catch (error) {
+    console.error('❌ Delete records error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Execute SQL endpoint
-app.post('/api/v1/execute-sql', async (req, res) => {
+// Query endpoint: structured read of table (validated against schema), restricted to company & division of URL
+app.post('/api/v1/query/:companyId/:divisionId', async (req, res) => {
   try {
-    const { sql, params = [] } = req.body;
-    
-    if (!sql) {
+    const { companyId, divisionId } = req.params;
+    const { table } = req.body || {};
+    const targetTable = schema.resolveTable(table);
+    if (!targetTable) {
       return res.status(400).json({
         success: false,
-        error: 'SQL query is required'
+        error: `Unknown table: ${table}`
       });
     }
-    
-    const result = await runSQL(sql, params);
-    
+
+    const query = schema.buildQuery(targetTable, req.body, { company_id: companyId, division_id: divisionId });
+    const rows = await getAllSQL(query.sql, query.params);
+    const { count } = await getSQL(query.countSql, query.countParams);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      pagination: {
+        limit: query.limit,
+        offset: query.offset,
+        total: count,
+        has_more: query.offset + rows.length < count
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Query error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Raw SQL is no longer read through query endpoint
+app.post('/api/v1/query', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Raw SQL query is no longer supported, use POST /api/v1/query/{companyId}/{divisionId} with table, columns, filters & sort (or /api/v1/execute-sql as admin)'
+  });
+});
+
+// Caller recorded in SQL audit (admin key, subject of JWT or id of API key)
+function describePrincipal(principal) {
+  if (principal.type === 'jwt') {
+    return `jwt:${principal.subject || ''}`;
+  } else if (principal.type === 'api_key') {
+    return `api_key:${principal.key_id}`;
+  } else {
+    return principal.type;
+  }
+}
+
+async function auditSQL(req, sql, params, outcome) {
+  const principal = describePrincipal(req.principal);
+  console.log(`🛡️ SQL by ${principal} (${outcome.error ? 'error' : 'success'}): ${String(sql).substring(0, 200)}`);
+  await runSQL(`INSERT INTO sql_audit (executed_at, principal, ip_address, sql, params, status, rows_returned, rows_changed, error_message, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+    new Date().toISOString(), principal, req.ip, String(sql), JSON.stringify(params),
+    outcome.error ? 'error' : 'success', outcome.rows ?? null, outcome.changes ?? null, outcome.error || null, outcome.duration
+  ]);
+}
+
+// Execute SQL endpoint (admin only, every statement is audited), rows are returned for reads
+app.post('/api/v1/execute-sql', requireAdmin, async (req, res) => {
+  const { sql, params = [] } = req.body || {};
+  if (!sql) {
+    return res.status(400).json({
+      success: false,
+      error: 'SQL query is required'
+    });
+  }
+
+  const startedAt = Date.now();
+  try {
+    const isRead = /^\s*(select|with|pragma|explain)\b/i.test(sql);
+    const result = isRead ? await getAllSQL(sql, params) : await runSQL(sql, params);
+    await auditSQL(req, sql, params, isRead ? { rows: result.length, duration: Date.now() - startedAt } : { changes: result.changes, duration: Date.now() - startedAt });
+
     res.json({
       success: true,
       message: 'SQL executed successfully',
-      data: result
+      data: result,
+      ...(isRead ? { count: result.length } : {})
     });
-    
+
   } catch (error) {
+    await auditSQL(req, sql, params, { error: error.message, duration: Date.now() - startedAt }).catch(() => { });
     // Minimal execute SQL error logging
     if (process.env.NODE_ENV !== 'production') {
       console.error('❌ Execute SQL error:', error);
@@ -610,22 +952,624 @@ app.post('/api/v1/execute-sql', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Railway SQLite server running on port ${PORT}`);
-  console.log(`📊 Database: ${DB_PATH}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/v1/health`);
+// Audit trail of execute-sql (admin only), latest first
+app.get('/api/v1/sql-audit', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const rows = await getAllSQL('SELECT * FROM sql_audit ORDER BY id DESC LIMIT ?', [limit]);
+    res.json({ success: true, data: rows.map(p => ({ ...p, params: p.params ? JSON.parse(p.params) : [] })) });
+
+  } catch (error) {
+    console.error('❌ SQL audit error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server...');
-  db.close((err) => {
-    if (err) {
-      console.error('❌ Error closing database:', err.message);
+// Resource routes: cursor carries sort value & guid of last row of page (keyset pagination, unaffected by rows synced meanwhile)
+function encodeCursor(sortValue, guid) {
+  return Buffer.from(JSON.stringify([sortValue, guid])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const retval = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(retval) && retval.length === 2) {
+      return retval;
+    }
+  } catch (err) { }
+  throw new QueryError('Invalid cursor');
+}
+
+// Lists page of rows of company & division from table keyed by guid, ordered by sortColumn (and guid)
+// Query string: fields (comma separated), updated_since (sync timestamp), alterid_gt, order (asc / desc), limit, cursor
+async function listResource(req, tableName, sortColumn, conditions = [], params = []) {
+  const { companyId, divisionId } = req.params;
+  const { fields, updated_since, alterid_gt, order, limit, cursor } = req.query;
+
+  const lstField = fields ? String(fields).split(',').map(p => p.trim()).filter(p => p) : schema.getTable(tableName).columns.map(p => p.name);
+  lstField.forEach(p => schema.getColumn(tableName, p));
+  const lstColumn = [...new Set([...lstField, sortColumn, 'guid'])]; // sort value & guid are required for cursor
+
+  const lstCondition = ['company_id = ?', 'division_id = ?', ...conditions];
+  const lstParam = [companyId, divisionId, ...params];
+  if (updated_since !== undefined) {
+    if (isNaN(Date.parse(updated_since))) {
+      throw new QueryError(`Invalid updated_since: ${updated_since}`);
+    }
+    lstCondition.push('datetime(sync_timestamp) >= datetime(?)');
+    lstParam.push(new Date(updated_since).toISOString());
+  }
+  if (alterid_gt !== undefined) {
+    lstCondition.push('alterid > ?');
+    lstParam.push(schema.coerceColumn(tableName, 'alterid', alterid_gt));
+  }
+
+  if (order !== undefined && order !== 'asc' && order !== 'desc') {
+    throw new QueryError(`Invalid order: ${order}`);
+  }
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const sortExpression = `COALESCE(${sortColumn}, '')`;
+  if (cursor) {
+    const [sortValue, guid] = decodeCursor(cursor);
+    const comparison = direction === 'DESC' ? '<' : '>';
+    lstCondition.push(`(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND guid ${comparison} ?))`);
+    lstParam.push(sortValue, sortValue, guid);
+  }
+
+  const pageSize = limit === undefined ? RESOURCE_PAGE_SIZE : parseInt(limit);
+  if (!(pageSize >= 1 && pageSize <= RESOURCE_MAX_PAGE_SIZE)) {
+    throw new QueryError(`limit must be between 1 and ${RESOURCE_MAX_PAGE_SIZE}`);
+  }
+
+  // one row beyond page tells whether more rows follow
+  const rows = await getAllSQL(`SELECT ${lstColumn.join(', ')} FROM ${tableName} WHERE ${lstCondition.join(' AND ')}
+    ORDER BY ${sortExpression} ${direction}, guid ${direction} LIMIT ?`, [...lstParam, pageSize + 1]);
+  const hasMore = rows.length > pageSize;
+  const records = rows.slice(0, pageSize);
+  const last = records[records.length - 1];
+
+  return {
+    records: records.map(row => Object.fromEntries(lstField.map(p => [p, row[p]]))),
+    count: records.length,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(last[sortColumn] ?? '', last.guid) : null
+  };
+}
+
+function sendResourceError(res, error) {
+  if (error instanceof QueryError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error('❌ Resource error:', error.message);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Masters of company & division, by name
+app.get('/api/v1/masters/:resource/:companyId/:divisionId', async (req, res) => {
+  try {
+    const tableName = Object.prototype.hasOwnProperty.call(MASTER_RESOURCES, req.params.resource) ? MASTER_RESOURCES[req.params.resource] : null;
+    if (!tableName) {
+      return res.status(404).json({ success: false, error: `Unknown resource: ${req.params.resource}` });
+    }
+    const data = await listResource(req, tableName, 'name');
+    res.json({ success: true, data });
+
+  } catch (error) {
+    sendResourceError(res, error);
+  }
+});
+
+// Vouchers of company & division, by date
+// Query string (besides that of listResource): from_date, to_date, voucher_type (repeated or comma separated)
+app.get('/api/v1/vouchers/:companyId/:divisionId', async (req, res) => {
+  try {
+    const { from_date, to_date, voucher_type } = req.query;
+    const conditions = [];
+    const params = [];
+    if (from_date !== undefined) {
+      conditions.push('date >= ?');
+      params.push(schema.coerceColumn('trn_voucher', 'date', from_date));
+    }
+    if (to_date !== undefined) {
+      conditions.push('date <= ?');
+      params.push(schema.coerceColumn('trn_voucher', 'date', to_date));
+    }
+    if (voucher_type !== undefined) {
+      const lstVoucherType = [].concat(voucher_type).flatMap(p => String(p).split(',')).map(p => p.trim()).filter(p => p);
+      if (lstVoucherType.length) {
+        conditions.push(`voucher_type IN (${lstVoucherType.map(() => '?').join(', ')})`);
+        params.push(...lstVoucherType);
+      }
+    }
+    const data = await listResource(req, 'trn_voucher', 'date', conditions, params);
+    res.json({ success: true, data });
+
+  } catch (error) {
+    sendResourceError(res, error);
+  }
+});
+
+// Voucher graph: allocations of ledger entries (rows carry guid of voucher, matched to entry by ledger)
+const LEDGER_ALLOCATIONS = {
+  bill_allocations: 'trn_bill',
+  bank_allocations: 'trn_bank',
+  cost_centre_allocations: 'trn_cost_centre',
+  cost_category_allocations: 'trn_cost_category_centre'
+};
+// Voucher graph: allocations of inventory entries (matched to entry by item)
+const INVENTORY_ALLOCATIONS = {
+  batch_allocations: 'trn_batch',
+  cost_category_allocations: 'trn_cost_inventory_category_centre'
+};
+
+// Rows of table (if present in schema) belonging to voucher
+function getVoucherRows(tableName, field, voucherGuid, companyId, divisionId) {
+  if (!schema.getTable(tableName)) {
+    return Promise.resolve([]);
+  }
+  return getAllSQL(`SELECT * FROM ${tableName} WHERE ${field} = ? AND company_id = ? AND division_id = ? ORDER BY rowid`, [voucherGuid, companyId, divisionId]);
+}
+
+// Allocations are attached to first entry of their ledger / item (same ledger repeated in voucher carries them once)
+function attachAllocations(lstEntry, keyField, allocations) {
+  for (const [key, rows] of Object.entries(allocations)) {
+    lstEntry.forEach(entry => entry[key] = []);
+    for (const row of rows) {
+      const entry = lstEntry.find(p => p[keyField] === row[keyField]);
+      if (entry) {
+        entry[key].push(row);
+      }
+    }
+  }
+}
+
+// Voucher along with its ledger & inventory entries, their allocations, party ledger and godowns, for rendering in one call
+app.get('/api/v1/vouchers/:companyId/:divisionId/:guid', async (req, res) => {
+  try {
+    const { companyId, divisionId, guid } = req.params;
+    const voucher = await getSQL('SELECT * FROM trn_voucher WHERE guid = ? AND company_id = ? AND division_id = ?', [guid, companyId, divisionId]);
+    if (!voucher) {
+      return res.status(404).json({ success: false, error: `Voucher ${guid} not found` });
+    }
+
+    const ledgerEntries = await getVoucherRows('trn_accounting', 'voucher_guid', guid, companyId, divisionId);
+    const inventoryEntries = await getVoucherRows('trn_inventory', 'voucher_guid', guid, companyId, divisionId);
+    const ledgerAllocations = {};
+    for (const [key, tableName] of Object.entries(LEDGER_ALLOCATIONS)) {
+      ledgerAllocations[key] = await getVoucherRows(tableName, 'guid', guid, companyId, divisionId);
+    }
+    const inventoryAllocations = {};
+    for (const [key, tableName] of Object.entries(INVENTORY_ALLOCATIONS)) {
+      inventoryAllocations[key] = await getVoucherRows(tableName, 'guid', guid, companyId, divisionId);
+    }
+    attachAllocations(ledgerEntries, 'ledger', ledgerAllocations);
+    attachAllocations(inventoryEntries, 'item', inventoryAllocations);
+
+    const party = voucher.party_name
+      ? await getSQL('SELECT * FROM mst_ledger WHERE name = ? AND company_id = ? AND division_id = ?', [voucher.party_name, companyId, divisionId])
+      : null;
+    const lstGodown = [...new Set([...inventoryEntries.map(p => p.godown), ...inventoryAllocations.batch_allocations.flatMap(p => [p.godown, p.destination_godown])].filter(p => p))];
+    const godowns = lstGodown.length
+      ? await getAllSQL(`SELECT * FROM mst_godown WHERE name IN (${lstGodown.map(() => '?').join(', ')}) AND company_id = ? AND division_id = ? ORDER BY name`, [...lstGodown, companyId, divisionId])
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        voucher,
+        party: party || null,
+        ledger_entries: ledgerEntries,
+        inventory_entries: inventoryEntries,
+        inventory_ledger_entries: await getVoucherRows('trn_inventory_accounting', 'guid', guid, companyId, divisionId),
+        godowns
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Voucher detail error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Financial reports available, along with their parameters & columns
+app.get('/api/v1/reports', (req, res) => {
+  res.json({ success: true, data: reports.listReports() });
+});
+
+// Financial report of company & division as JSON (default) or CSV (format=csv)
+// Query string: from_date, to_date and filters of report (ledger, group, item)
+app.get('/api/v1/reports/:report/:companyId/:divisionId', async (req, res) => {
+  try {
+    const { report, companyId, divisionId } = req.params;
+    if (!reports.hasReport(report)) {
+      return res.status(404).json({ success: false, error: `Unknown report: ${report}` });
+    }
+    const { format, ...query } = req.query;
+    if (format !== undefined && format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ success: false, error: `Invalid format: ${format}` });
+    }
+
+    const { columns, sql, params, from_date, to_date } = reports.buildReport(report, query, { company_id: companyId, division_id: divisionId });
+    const rows = await getAllSQL(sql, params);
+
+    if (format === 'csv') {
+      res.attachment(`${report}.csv`);
+      return res.type('text/csv').send(toCSV(columns, rows));
+    }
+    res.json({ success: true, data: { report, from_date, to_date, columns, rows, count: rows.length } });
+
+  } catch (error) {
+    sendResourceError(res, error);
+  }
+});
+
+// API keys: columns of key for response (hash never leaves server)
+function formatApiKey(row) {
+  const { key_hash, ...retval } = row;
+  return retval;
+}
+
+// API keys: issue new key, returned along with its row as it cannot be recovered later
+async function issueApiKey(companyId, divisionId, name, expiresAt) {
+  const key = generateApiKey();
+  const result = await runSQL('INSERT INTO api_keys (name, company_id, division_id, key_prefix, key_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [name, companyId, divisionId, key.substring(0, 12), hashApiKey(key), new Date().toISOString(), expiresAt]);
+  const row = await getSQL('SELECT * FROM api_keys WHERE id = ?', [result.id]);
+  return { ...formatApiKey(row), key };
+}
+
+// API keys: issue key to sync client of company (all divisions, unless division_id is given)
+app.post('/api/v1/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const { company_id, division_id, name, expires_at } = req.body || {};
+    if (!company_id) {
+      return res.status(400).json({ success: false, error: 'company_id is required' });
+    }
+    if (expires_at && isNaN(Date.parse(expires_at))) {
+      return res.status(400).json({ success: false, error: `Invalid expires_at: ${expires_at}` });
+    }
+
+    const data = await issueApiKey(company_id, division_id || null, name || '', expires_at ? new Date(expires_at).toISOString() : null);
+    console.log(`🔑 API key ${data.id} issued for company ${company_id}`);
+    res.status(201).json({ success: true, data });
+
+  } catch (error) {
+    console.error('❌ API key error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/v1/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const { company_id } = req.query;
+    const rows = company_id
+      ? await getAllSQL('SELECT * FROM api_keys WHERE company_id = ? ORDER BY id', [company_id])
+      : await getAllSQL('SELECT * FROM api_keys ORDER BY id');
+    res.json({ success: true, data: rows.map(formatApiKey) });
+
+  } catch (error) {
+    console.error('❌ API key error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API keys: replace key by new one of same scope, old key stays valid for grace_seconds (so that client can switch over)
+app.post('/api/v1/api-keys/:id/rotate', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const graceSeconds = Math.max(0, parseInt((req.body || {}).grace_seconds) || 0);
+    const row = await getSQL('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL', [id]);
+    if (!row) {
+      return res.status(404).json({ success: false, error: `API key ${id} not found or revoked` });
+    }
+
+    const data = await issueApiKey(row.company_id, row.division_id, row.name, row.expires_at);
+    const now = new Date();
+    if (graceSeconds) {
+      const expiresAt = new Date(now.getTime() + graceSeconds * 1000).toISOString();
+      await runSQL('UPDATE api_keys SET expires_at = ?, replaced_by = ? WHERE id = ?', [row.expires_at && row.expires_at < expiresAt ? row.expires_at : expiresAt, data.id, id]);
     } else {
-      console.log('✅ Database connection closed');
+      await runSQL('UPDATE api_keys SET revoked_at = ?, replaced_by = ? WHERE id = ?', [now.toISOString(), data.id, id]);
     }
-    process.exit(0);
-  });
+    console.log(`🔑 API key ${id} rotated to ${data.id}`);
+    res.json({ success: true, data });
+
+  } catch (error) {
+    console.error('❌ API key error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/v1/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await runSQL('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), id]);
+    if (!result.changes) {
+      return res.status(404).json({ success: false, error: `API key ${id} not found or already revoked` });
+    }
+    console.log(`🔑 API key ${id} revoked`);
+    const row = await getSQL('SELECT * FROM api_keys WHERE id = ?', [id]);
+    res.json({ success: true, data: formatApiKey(row) });
+
+  } catch (error) {
+    console.error('❌ API key error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sync queue: parse JSON columns of queue item for response
+function formatQueueItem(item) {
+  return {
+    ...item,
+    payload: item.payload ? JSON.parse(item.payload) : null,
+    result: item.result ? JSON.parse(item.result) : null
+  };
+}
+
+// Sync queue: fetch item leased by client, responding with error if lease is no longer held
+async function getLeasedQueueItem(req, res) {
+  const { companyId, divisionId, id } = req.params;
+  const { lease_id } = req.body || {};
+
+  const item = await getSQL('SELECT * FROM sync_queue WHERE id = ? AND company_id = ? AND division_id = ?', [id, companyId, divisionId]);
+  if (!item) {
+    res.status(404).json({ success: false, error: `Queue item ${id} not found` });
+    return null;
+  }
+  if (!lease_id || item.status !== 'sent' || item.lease_id !== lease_id) {
+    res.status(409).json({ success: false, error: `Queue item ${id} is not leased with given lease_id (status: ${item.status})` });
+    return null;
+  }
+  return item;
+}
+
+// Sync queue: payload of cancel / delete carries details of voucher required by Tally, along with numbering method of its
+// voucher type (voucher of automatic numbering is cancelled instead of being deleted, see TallyWriter.deleteVoucher)
+async function getVoucherRemovalPayload(companyId, divisionId, payload) {
+  const voucher = await getSQL('SELECT guid, date, voucher_type, voucher_number FROM trn_voucher WHERE guid = ? AND company_id = ? AND division_id = ?', [String(payload.guid || ''), companyId, divisionId]);
+  if (!voucher) return null;
+  const voucherType = await getSQL('SELECT numbering_method FROM mst_vouchertype WHERE name = ? AND company_id = ? AND division_id = ?', [voucher.voucher_type, companyId, divisionId]);
+  return { ...payload, ...voucher, numbering_method: voucherType ? voucherType.numbering_method : '' };
+}
+
+// Sync queue: reflect voucher cancelled / deleted in Tally, action reported by client prevails as deletion may turn into cancellation
+async function applyVoucherRemoval(item, result) {
+  const { guid } = JSON.parse(item.payload);
+  const action = result && result.action ? result.action : item.operation.replace('_voucher', '');
+  const params = [guid, item.company_id, item.division_id];
+  // cancelled voucher retains its number but no longer has any entries, bills, batches, etc.
+  for (const { table: childTable, field } of CASCADE_DELETE.trn_voucher) {
+    await runSQL(`DELETE FROM ${childTable} WHERE ${field} = ? AND company_id = ? AND division_id = ?`, params);
+  }
+  if (action === 'delete') {
+    await runSQL('DELETE FROM trn_voucher WHERE guid = ? AND company_id = ? AND division_id = ?', params);
+  } else {
+    await runSQL('UPDATE trn_voucher SET is_cancelled = 1, amount = 0, sync_timestamp = ? WHERE guid = ? AND company_id = ? AND division_id = ?', [new Date().toISOString(), ...params]);
+  }
+}
+
+// Enqueue change to be pushed into Tally
+app.post('/api/v1/sync-queue/:companyId/:divisionId', async (req, res) => {
+  try {
+    const { companyId, divisionId } = req.params;
+    const { operation, payload, sync_id } = req.body;
+
+    if (!QUEUE_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid operation: ${operation}, expected one of ${QUEUE_OPERATIONS.join(', ')}`
+      });
+    }
+    if (!payload || typeof payload !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: payload object is required'
+      });
+    }
+
+    let payloadQueued = payload;
+    if (QUEUE_VOUCHER_REMOVAL.includes(operation)) {
+      payloadQueued = await getVoucherRemovalPayload(companyId, divisionId, payload);
+      if (!payloadQueued) {
+        return res.status(404).json({
+          success: false,
+          error: `Voucher not found: ${payload.guid}`
+        });
+      }
+    }
+
+    // same sync_id is queued only once, so that retries of web app do not create duplicates in Tally
+    const { id, changes } = await runSQL(
+      `INSERT INTO sync_queue (company_id, division_id, sync_id, operation, payload) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (company_id, division_id, sync_id) WHERE sync_id IS NOT NULL DO NOTHING`,
+      [companyId, divisionId, sync_id ? String(sync_id) : null, operation, JSON.stringify(payloadQueued)]
+    );
+    if (!changes) {
+      const existing = await getSQL('SELECT * FROM sync_queue WHERE company_id = ? AND division_id = ? AND sync_id = ?', [companyId, divisionId, String(sync_id)]);
+      return res.json({ success: true, duplicate: true, data: formatQueueItem(existing) });
+    }
+    const item = await getSQL('SELECT * FROM sync_queue WHERE id = ?', [id]);
+
+    res.status(201).json({ success: true, data: formatQueueItem(item) });
+
+  } catch (error) {
+    console.error('❌ Enqueue error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List queue items with status-wise counts
+app.get('/api/v1/sync-queue/:companyId/:divisionId', async (req, res) => {
+  try {
+    const { companyId, divisionId } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const counts = { pending: 0, sent: 0, confirmed: 0, failed: 0 };
+    const rows = await getAllSQL('SELECT status, COUNT(*) as count FROM sync_queue WHERE company_id = ? AND division_id = ? GROUP BY status', [companyId, divisionId]);
+    rows.forEach(row => counts[row.status] = row.count);
+
+    const items = await getAllSQL(
+      `SELECT * FROM sync_queue WHERE company_id = ? AND division_id = ?${status ? ' AND status = ?' : ''} ORDER BY id LIMIT ?`,
+      status ? [companyId, divisionId, status, limit] : [companyId, divisionId, limit]
+    );
+
+    res.json({ success: true, data: { counts, items: items.map(formatQueueItem) } });
+
+  } catch (error) {
+    console.error('❌ Queue list error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
+
+// Lease batch of items to client, hiding them from other clients until visibility timeout
+app.post('/api/v1/sync-queue/:companyId/:divisionId/lease', async (req, res) => {
+  try {
+    const { companyId, divisionId } = req.params;
+    const { client_id } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || 10, 100);
+    const { visibility_timeout } = req.body;
+
+    if (!client_id) {
+      return res.status(400).json({ success: false, error: 'client_id is required' });
+    }
+    if (visibility_timeout !== undefined && !(/^\d+$/.test(String(visibility_timeout)) && parseInt(visibility_timeout) > 0)) {
+      return res.status(400).json({ success: false, error: 'visibility_timeout must be a positive integer (seconds)' });
+    }
+    const visibilityTimeout = Math.min(visibility_timeout === undefined ? QUEUE_VISIBILITY_TIMEOUT : parseInt(visibility_timeout), QUEUE_MAX_VISIBILITY_TIMEOUT);
+
+    const now = new Date();
+    const leaseId = crypto.randomUUID();
+    const leaseExpiresAt = new Date(now.getTime() + visibilityTimeout * 1000).toISOString();
+
+    // items whose lease expired after exhausting all the attempts are dead-lettered instead of being offered again
+    await runSQL(
+      `UPDATE sync_queue SET status = 'failed', error_message = COALESCE(error_message, 'Lease expired without acknowledgement'), lease_id = NULL, updated_at = ?
+       WHERE company_id = ? AND division_id = ? AND status = 'sent' AND lease_expires_at < ? AND attempts >= ?`,
+      [now.toISOString(), companyId, divisionId, now.toISOString(), QUEUE_MAX_ATTEMPTS]
+    );
+
+    // single statement, so that concurrent lease requests never pick the same item
+    const items = await getAllSQL(
+      `UPDATE sync_queue SET status = 'sent', lease_id = ?, leased_by = ?, lease_expires_at = ?, attempts = attempts + 1, updated_at = ?
+       WHERE id IN (
+         SELECT id FROM sync_queue
+         WHERE company_id = ? AND division_id = ? AND (status = 'pending' OR (status = 'sent' AND lease_expires_at < ?))
+         ORDER BY id LIMIT ?
+       )
+       RETURNING *`,
+      [leaseId, String(client_id), leaseExpiresAt, now.toISOString(), companyId, divisionId, now.toISOString(), limit]
+    );
+    items.sort((a, b) => a.id - b.id);
+
+    res.json({
+      success: true,
+      data: {
+        lease_id: leaseId,
+        lease_expires_at: leaseExpiresAt,
+        items: items.map(formatQueueItem)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Queue lease error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Acknowledge item applied in Tally
+app.post('/api/v1/sync-queue/:companyId/:divisionId/:id/ack', async (req, res) => {
+  try {
+    const item = await getLeasedQueueItem(req, res);
+    if (!item) return;
+
+    // voucher is removed along with confirmation of item, so that neither is left behind without the other
+    await runInTransaction(async () => {
+      await runSQL(
+        `UPDATE sync_queue SET status = 'confirmed', result = ?, error_message = NULL, lease_id = NULL, lease_expires_at = NULL, updated_at = ? WHERE id = ?`,
+        [JSON.stringify(req.body.result ?? null), new Date().toISOString(), item.id]
+      );
+      if (QUEUE_VOUCHER_REMOVAL.includes(item.operation)) {
+        await applyVoucherRemoval(item, req.body.result);
+      }
+    });
+    const updated = await getSQL('SELECT * FROM sync_queue WHERE id = ?', [item.id]);
+
+    res.json({ success: true, data: formatQueueItem(updated) });
+
+  } catch (error) {
+    console.error('❌ Queue ack error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Report failed attempt, item is offered again until attempts are exhausted
+app.post('/api/v1/sync-queue/:companyId/:divisionId/:id/fail', async (req, res) => {
+  try {
+    const item = await getLeasedQueueItem(req, res);
+    if (!item) return;
+
+    const status = item.attempts >= QUEUE_MAX_ATTEMPTS ? 'failed' : 'pending';
+    await runSQL(
+      `UPDATE sync_queue SET status = ?, error_message = ?, lease_id = NULL, lease_expires_at = NULL, updated_at = ? WHERE id = ?`,
+      [status, String(req.body.error || 'Unknown error'), new Date().toISOString(), item.id]
+    );
+    const updated = await getSQL('SELECT * FROM sync_queue WHERE id = ?', [item.id]);
+
+    res.json({ success: true, data: formatQueueItem(updated) });
+
+  } catch (error) {
+    console.error('❌ Queue fail error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dead-letter item which can never succeed (e.g. rejected by Tally), it is not offered again
+app.post('/api/v1/sync-queue/:companyId/:divisionId/:id/dead-letter', async (req, res) => {
+  try {
+    const item = await getLeasedQueueItem(req, res);
+    if (!item) return;
+
+    await runSQL(
+      `UPDATE sync_queue SET status = 'failed', error_message = ?, result = ?, lease_id = NULL, lease_expires_at = NULL, updated_at = ? WHERE id = ?`,
+      [String(req.body.error || 'Dead-lettered by client'), JSON.stringify(req.body.result ?? null), new Date().toISOString(), item.id]
+    );
+    const updated = await getSQL('SELECT * FROM sync_queue WHERE id = ?', [item.id]);
+
+    res.json({ success: true, data: formatQueueItem(updated) });
+
+  } catch (error) {
+    console.error('❌ Queue dead-letter error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start server (when run directly or through server.js, tests import app without listening)
+function startServer() {
+  ready.catch(() => { }); // already logged, server keeps responding to health check
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Railway SQLite server running on port ${PORT}`);
+    console.log(`📊 Database: ${DB_PATH}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/api/v1/health`);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Shutting down server...');
+    db.close((err) => {
+      if (err) {
+        console.error('❌ Error closing database:', err.message);
+      } else {
+        console.log('✅ Database connection closed');
+      }
+      process.exit(0);
+    });
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export { app, db, ready, startServer };
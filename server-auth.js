@@ -0,0 +1,78 @@
+/**
+ * Server Auth
+ * Credentials accepted by Railway SQLite server
+ *
+ * - API keys (header X-API-Key) are issued to Windows sync clients for a company (and optionally one of its divisions).
+ *   Only SHA-256 hash of key is stored, key itself is shown once when issued
+ * - JWT (header Authorization: Bearer) signed with HS256 by web app backend, carrying company_id / division_id claims
+ *   (or role "admin" for access to every company)
+ */
+
+import crypto from 'crypto';
+
+const apiKeyPrefix = 'tsk_';
+
+class AuthError extends Error {
+  /**
+   * @param {number} status HTTP status (401 for missing / invalid credential, 403 for scope not permitted)
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function generateApiKey() {
+  return apiKeyPrefix + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// compares hashes rather than keys, so that time taken reveals nothing of key
+function isSameKey(key, otherKey) {
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(key), 'hex'), Buffer.from(hashApiKey(otherKey), 'hex'));
+}
+
+function signJWT(payload, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verifies signature & validity period of JWT
+ * @returns {object} claims of token
+ */
+function verifyJWT(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length != 3)
+    throw new AuthError('Malformed token');
+
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new AuthError('Malformed token');
+  }
+  if (header.alg != 'HS256') // rejects "none" and algorithms not agreed with web app
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+
+  const signature = Buffer.from(parts[2], 'base64url');
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  if (signature.length != expected.length || !crypto.timingSafeEqual(signature, expected))
+    throw new AuthError('Invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp == 'number' && now >= payload.exp)
+    throw new AuthError('Token expired');
+  if (typeof payload.nbf == 'number' && now < payload.nbf)
+    throw new AuthError('Token not yet valid');
+  return payload;
+}
+
+export { AuthError, generateApiKey, hashApiKey, isSameKey, signJWT, verifyJWT };
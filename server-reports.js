@@ -0,0 +1,325 @@
+/**
+ * Server Reports
+ * Financial reports of Railway SQLite server, ported from SQL of reports/mssql to tables of server schema
+ *
+ * - Every table read is restricted to company & division of request (joins included)
+ * - Entries of vouchers are linked to voucher by voucher_guid, allocations (bills) by guid of voucher
+ * - Vouchers cancelled from web app (is_cancelled) are left out
+ * - Reports accept period (from_date, to_date) along with their own filters (ledger, group, item)
+ * - Rows are returned with fixed list of columns, so that CSV of empty report still carries header
+ */
+
+import { QueryError } from './server-schema.js';
+
+const minDate = '0001-01-01';
+const maxDate = '9999-12-31';
+const periodParams = ['from_date', 'to_date'];
+
+// condition restricting rows of table alias to company & division of request
+function scope(alias) {
+  return `${alias}.company_id = $company_id AND ${alias}.division_id = $division_id`;
+}
+
+// group of $group along with all its sub-groups (table mst_group / mst_stock_group)
+function groupTree(tableName) {
+  return `tblGroupTree(name) AS
+  (
+    SELECT g.name FROM ${tableName} g WHERE g.name = $group AND ${scope('g')}
+    UNION
+    SELECT g.name FROM ${tableName} g JOIN tblGroupTree p ON g.parent = p.name WHERE ${scope('g')}
+  )`;
+}
+
+// ledger filter of report: ledger by name and / or group (including its sub-groups)
+function ledgerFilter(nameColumn, parentColumn) {
+  return `($ledger IS NULL OR ${nameColumn} = $ledger) AND ($group IS NULL OR ${parentColumn} IN (SELECT name FROM tblGroupTree))`;
+}
+
+// bills of ledger not yet settled as on $as_on_date, pending on receivable (debit) or payable (credit) side
+function billsSQL(isReceivable) {
+  return `WITH RECURSIVE ${groupTree('mst_group')},
+  tblBill AS
+  (
+    SELECT o.bill_date AS date, o.ledger, o.name, o.opening_balance AS amount, 'New Ref' AS billtype, o.bill_credit_period
+    FROM mst_opening_bill_allocation o
+    WHERE ${scope('o')}
+    UNION ALL
+    SELECT v.date, b.ledger, b.name, b.amount, b.billtype, b.bill_credit_period
+    FROM trn_bill b
+    JOIN trn_voucher v ON v.guid = b.guid AND ${scope('v')}
+    WHERE ${scope('b')} AND v.is_cancelled = 0 AND v.date <= $to_date
+  ),
+  tblNewRef AS
+  (
+    SELECT ledger, name, MAX(date) AS date, SUM(amount) AS amount, COALESCE(MAX(bill_credit_period), 0) AS bill_credit_period
+    FROM tblBill
+    WHERE billtype IN ('New Ref', 'Advance')
+    GROUP BY ledger, name
+  ),
+  tblAgstRef AS
+  (
+    SELECT ledger, name, SUM(amount) AS amount
+    FROM tblBill
+    WHERE billtype = 'Agst Ref'
+    GROUP BY ledger, name
+  ),
+  tblOutstanding AS
+  (
+    SELECT n.date, n.ledger, n.name, n.amount + COALESCE(a.amount, 0) AS amount,
+      date(n.date, '+' || n.bill_credit_period || ' days') AS due_on,
+      CAST(julianday($as_on_date) - julianday(n.date) AS INTEGER) - n.bill_credit_period AS overdue_by_days
+    FROM tblNewRef n
+    LEFT JOIN tblAgstRef a ON a.ledger = n.ledger AND a.name = n.name
+    WHERE ${ledgerFilter('n.ledger', `(SELECT l.parent FROM mst_ledger l WHERE l.name = n.ledger AND ${scope('l')})`)}
+  )
+  SELECT date, name AS ref_number, ledger AS party_name, ${isReceivable ? '-amount' : 'amount'} AS pending_amount, due_on, overdue_by_days
+  FROM tblOutstanding
+  WHERE amount ${isReceivable ? '<' : '>'} 0
+  ORDER BY overdue_by_days DESC, party_name, ref_number`;
+}
+
+// lines of sales / purchase vouchers other than that of party (input for pivot table)
+function registerSQL(voucherTypeParent, sign) {
+  return `WITH RECURSIVE ${groupTree('mst_group')}
+  SELECT v.date, v.voucher_number, v.voucher_type, v.party_name, z.gstn, a.ledger, ${sign}a.amount AS amount
+  FROM trn_accounting a
+  JOIN trn_voucher v ON v.guid = a.voucher_guid AND ${scope('v')}
+  JOIN mst_vouchertype t ON t.name = v.voucher_type AND ${scope('t')}
+  LEFT JOIN mst_ledger z ON z.name = v.party_name AND ${scope('z')}
+  WHERE ${scope('a')} AND t.parent = '${voucherTypeParent}' AND a.ledger <> v.party_name AND v.is_cancelled = 0
+    AND v.date BETWEEN $from_date AND $to_date AND ${ledgerFilter('v.party_name', 'z.parent')}
+  ORDER BY v.date, v.guid, a.amount ${sign ? 'ASC' : 'DESC'}`;
+}
+
+const reports = {
+  // opening, debit, credit & closing of every ledger for period (revenue ledgers carry no opening)
+  'trial-balance': {
+    filters: ['ledger', 'group'],
+    columns: ['ledger', 'parent', 'opening', 'debit', 'credit', 'closing'],
+    sql: `WITH RECURSIVE ${groupTree('mst_group')},
+    tblOpening AS
+    (
+      SELECT a.ledger, SUM(a.amount) AS amount
+      FROM trn_accounting a
+      JOIN trn_voucher v ON v.guid = a.voucher_guid AND ${scope('v')}
+      WHERE ${scope('a')} AND v.is_order_voucher = 0 AND v.is_inventory_voucher = 0 AND v.is_cancelled = 0 AND v.date < $from_date
+      GROUP BY a.ledger
+    ),
+    tblPeriod AS
+    (
+      SELECT a.ledger,
+        SUM(CASE WHEN a.amount < 0 THEN -a.amount ELSE 0 END) AS debit,
+        SUM(CASE WHEN a.amount > 0 THEN a.amount ELSE 0 END) AS credit
+      FROM trn_accounting a
+      JOIN trn_voucher v ON v.guid = a.voucher_guid AND ${scope('v')}
+      WHERE ${scope('a')} AND v.is_order_voucher = 0 AND v.is_inventory_voucher = 0 AND v.is_cancelled = 0 AND v.date BETWEEN $from_date AND $to_date
+      GROUP BY a.ledger
+    )
+    SELECT l.name AS ledger, l.parent,
+      (CASE WHEN l.is_revenue = 0 THEN l.opening_balance + COALESCE(o.amount, 0) ELSE 0 END) AS opening,
+      COALESCE(p.debit, 0) AS debit,
+      COALESCE(p.credit, 0) AS credit,
+      (CASE WHEN l.is_revenue = 0 THEN l.opening_balance + COALESCE(o.amount, 0) ELSE 0 END) + COALESCE(p.credit, 0) - COALESCE(p.debit, 0) AS closing
+    FROM mst_ledger l
+    LEFT JOIN tblOpening o ON o.ledger = l.name
+    LEFT JOIN tblPeriod p ON p.ledger = l.name
+    WHERE ${scope('l')} AND ${ledgerFilter('l.name', 'l.parent')}
+    ORDER BY l.name`
+  },
+  // balances of income & expense ledgers for period, along with opening stock and closing stock (entered manually) as on to_date
+  'profit-loss': {
+    filters: [],
+    columns: ['group', 'ledger', 'nature', 'affects_gross_profit', 'balance'],
+    sql: `SELECT g.primary_group AS "group", l.name AS ledger,
+      (CASE WHEN MAX(g.is_deemedpositive) = 1 THEN 'expense' ELSE 'income' END) AS nature,
+      (CASE WHEN MAX(g.affects_gross_profit) = 1 THEN 'Y' ELSE 'N' END) AS affects_gross_profit,
+      SUM(a.amount) AS balance
+    FROM trn_accounting a
+    JOIN trn_voucher v ON v.guid = a.voucher_guid AND ${scope('v')}
+    JOIN mst_vouchertype t ON t.name = v.voucher_type AND ${scope('t')}
+    JOIN mst_ledger l ON l.name = a.ledger AND ${scope('l')}
+    JOIN mst_group g ON g.name = l.parent AND ${scope('g')}
+    WHERE ${scope('a')} AND g.is_revenue = 1 AND v.is_order_voucher = 0 AND v.is_inventory_voucher = 0 AND v.is_cancelled = 0 AND t.affects_stock = 0
+      AND v.date BETWEEN $from_date AND $to_date
+    GROUP BY g.primary_group, l.name
+    UNION ALL
+    SELECT 'Opening Stock', 'Opening Stock', 'expense', 'Y', COALESCE(SUM(l.opening_balance), 0)
+    FROM mst_ledger l
+    JOIN mst_group g ON g.name = l.parent AND ${scope('g')}
+    WHERE ${scope('l')} AND g.primary_group = 'Stock-in-hand'
+    UNION ALL
+    SELECT 'Closing Stock', 'Closing Stock', 'income', 'Y', -COALESCE(SUM(c.stock_value), 0)
+    FROM
+    (
+      SELECT s.stock_value, ROW_NUMBER() OVER (PARTITION BY s.ledger ORDER BY s.stock_date DESC) AS ctr
+      FROM trn_closingstock_ledger s
+      WHERE ${scope('s')} AND s.stock_date <= $to_date
+    ) c
+    WHERE c.ctr = 1`
+  },
+  // entries of ledger for period, with other ledgers of each voucher
+  'account-ledger': {
+    filters: ['ledger'],
+    required: ['ledger'],
+    columns: ['date', 'voucher_number', 'voucher_type', 'ledgers', 'debit', 'credit', 'narration'],
+    sql: `WITH tblLedger AS
+    (
+      SELECT v.guid, v.date, v.voucher_number, v.voucher_type, v.narration,
+        (CASE WHEN a.amount < 0 THEN -a.amount ELSE 0 END) AS debit,
+        (CASE WHEN a.amount > 0 THEN a.amount ELSE 0 END) AS credit
+      FROM trn_accounting a
+      JOIN trn_voucher v ON v.guid = a.voucher_guid AND ${scope('v')}
+      WHERE ${scope('a')} AND a.ledger = $ledger AND v.is_accounting_voucher = 1 AND v.is_cancelled = 0 AND v.date BETWEEN $from_date AND $to_date
+    ),
+    tblEntry AS
+    (
+      SELECT a.voucher_guid AS guid, group_concat(a.ledger, ', ') AS ledgers
+      FROM trn_accounting a
+      WHERE ${scope('a')} AND a.ledger <> $ledger AND a.voucher_guid IN (SELECT guid FROM tblLedger)
+      GROUP BY a.voucher_guid
+    )
+    SELECT l.date, l.voucher_number, l.voucher_type, e.ledgers, l.debit, l.credit, l.narration
+    FROM tblLedger l
+    LEFT JOIN tblEntry e ON e.guid = l.guid
+    ORDER BY l.date, l.guid`
+  },
+  'bills-receivable': {
+    filters: ['ledger', 'group'],
+    columns: ['date', 'ref_number', 'party_name', 'pending_amount', 'due_on', 'overdue_by_days'],
+    sql: billsSQL(true)
+  },
+  'bills-payable': {
+    filters: ['ledger', 'group'],
+    columns: ['date', 'ref_number', 'party_name', 'pending_amount', 'due_on', 'overdue_by_days'],
+    sql: billsSQL(false)
+  },
+  'sales-register': {
+    filters: ['ledger', 'group'],
+    columns: ['date', 'voucher_number', 'voucher_type', 'party_name', 'gstn', 'ledger', 'amount'],
+    sql: registerSQL('Sales', '')
+  },
+  'purchase-register': {
+    filters: ['ledger', 'group'],
+    columns: ['date', 'voucher_number', 'voucher_type', 'party_name', 'gstn', 'ledger', 'amount'],
+    sql: registerSQL('Purchase', '-')
+  },
+  // quantity of every stock item for period, goods moved by notes counted only once against invoices of same tracking number
+  'stock-summary': {
+    filters: ['item', 'group'],
+    columns: ['name', 'parent', 'uom', 'op_qty', 'in_qty', 'out_qty', 'clo_bal'],
+    sql: `WITH RECURSIVE ${groupTree('mst_stock_group')},
+    tblTrackingReco AS
+    (
+      SELECT i.item, i.tracking_number,
+        SUM(CASE WHEN t.parent IN ('Receipt Note', 'Delivery Note') THEN ABS(i.quantity) ELSE 0 END) AS note,
+        SUM(CASE WHEN t.parent NOT IN ('Receipt Note', 'Delivery Note') THEN ABS(i.quantity) ELSE 0 END) AS invoice
+      FROM trn_inventory i
+      JOIN trn_voucher v ON v.guid = i.voucher_guid AND ${scope('v')}
+      JOIN mst_vouchertype t ON t.name = v.voucher_type AND ${scope('t')}
+      WHERE ${scope('i')} AND COALESCE(i.tracking_number, '') <> '' AND v.is_cancelled = 0 AND v.date <= $to_date
+      GROUP BY i.item, i.tracking_number
+    ),
+    tblMovement AS
+    (
+      SELECT i.item,
+        SUM(CASE WHEN v.date < $from_date THEN i.quantity ELSE 0 END) AS op_qty,
+        SUM(CASE WHEN v.date >= $from_date AND i.quantity > 0 THEN i.quantity ELSE 0 END) AS in_qty,
+        SUM(CASE WHEN v.date >= $from_date AND i.quantity < 0 THEN -i.quantity ELSE 0 END) AS out_qty
+      FROM trn_inventory i
+      JOIN trn_voucher v ON v.guid = i.voucher_guid AND ${scope('v')}
+      JOIN mst_vouchertype t ON t.name = v.voucher_type AND ${scope('t')}
+      LEFT JOIN tblTrackingReco r ON r.item = i.item AND r.tracking_number = i.tracking_number
+      WHERE ${scope('i')} AND v.is_order_voucher = 0 AND v.is_cancelled = 0 AND v.date <= $to_date
+        AND (COALESCE(i.tracking_number, '') = ''
+          OR (t.parent NOT IN ('Receipt Note', 'Delivery Note') AND r.note = r.invoice)
+          OR (t.parent IN ('Receipt Note', 'Delivery Note') AND r.note > r.invoice))
+      GROUP BY i.item
+    )
+    SELECT s.name, s.parent, s.uom,
+      s.opening_balance + COALESCE(m.op_qty, 0) AS op_qty,
+      COALESCE(m.in_qty, 0) AS in_qty,
+      COALESCE(m.out_qty, 0) AS out_qty,
+      s.opening_balance + COALESCE(m.op_qty, 0) + COALESCE(m.in_qty, 0) - COALESCE(m.out_qty, 0) AS clo_bal
+    FROM mst_stock_item s
+    LEFT JOIN tblMovement m ON m.item = s.name
+    WHERE ${scope('s')} AND ($item IS NULL OR s.name = $item) AND ($group IS NULL OR s.parent IN (SELECT name FROM tblGroupTree))
+    ORDER BY s.name`
+  }
+};
+
+class ServerReports {
+  /**
+   * @param {import('./server-schema.js').ServerSchema} schema schema of server (for coercion of dates)
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  hasReport(reportName) {
+    return Object.prototype.hasOwnProperty.call(reports, reportName);
+  }
+
+  listReports() {
+    return Object.entries(reports).map(([name, report]) => ({ name, params: [...periodParams, ...report.filters], required: report.required || [], columns: report.columns }));
+  }
+
+  /**
+   * Builds parameterized SELECT of report, whose rows are restricted to company & division of scope
+   * @param {object} query from_date, to_date (default whole period) and filters of report
+   * @param {{company_id: string, division_id: string}} scope
+   * @returns {{columns: string[], sql: string, params: object, from_date: string, to_date: string}}
+   */
+  buildReport(reportName, query, scope) {
+    const report = reports[reportName];
+    for (const [param, value] of Object.entries(query)) {
+      if (!periodParams.includes(param) && !report.filters.includes(param))
+        throw new QueryError(`Unsupported parameter of ${reportName}: ${param}`);
+      if (typeof value != 'string')
+        throw new QueryError(`Parameter ${param} must be given once`);
+    }
+    for (const param of report.required || [])
+      if (!query[param])
+        throw new QueryError(`Parameter ${param} is required for ${reportName}`);
+
+    const fromDate = query.from_date ? this.schema.coerceColumn('trn_voucher', 'date', query.from_date) : null;
+    const toDate = query.to_date ? this.schema.coerceColumn('trn_voucher', 'date', query.to_date) : null;
+    if (fromDate && toDate && fromDate > toDate)
+      throw new QueryError('from_date must not be after to_date');
+
+    const values = {
+      company_id: scope.company_id,
+      division_id: scope.division_id,
+      from_date: fromDate || minDate,
+      to_date: toDate || maxDate,
+      as_on_date: toDate || new Date().toISOString().substring(0, 10) // overdue days of bills
+    };
+    for (const filter of report.filters)
+      values[filter] = query[filter] || null;
+
+    // SQLite refuses values of parameters absent in statement
+    const params = {};
+    for (const [, name] of report.sql.matchAll(/\$(\w+)/g))
+      params['$' + name] = values[name];
+
+    return { columns: report.columns, sql: report.sql, params, from_date: fromDate, to_date: toDate };
+  }
+}
+
+/**
+ * Renders rows as CSV (RFC 4180) with header of columns
+ */
+function toCSV(columns, rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined)
+      return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(p => row[p]))].map(p => p.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+function createServerReports(schema) {
+  return new ServerReports(schema);
+}
+
+export { ServerReports, createServerReports, toCSV };
@@ -0,0 +1,369 @@
+/**
+ * Server Schema
+ * Tables of Railway SQLite server derived from export definition YAML (same as that of loader & sync clients),
+ * so that every table extracted from Tally can be stored without being hard-coded in server
+ *
+ * - Every table carries company_id / division_id of client along with sync_timestamp & source
+ * - Primary tables are keyed by guid within company & division and carry alterid (compared on bulk sync to skip stale rows)
+ * - Derived tables (bills, batches, etc.) have no key, just like database of loader
+ * - Tables are addressed by name in definition (trn_bill) or by API name of earlier releases (vouchers)
+ * - Records received from clients are checked against columns of table and coerced by field type (amount, logical, date, etc.)
+ * - Reads of web app are structured queries (columns, filters, sort, page) validated against columns of table
+ */
+
+import fs from 'fs';
+import yaml from 'js-yaml';
+
+// API names of tables used by clients before schema was driven by definition
+const tableAliases = {
+  'groups': 'mst_group',
+  'ledgers': 'mst_ledger',
+  'stock_items': 'mst_stock_item',
+  'stock_groups': 'mst_stock_group',
+  'voucher_types': 'mst_vouchertype',
+  'units': 'mst_uom',
+  'godowns': 'mst_godown',
+  'vouchers': 'trn_voucher',
+  'accounting_entries': 'trn_accounting',
+  'inventory_entries': 'trn_inventory'
+};
+
+// columns maintained by server on top of those extracted from Tally
+const serverColumns = [
+  { name: 'company_id', type: 'text', definition: 'TEXT NOT NULL' },
+  { name: 'division_id', type: 'text', definition: 'TEXT NOT NULL' },
+  { name: 'sync_timestamp', type: 'text', definition: 'TEXT DEFAULT CURRENT_TIMESTAMP' },
+  { name: 'source', type: 'text', definition: `TEXT DEFAULT 'tally'` }
+];
+const primaryColumns = [
+  { name: 'alterid', type: 'number', definition: 'INTEGER DEFAULT 0' }
+];
+// entries of vouchers sent by clients of earlier releases are keyed by guid of entry (derived tables otherwise have no key)
+const keyedTables = ['trn_accounting', 'trn_inventory'];
+// guid is unique only within company & division, as same Tally company may be synced into more than one of them
+const keyColumns = ['company_id', 'division_id', 'guid'];
+const tableColumns = {
+  trn_voucher: [{ name: 'is_cancelled', type: 'logical', definition: 'INTEGER DEFAULT 0' }] // voucher cancelled from web app (see sync queue)
+};
+
+// operators of structured query
+const queryOperators = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', in: 'IN', is_null: 'IS NULL', not_null: 'IS NOT NULL' };
+const defaultQueryLimit = 100;
+const maxQueryLimit = 1000;
+const maxInValues = 500;
+
+// Structured query refused as invalid (unknown column / operator, etc.)
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Converts value received in JSON to that stored in column of given field type (throws if it cannot be converted)
+ */
+function coerceValue(fieldType, value) {
+  if (fieldType == 'amount' || fieldType == 'quantity' || fieldType == 'rate' || fieldType == 'number')
+    return coerceNumber(value);
+  else if (fieldType == 'logical')
+    return coerceLogical(value);
+  else if (fieldType == 'date')
+    return coerceDate(value);
+  else if (value === null || typeof value != 'object')
+    return value === null ? null : String(value);
+  else
+    throw new Error('not a text');
+}
+
+function coerceNumber(value) {
+  if (value === null || value === '')
+    return 0;
+  const retval = typeof value == 'string' ? Number(value.trim().replace(/,/g, '')) : value;
+  if (typeof retval != 'number' || !isFinite(retval))
+    throw new Error('not a number');
+  return retval;
+}
+
+// logical as 1 / 0 (Tally responds with Yes / No)
+function coerceLogical(value) {
+  if (value === null || value === '')
+    return 0;
+  const text = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes'].includes(text))
+    return 1;
+  else if (['0', 'false', 'no'].includes(text))
+    return 0;
+  else
+    throw new Error('not a logical');
+}
+
+// date as yyyy-mm-dd, from yyyy-mm-dd (time part ignored), yyyymmdd (Tally XML) or d-MMM-yyyy (Tally display)
+function coerceDate(value) {
+  if (value === null || value === '')
+    return null;
+  const text = String(value).trim();
+  let year, month, day;
+  let match = /^(\d{4})-?(\d{2})-?(\d{2})(?:[T ].*)?$/.exec(text);
+  if (match)
+    [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+  else if ((match = /^(\d{1,2})-([a-z]{3})-(\d{2}|\d{4})$/i.exec(text)))
+    [year, month, day] = [parseInt(match[3]) + (match[3].length == 2 ? 2000 : 0), monthNames.indexOf(match[2].toLowerCase()) + 1, parseInt(match[1])];
+  else
+    throw new Error('not a date');
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCFullYear() != year || date.getUTCMonth() != month - 1 || date.getUTCDate() != day)
+    throw new Error('not a date');
+  return date.toISOString().substring(0, 10);
+}
+
+class ServerSchema {
+  /**
+   * @param {string} definitionFile export definition YAML file
+   */
+  constructor(definitionFile) {
+    const objYAML = yaml.load(fs.readFileSync(definitionFile, 'utf8'));
+    this.tables = [];
+    for (const tableYAML of [...(objYAML.master || []), ...(objYAML.transaction || [])])
+      if (!this.tables.some(p => p.name == tableYAML.name))
+        this.tables.push(this.buildTable(tableYAML));
+
+    this.tableMapping = Object.create(null);
+    for (const [alias, tableName] of Object.entries(tableAliases))
+      if (this.getTable(tableName))
+        this.tableMapping[alias] = tableName;
+    for (const table of this.tables)
+      this.tableMapping[table.name] = table.name;
+  }
+
+  buildTable(tableYAML) {
+    const isPrimary = tableYAML.nature == 'Primary';
+    const isKeyed = isPrimary || keyedTables.includes(tableYAML.name);
+    const columns = [];
+    const addColumn = (column) => {
+      if (!columns.some(p => p.name == column.name))
+        columns.push(column);
+    };
+    for (const field of tableYAML.fields || [])
+      addColumn({ name: field.name, type: field.type, definition: field.name == 'guid' && isKeyed ? 'TEXT NOT NULL' : this.getColumnDefinition(field.type) });
+    [...(isPrimary ? primaryColumns : []), ...(tableColumns[tableYAML.name] || []), ...serverColumns].forEach(addColumn);
+    const primaryKey = isKeyed && columns.some(p => p.name == 'guid') ? keyColumns : [];
+    return { name: tableYAML.name, nature: tableYAML.nature, collection: tableYAML.collection || '', isKeyed, primaryKey, columns };
+  }
+
+  getColumnDefinition(fieldType) {
+    if (fieldType == 'number' || fieldType == 'logical')
+      return 'INTEGER DEFAULT 0';
+    else if (fieldType == 'amount' || fieldType == 'quantity' || fieldType == 'rate')
+      return 'REAL DEFAULT 0';
+    else if (fieldType == 'date')
+      return 'TEXT';
+    else
+      return `TEXT DEFAULT ''`;
+  }
+
+  getTable(tableName) {
+    return this.tables.find(p => p.name == tableName);
+  }
+
+  /**
+   * Resolves table of database from API name / name in definition
+   * @returns {string|undefined}
+   */
+  resolveTable(name) {
+    return Object.prototype.hasOwnProperty.call(this.tableMapping, name) ? this.tableMapping[name] : undefined;
+  }
+
+  /**
+   * Validates record against columns of table, and coerces its values by type of field in definition
+   * @param {object} defaults values of columns missing in record (company_id, division_id)
+   * @returns {{row?: object, error?: string}} row to be stored, or reason of rejecting record
+   */
+  prepareRow(tableName, record, defaults = {}) {
+    if (!record || typeof record != 'object' || Array.isArray(record))
+      return { error: 'Record is not an object' };
+    const table = this.getTable(tableName);
+    const unknownColumns = Object.keys(record).filter(p => !table.columns.some(q => q.name == p));
+    if (unknownColumns.length)
+      return { error: `Unknown column(s): ${unknownColumns.join(', ')}` };
+    if (table.isKeyed && (record.guid === undefined || record.guid === null || record.guid === ''))
+      return { error: 'Missing guid' };
+
+    const row = { ...defaults };
+    for (const column of table.columns) {
+      if (record[column.name] === undefined)
+        continue;
+      try {
+        row[column.name] = coerceValue(column.type, record[column.name]);
+      } catch (err) {
+        return { error: `Invalid ${column.type} for column ${column.name}: ${JSON.stringify(record[column.name])}` };
+      }
+    }
+    return { row };
+  }
+
+  /**
+   * @throws {QueryError} if table has no such column
+   */
+  getColumn(tableName, columnName) {
+    const column = this.getTable(tableName).columns.find(p => p.name == columnName);
+    if (!column)
+      throw new QueryError(`Unknown column of ${tableName}: ${columnName}`);
+    return column;
+  }
+
+  /**
+   * Converts value (of filter) to that stored in column
+   * @throws {QueryError} if value cannot be converted
+   */
+  coerceColumn(tableName, columnName, value) {
+    const column = this.getColumn(tableName, columnName);
+    try {
+      return coerceValue(column.type, value);
+    } catch (err) {
+      throw new QueryError(`Invalid ${column.type} for column ${column.name}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  /**
+   * Builds parameterized SELECT from structured query, whose rows are restricted to company & division of scope
+   * @param {object} query columns (names), filters (array of {column, op, value} or object of column: value), sort (column, or -column for descending), limit, offset
+   * @param {{company_id: string, division_id: string}} scope
+   * @returns {{sql: string, params: any[], countSql: string, countParams: any[], limit: number, offset: number}}
+   */
+  buildQuery(tableName, query, scope) {
+    const table = this.getTable(tableName);
+    const getColumn = (name) => this.getColumn(tableName, name);
+
+    const lstColumn = query.columns === undefined ? table.columns.map(p => p.name) : query.columns;
+    if (!Array.isArray(lstColumn) || !lstColumn.length)
+      throw new QueryError('columns must be non-empty array');
+    lstColumn.forEach(getColumn);
+
+    let lstFilter = query.filters || [];
+    if (!Array.isArray(lstFilter) && typeof lstFilter == 'object') // shorthand: { column: value } or { column: [values] }
+      lstFilter = Object.entries(lstFilter).map(([column, value]) => ({ column, op: Array.isArray(value) ? 'in' : value === null ? 'is_null' : 'eq', value }));
+    if (!Array.isArray(lstFilter))
+      throw new QueryError('filters must be array or object');
+
+    const conditions = ['company_id = ?', 'division_id = ?'];
+    const params = [scope.company_id, scope.division_id];
+    for (const filter of lstFilter) {
+      const column = getColumn(filter && filter.column);
+      const op = filter.op || 'eq';
+      if (!queryOperators[op])
+        throw new QueryError(`Unknown operator: ${op}`);
+      const toValue = (value) => op == 'like' ? String(value) : this.coerceColumn(tableName, column.name, value);
+      if (op == 'is_null' || op == 'not_null')
+        conditions.push(`${column.name} ${queryOperators[op]}`);
+      else if (op == 'in') {
+        if (!Array.isArray(filter.value) || !filter.value.length || filter.value.length > maxInValues)
+          throw new QueryError(`Value of in filter on ${column.name} must be array of 1 to ${maxInValues} values`);
+        conditions.push(`${column.name} IN (${filter.value.map(() => '?').join(', ')})`);
+        params.push(...filter.value.map(toValue));
+      }
+      else {
+        if (filter.value === undefined || filter.value === null)
+          throw new QueryError(`Value of ${op} filter on ${column.name} is required`);
+        conditions.push(`${column.name} ${queryOperators[op]} ?`);
+        params.push(toValue(filter.value));
+      }
+    }
+
+    const lstSort = query.sort === undefined ? [] : Array.isArray(query.sort) ? query.sort : [query.sort];
+    const orderBy = lstSort.map(p => {
+      const isDescending = typeof p == 'string' ? p.startsWith('-') : p && String(p.direction).toLowerCase() == 'desc';
+      const column = getColumn(typeof p == 'string' ? p.replace(/^-/, '') : p && p.column);
+      return `${column.name} ${isDescending ? 'DESC' : 'ASC'}`;
+    });
+    orderBy.push('rowid ASC'); // tie-breaker keeping pages stable
+
+    const limit = query.limit === undefined ? defaultQueryLimit : parseInt(query.limit);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset);
+    if (!(limit >= 1 && limit <= maxQueryLimit))
+      throw new QueryError(`limit must be between 1 and ${maxQueryLimit}`);
+    if (!(offset >= 0))
+      throw new QueryError('offset must not be negative');
+
+    const where = conditions.join(' AND ');
+    return {
+      sql: `SELECT ${lstColumn.join(', ')} FROM ${tableName} WHERE ${where} ORDER BY ${orderBy.join(', ')} LIMIT ? OFFSET ?`,
+      params: [...params, limit, offset],
+      countSql: `SELECT COUNT(*) AS count FROM ${tableName} WHERE ${where}`,
+      countParams: params,
+      limit,
+      offset
+    };
+  }
+
+  getPrimaryTables() {
+    return this.tables.filter(p => p.nature == 'Primary').map(p => p.name);
+  }
+
+  /**
+   * Derived tables holding rows of Primary table (entries, bills, batches, etc. of voucher) along with column referring its guid
+   * @returns {{table: string, field: string}[]}
+   */
+  getChildTables(tableName) {
+    const parent = this.getTable(tableName);
+    if (!parent || parent.nature != 'Primary')
+      return [];
+    const retval = [];
+    for (const table of this.tables.filter(p => p.nature == 'Derived' && p.collection.startsWith(`${parent.collection}.`))) {
+      // guid of keyed table is that of entry itself, others carry guid of parent object
+      const field = table.columns.some(p => p.name == 'voucher_guid') ? 'voucher_guid' : (!table.isKeyed && table.columns.some(p => p.name == 'guid') ? 'guid' : '');
+      if (field)
+        retval.push({ table: table.name, field });
+    }
+    return retval;
+  }
+
+  getCreateTableSQL(table, tableName = table.name) {
+    const lstDefinition = table.columns.map(p => `${p.name} ${p.definition}`);
+    if (table.primaryKey.length)
+      lstDefinition.push(`PRIMARY KEY (${table.primaryKey.join(', ')})`);
+    return `CREATE TABLE IF NOT EXISTS ${tableName} (${lstDefinition.join(', ')})`;
+  }
+
+  /**
+   * SQLite cannot alter key of existing table, so table of earlier release (keyed by guid alone) is re-created under
+   * temporary name, filled with rows of existing table and renamed (to be run in single transaction)
+   * @param {string[]} lstColumn columns of existing table
+   * @returns {string[]}
+   */
+  getRebuildTableSQL(table, lstColumn) {
+    const tempTable = `_rebuild_${table.name}`;
+    const columns = table.columns.map(p => p.name).filter(p => lstColumn.includes(p)).join(', ');
+    return [
+      `DROP TABLE IF EXISTS ${tempTable}`,
+      this.getCreateTableSQL(table, tempTable),
+      `INSERT INTO ${tempTable} (${columns}) SELECT ${columns} FROM ${table.name}`,
+      `DROP TABLE ${table.name}`,
+      `ALTER TABLE ${tempTable} RENAME TO ${table.name}`
+    ];
+  }
+
+  getAddColumnSQL(table, column) {
+    // SQLite adds column only with constant default, and cannot add key to existing table
+    const definition = column.definition.replace(' PRIMARY KEY', '').replace(' NOT NULL', '').replace('DEFAULT CURRENT_TIMESTAMP', '');
+    return `ALTER TABLE ${table.name} ADD COLUMN ${column.name} ${definition.trim()}`;
+  }
+
+  getIndexSQL(table) {
+    const lstColumn = table.columns.map(p => p.name);
+    const retval = [`CREATE INDEX IF NOT EXISTS idx_${table.name}_company_division ON ${table.name}(company_id, division_id)`];
+    if (!table.isKeyed && lstColumn.includes('guid'))
+      retval.push(`CREATE INDEX IF NOT EXISTS idx_${table.name}_guid ON ${table.name}(guid)`);
+    if (lstColumn.includes('voucher_guid'))
+      retval.push(`CREATE INDEX IF NOT EXISTS idx_${table.name}_voucher_guid ON ${table.name}(voucher_guid)`);
+    return retval;
+  }
+}
+
+function createServerSchema(definitionFile) {
+  return new ServerSchema(definitionFile);
+}
+
+export { ServerSchema, QueryError, createServerSchema };
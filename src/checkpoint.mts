@@ -0,0 +1,158 @@
+import fs from 'fs';
+import { logger } from './logger.mjs';
+import { checkpointManifest, checkpointCompanyInfo } from './definition.mjs';
+
+const checkpointFile = './csv/checkpoint.json';
+
+/**
+ * Manifest of tables extracted & loaded by current sync, persisted alongside data files in ./csv folder
+ * so that an interrupted sync can be resumed from last completed table.
+ * For list of companies, it also carries companies already synced by the run, so that resumed run skips only those
+ */
+class _checkpoint {
+
+    private manifest: checkpointManifest | undefined = undefined;
+    private lstCompletedCompany: checkpointCompanyInfo[] = [];
+
+    /**
+     * Starts run of list of companies, carrying over companies synced by interrupted run when resume is requested
+     * @returns companies to be skipped
+     */
+    beginRun(isResume: boolean): checkpointCompanyInfo[] {
+        this.lstCompletedCompany = isResume ? [...(this.read()?.completedCompanies || [])] : [];
+        return [...this.lstCompletedCompany];
+    }
+
+    /**
+     * Records company of list as synced. Checkpoint of company is already removed by then, so only list of companies is retained
+     */
+    markCompanyCompleted(companyInfo: checkpointCompanyInfo): void {
+        try {
+            this.lstCompletedCompany.push(companyInfo);
+            if (!fs.existsSync('./csv'))
+                fs.mkdirSync('./csv');
+            this.write({ completedCompanies: this.lstCompletedCompany });
+        } catch (err) {
+            logger.logError('checkpoint.markCompanyCompleted()', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Removes checkpoint once every company of list is synced
+     */
+    completeRun(): void {
+        this.complete();
+        this.lstCompletedCompany = [];
+    }
+
+    /**
+     * Prepares ./csv folder for sync. Data files of interrupted sync are retained only when resume is requested and
+     * checkpoint belongs to same sync (company, period, definition & database), otherwise folder is re-created
+     * @returns true when previous sync is resumed
+     */
+    begin(syncInfo: checkpointManifest, isResume: boolean): boolean {
+        try {
+            let previousManifest = this.read();
+            if (isResume && previousManifest && this.isSameSync(previousManifest, syncInfo)) {
+                this.manifest = { ...previousManifest, completedCompanies: [...this.lstCompletedCompany] };
+                this.save();
+                logger.logMessage('Resuming sync from checkpoint of %s', previousManifest.timestamp);
+                return true;
+            }
+            if (isResume)
+                logger.logMessage('No matching checkpoint found to resume, starting afresh');
+
+            //delete and re-create CSV folder
+            if (fs.existsSync('./csv'))
+                fs.rmSync('./csv', { recursive: true });
+            fs.mkdirSync('./csv');
+
+            this.manifest = { ...syncInfo, timestamp: new Date().toLocaleString(), tables: {}, completedCompanies: [...this.lstCompletedCompany] };
+            this.save();
+            return false;
+        } catch (err) {
+            logger.logError('checkpoint.begin()', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Reads checkpoint of previous sync (if any) without activating it
+     */
+    read(): checkpointManifest | undefined {
+        try {
+            return fs.existsSync(checkpointFile) ? JSON.parse(fs.readFileSync(checkpointFile, 'utf-8')) : undefined;
+        } catch {
+            return undefined; //corrupt checkpoint is ignored
+        }
+    }
+
+    get(): checkpointManifest {
+        if (!this.manifest)
+            throw 'Checkpoint is not initialised';
+        return this.manifest;
+    }
+
+    update(props: Partial<checkpointManifest>): void {
+        Object.assign(this.get(), props);
+        this.save();
+    }
+
+    /**
+     * Table is considered extracted only while its data file exists
+     */
+    isExtracted(targetTable: string): boolean {
+        return this.get().tables[targetTable]?.extracted !== undefined && fs.existsSync(`./csv/${targetTable}.data`);
+    }
+
+    isLoaded(targetTable: string): boolean {
+        return this.get().tables[targetTable]?.loaded !== undefined;
+    }
+
+    markExtracted(targetTable: string, rowCount: number): void {
+        this.get().tables[targetTable] = { extracted: rowCount };
+        this.save();
+    }
+
+    markLoaded(targetTable: string, rowCount: number): void {
+        let tables = this.get().tables;
+        tables[targetTable] = { ...tables[targetTable], loaded: rowCount };
+        this.save();
+    }
+
+    /**
+     * Discards loaded status of all the tables (when loaded data is rolled back)
+     */
+    resetLoaded(): void {
+        for (const tableInfo of Object.values(this.get().tables))
+            delete tableInfo.loaded;
+        this.save();
+    }
+
+    /**
+     * Removes checkpoint on successful completion of sync
+     */
+    complete(): void {
+        if (fs.existsSync(checkpointFile))
+            fs.unlinkSync(checkpointFile);
+        this.manifest = undefined;
+    }
+
+    private isSameSync(previous: checkpointManifest, current: checkpointManifest): boolean {
+        let lstKeys: (keyof checkpointManifest)[] = ['company', 'companyId', 'sync', 'definition', 'fromdate', 'todate', 'technology', 'schema', 'baseAlterIdMaster', 'baseAlterIdTransaction'];
+        return lstKeys.every(p => previous[p] === current[p]);
+    }
+
+    private save(): void {
+        this.write(this.manifest);
+    }
+
+    private write(content: Partial<checkpointManifest> | undefined): void {
+        fs.writeFileSync(`${checkpointFile}.tmp`, JSON.stringify(content, null, 2), 'utf-8');
+        fs.renameSync(`${checkpointFile}.tmp`, checkpointFile); //replace in one go, so that checkpoint is never half written
+    }
+}
+let checkpoint = new _checkpoint();
+
+export { checkpoint };
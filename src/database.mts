@@ -1,4 +1,5 @@
 import fs from 'fs';
+import readline from 'readline';
 import { pipeline } from 'stream/promises';
 import mysql from 'mysql2';
 import mssql from 'tedious';
@@ -6,11 +7,16 @@ import postgres from 'pg';
 import { BigQuery } from '@google-cloud/bigquery';
 import { from as pgLoadInto } from 'pg-copy-streams';
 import adls from '@azure/storage-file-datalake';
+import sqlite3 from 'sqlite3';
+import { DuckDBInstance, DuckDBConnection } from '@duckdb/node-api';
 import { logger } from './logger.mjs';
-import { connectionConfig, queryResult, tableConfigYAML, databaseFieldInfo, cdmModel, cdmEntity } from './definition.mjs';
+import { connectionConfig, queryResult, tableConfigYAML, fieldConfigYAML, databaseFieldInfo, schemaDifference, cdmModel, cdmEntity } from './definition.mjs';
 
 const maxQuerySize = 50000;
 let connectionPoolMysql: mysql.Pool;
+let connectionSqlite: sqlite3.Database;
+let instanceDuckdb: DuckDBInstance;
+let connectionDuckdb: DuckDBConnection;
 
 class _database {
 
@@ -37,6 +43,7 @@ class _database {
             if (lstConfigs.has('database-password')) this.config.password = lstConfigs.get('database-password') || '';
             if (lstConfigs.has('database-loadmethod')) this.config.loadmethod = lstConfigs.get('database-loadmethod') || 'insert';
             if (lstConfigs.has('database-ssl')) this.config.ssl = lstConfigs.get('database-ssl') == 'true';
+            if (lstConfigs.has('database-swap')) this.config.swap = lstConfigs.get('database-swap') == 'true';
 
             this.config.technology = this.config.technology.toLowerCase(); //convert technology to lowercase
 
@@ -117,6 +124,15 @@ class _database {
                     }
                     
                 }
+                else if (this.config.technology == 'sqlite') {
+                    connectionSqlite = await new Promise<sqlite3.Database>((_resolve, _reject) => {
+                        let connection = new sqlite3.Database(this.getDatabaseFilePath(), (connErr) => connErr ? _reject(connErr) : _resolve(connection));
+                    });
+                }
+                else if (this.config.technology == 'duckdb') {
+                    instanceDuckdb = await DuckDBInstance.create(this.getDatabaseFilePath());
+                    connectionDuckdb = await instanceDuckdb.connect();
+                }
                 else;
                 resolve();
             } catch (err) {
@@ -136,6 +152,13 @@ class _database {
                 else if (this.config.technology == 'mysql') {
                     await connectionPoolMysql.promise().end();
                 }
+                else if (this.config.technology == 'sqlite' && connectionSqlite) {
+                    await new Promise<void>((_resolve, _reject) => connectionSqlite.close((closeErr) => closeErr ? _reject(closeErr) : _resolve()));
+                }
+                else if (this.config.technology == 'duckdb' && connectionDuckdb) {
+                    connectionDuckdb.closeSync();
+                    instanceDuckdb.closeSync();
+                }
                 else;
                 resolve();
             } catch (err) {
@@ -288,6 +311,12 @@ class _database {
                     else if (this.config.technology == 'postgres') {
                         rowCount = await this.dumpDataPostges(targetTable);
                     }
+                    else if (this.config.technology == 'sqlite') {
+                        rowCount = await this.dumpDataSqlite(csvFile, targetTable, lstFieldType);
+                    }
+                    else if (this.config.technology == 'duckdb') {
+                        rowCount = await this.dumpDataDuckdb(csvFile, targetTable);
+                    }
                     else;
                 }
                 resolve(rowCount);
@@ -313,6 +342,15 @@ class _database {
                 else if (this.config.technology.toLowerCase() == 'postgres') {
                     retval = (await this.executePostgres(sqlQuery)).rowCount;
                 }
+                else if (this.config.technology.toLowerCase() == 'sqlite') {
+                    retval = (await this.executeSqlite(sqlQuery)).rowCount;
+                }
+                else if (this.config.technology.toLowerCase() == 'duckdb') {
+                    retval = (await this.executeDuckdb(sqlQuery)).rowCount;
+                }
+                else if (this.config.technology.toLowerCase() == 'bigquery') {
+                    retval = (await this.executeBigQuery(sqlQuery)).rowCount;
+                }
                 /*else if (this.config.technology.toLowerCase() == 'db2') {
                     retval = (await this.executeDb2(sqlQuery)).rowCount;
                 }*/
@@ -345,6 +383,16 @@ class _database {
                     if (Array.isArray(result.data) && result.data.length == 1)
                         retval = result.data[0][0];
                 }
+                else if (this.config.technology.toLowerCase() == 'sqlite') {
+                    let result = await this.executeSqlite(sqlQuery);
+                    if (Array.isArray(result.data) && result.data.length == 1)
+                        retval = result.data[0][0];
+                }
+                else if (this.config.technology.toLowerCase() == 'duckdb') {
+                    let result = await this.executeDuckdb(sqlQuery);
+                    if (Array.isArray(result.data) && result.data.length == 1)
+                        retval = result.data[0][0];
+                }
                 else;
 
                 resolve(retval);
@@ -354,12 +402,97 @@ class _database {
         });
     }
 
+    executeQuery(sqlQuery: string): Promise<any[][]> {
+        return new Promise<any[][]>(async (resolve, reject) => {
+            try {
+                //each row is returned as array of column values, irrespective of technology
+                let retval: any[][] = [];
+                if (this.config.technology == 'mssql') {
+                    let result = await this.executeMssql(sqlQuery);
+                    retval = result.data.map(row => row.map((col: any) => col.value));
+                }
+                else if (this.config.technology == 'mysql') {
+                    let result = await this.executeMysql(sqlQuery);
+                    retval = result.data.map(row => Object.values(row));
+                }
+                else if (this.config.technology == 'postgres') {
+                    retval = (await this.executePostgres(sqlQuery)).data;
+                }
+                else if (this.config.technology == 'sqlite') {
+                    retval = (await this.executeSqlite(sqlQuery)).data;
+                }
+                else if (this.config.technology == 'duckdb') {
+                    retval = (await this.executeDuckdb(sqlQuery)).data;
+                }
+                else;
+                resolve(retval);
+            } catch (err) {
+                reject(err);
+                logger.logError('database.executeQuery()', err);
+            }
+        });
+    }
+
+    executeTransaction(lstSqlQuery: string[]): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
+                if (this.config.technology == 'mssql') { //whole transaction is sent as single batch, which is rolled back on any error
+                    await this.executeMssql(['set xact_abort on; begin transaction;', ...lstSqlQuery, 'commit transaction;'].join('\r\n'));
+                }
+                else if (this.config.technology == 'mysql') {
+                    let connection = await connectionPoolMysql.promise().getConnection();
+                    try {
+                        await connection.beginTransaction();
+                        for (const qry of lstSqlQuery)
+                            await connection.query(qry);
+                        await connection.commit();
+                    } catch (err) {
+                        await connection.rollback();
+                        throw err;
+                    } finally {
+                        connection.release();
+                    }
+                }
+                else if (this.config.technology == 'postgres') {
+                    let connection = await this.connectionPoolPostgres.connect();
+                    try {
+                        await connection.query('begin;');
+                        for (const qry of lstSqlQuery)
+                            await connection.query(qry);
+                        await connection.query('commit;');
+                    } catch (err) {
+                        await connection.query('rollback;');
+                        throw err;
+                    } finally {
+                        connection.release();
+                    }
+                }
+                else if (this.config.technology == 'sqlite' || this.config.technology == 'duckdb') { //single connection of database file
+                    await this.executeNonQuery('begin transaction;');
+                    try {
+                        await this.executeNonQuery(lstSqlQuery);
+                        await this.executeNonQuery('commit;');
+                    } catch (err) {
+                        await this.executeNonQuery('rollback;');
+                        throw err;
+                    }
+                }
+                else
+                    throw `Transaction is not supported for ${this.config.technology}`;
+                resolve();
+            } catch (err) {
+                reject(err);
+                logger.logError('database.executeTransaction()', err);
+            }
+        });
+    }
+
     truncateTables(lstTables: string[]): Promise<void> {
         return new Promise<void>(async (resolve, reject) => {
             try {
                 let lstTruncateSQL: string[] = [];
                 for (let i = 0; i < lstTables.length; i++) {
-                    let sqlQuery = `truncate table ${lstTables[i]}`;
+                    let sqlQuery = this.config.technology == 'sqlite' ? `delete from ${lstTables[i]}` : `truncate table ${lstTables[i]}`; //SQLite does not support truncate
                     /*if (this.config.technology == 'db2') {
                         sqlQuery += ' immediate';
                     }*/
@@ -375,6 +508,184 @@ class _database {
         });
     }
 
+    createTables(lstTables: tableConfigYAML[]): Promise<schemaDifference[]> {
+        return new Promise<schemaDifference[]>(async (resolve, reject) => {
+            try {
+                let retval: schemaDifference[] = [];
+                let lstDifference = await this.diffTables(lstTables);
+                for (const itemDifference of lstDifference) {
+                    let targetTable = lstTables.find(p => p.name == itemDifference.table);
+                    let targetField = targetTable?.fields.find(p => p.name == itemDifference.field);
+                    if (targetTable && itemDifference.issue == 'missing table') {
+                        await this.executeNonQuery(this.generateCreateTableSQL(targetTable));
+                        logger.logMessage('  %s: created table', targetTable.name);
+                    }
+                    else if (targetTable && targetField && itemDifference.issue == 'missing column') {
+                        await this.executeNonQuery(this.generateAddColumnSQL(targetTable, targetField));
+                        logger.logMessage('  %s: added column %s', targetTable.name, targetField.name);
+                    }
+                    else
+                        retval.push(itemDifference); //type and length mismatch requires manual intervention as existing data may not fit
+                }
+                resolve(retval);
+            } catch (err) {
+                reject(err);
+                logger.logError('database.createTables()', err);
+            }
+        });
+    }
+
+    diffTables(lstTables: tableConfigYAML[]): Promise<schemaDifference[]> {
+        return new Promise<schemaDifference[]>(async (resolve, reject) => {
+            try {
+                let retval: schemaDifference[] = [];
+                for (const targetTable of lstTables) {
+                    let lstColumnInfo = await this.populateDatabaseTableInfo(targetTable.name);
+                    if (!lstColumnInfo.length) { //table does not exist
+                        retval.push({ table: targetTable.name, field: '', issue: 'missing table', expected: '', actual: '' });
+                        continue;
+                    }
+                    for (const targetField of targetTable.fields) {
+                        let expectedDataType = this.getColumnDataType(targetField);
+                        let columnInfo = lstColumnInfo.find(p => p.fieldName.toLowerCase() == targetField.name.toLowerCase());
+                        if (!columnInfo)
+                            retval.push({ table: targetTable.name, field: targetField.name, issue: 'missing column', expected: expectedDataType, actual: '' });
+                        else if (!this.isCompatibleDataType(targetField.type, columnInfo.dataType))
+                            retval.push({ table: targetTable.name, field: targetField.name, issue: 'type mismatch', expected: expectedDataType, actual: columnInfo.dataType });
+                        else if (targetField.type == 'text' && targetField.length && columnInfo.length && columnInfo.length > 0 && columnInfo.length != targetField.length) //length is compared only when specified in definition file
+                            retval.push({ table: targetTable.name, field: targetField.name, issue: 'length mismatch', expected: expectedDataType, actual: `${columnInfo.dataType}(${columnInfo.length})` });
+                        else;
+                    }
+                    retval.push(...await this.diffTableKey(targetTable));
+                }
+                resolve(retval);
+            } catch (err) {
+                reject(err);
+                logger.logError('database.diffTables()', err);
+            }
+        });
+    }
+
+    /**
+     * Compares primary key of existing table with that expected for rows of multiple companies sharing it (company_id along with key field).
+     * Key of existing table cannot be altered, so table created before company_id was introduced requires manual intervention
+     */
+    diffTableKey(targetTable: tableConfigYAML): Promise<schemaDifference[]> {
+        return new Promise<schemaDifference[]>(async (resolve, reject) => {
+            try {
+                let retval: schemaDifference[] = [];
+                if (targetTable.nature == 'Primary' && targetTable.fields.some(p => p.name == 'company_id') && this.config.technology != 'bigquery') { //BigQuery does not enforce primary key
+                    let lstExpectedKey = ['company_id', targetTable.fields[0].name];
+                    let lstActualKey = await this.populateDatabaseTableKey(targetTable.name);
+                    if (lstActualKey.length && lstActualKey.map(p => p.toLowerCase()).join(',') != lstExpectedKey.join(','))
+                        retval.push({ table: targetTable.name, field: '', issue: 'key mismatch', expected: `primary key (${lstExpectedKey.join(', ')})`, actual: `primary key (${lstActualKey.join(', ')})` });
+                }
+                resolve(retval);
+            } catch (err) {
+                reject(err);
+                logger.logError('database.diffTableKey()', err);
+            }
+        });
+    }
+
+    getUpsertSQL(targetTable: tableConfigYAML, sourceTable: string): string {
+        //key of primary table is its first field (along with company_id when companies share same table)
+        let lstKeyFields = [targetTable.fields[0].name];
+        if (targetTable.fields.some(p => p.name == 'company_id'))
+            lstKeyFields.unshift('company_id');
+        let lstFields = targetTable.fields.map(p => p.name);
+        let lstUpdateFields = lstFields.filter(p => !lstKeyFields.includes(p));
+        let fieldList = lstFields.join(',');
+
+        if (this.config.technology == 'mssql') {
+            let joinCondition = lstKeyFields.map(p => `t.${p} = s.${p}`).join(' and ');
+            return `merge into ${targetTable.name} as t using ${sourceTable} as s on ${joinCondition} when matched then update set ${lstUpdateFields.map(p => `t.${p} = s.${p}`).join(',')} when not matched then insert (${fieldList}) values (${lstFields.map(p => `s.${p}`).join(',')});`;
+        }
+        else if (this.config.technology == 'mysql') {
+            return `insert into ${targetTable.name} (${fieldList}) select ${lstFields.map(p => `s.${p}`).join(',')} from ${sourceTable} as s on duplicate key update ${lstUpdateFields.map(p => `${p} = s.${p}`).join(',')};`;
+        }
+        else { //postgres, sqlite and duckdb ('where true' avoids ambiguity of SQLite parser between join and upsert clause)
+            return `insert into ${targetTable.name} (${fieldList}) select ${fieldList} from ${sourceTable} where true on conflict (${lstKeyFields.join(',')}) do update set ${lstUpdateFields.map(p => `${p} = excluded.${p}`).join(',')};`;
+        }
+    }
+
+    createShadowTables(lstTables: tableConfigYAML[]): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
+                await this.dropShadowTables(lstTables.map(p => p.name)); //leftovers of previous failed run
+
+                for (const targetTable of lstTables) {
+                    let shadowTable = `_stage_${targetTable.name}`;
+                    if (!(await this.populateDatabaseTableInfo(targetTable.name)).length) { //live table is required to swap with
+                        await this.executeNonQuery(this.generateCreateTableSQL(targetTable));
+                        logger.logMessage('  %s: created table', targetTable.name);
+                    }
+
+                    //clone structure of live table, so that swapped-in table retains keys & customisations
+                    if (this.config.technology == 'mysql')
+                        await this.executeNonQuery(`create table ${shadowTable} like ${targetTable.name};`);
+                    else if (this.config.technology == 'postgres')
+                        await this.executeNonQuery(`create table ${shadowTable} (like ${targetTable.name} including all);`);
+                    else if (this.config.technology == 'sqlite' || this.config.technology == 'duckdb') {
+                        let sqlQuery = this.config.technology == 'sqlite' ? `select sql from sqlite_master where type = 'table' and name = '${targetTable.name}'` : `select sql from duckdb_tables() where schema_name = current_schema() and table_name = '${targetTable.name}'`;
+                        let createTableSQL = await this.executeScalar<string>(sqlQuery);
+                        await this.executeNonQuery(createTableSQL.replace(/^(create\s+table\s+)("[^"]+"|[\w.]+)/i, `$1${shadowTable}`));
+                    }
+                    else //SQL Server does not offer cloning of table along with its constraints
+                        await this.executeNonQuery(this.generateCreateTableSQL({ ...targetTable, name: shadowTable }));
+                }
+                resolve();
+            } catch (err) {
+                reject(err);
+                logger.logError('database.createShadowTables()', err);
+            }
+        });
+    }
+
+    swapShadowTables(lstTables: string[]): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
+                //live tables are replaced by shadow tables all at once, so readers never find a table empty or missing
+                if (this.config.technology == 'mysql') //rename of multiple tables in single statement is atomic
+                    await this.executeNonQuery(`rename table ${lstTables.map(p => `${p} to _old_${p}, _stage_${p} to ${p}`).join(', ')};`);
+                else {
+                    let lstRenameSQL: string[] = [];
+                    for (const targetTable of lstTables) {
+                        if (this.config.technology == 'mssql') {
+                            lstRenameSQL.push(`exec sp_rename '${targetTable}', '_old_${targetTable}';`);
+                            lstRenameSQL.push(`exec sp_rename '_stage_${targetTable}', '${targetTable}';`);
+                        }
+                        else {
+                            lstRenameSQL.push(`alter table ${targetTable} rename to _old_${targetTable};`);
+                            lstRenameSQL.push(`alter table _stage_${targetTable} rename to ${targetTable};`);
+                        }
+                    }
+                    await this.executeTransaction(lstRenameSQL);
+                }
+                await this.executeNonQuery(lstTables.map(p => `drop table if exists _old_${p};`));
+                resolve();
+            } catch (err) {
+                reject(err);
+                logger.logError('database.swapShadowTables()', err);
+            }
+        });
+    }
+
+    dropShadowTables(lstTables: string[]): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
+                let lstDropSQL: string[] = [];
+                for (const targetTable of lstTables)
+                    lstDropSQL.push(`drop table if exists _stage_${targetTable};`, `drop table if exists _old_${targetTable};`);
+                await this.executeNonQuery(lstDropSQL);
+                resolve();
+            } catch (err) {
+                reject(err);
+                logger.logError('database.dropShadowTables()', err);
+            }
+        });
+    }
+
     uploadGoogleBigQuery(targetTable: string): Promise<number> {
         return new Promise<number>(async (resolve, reject) => {
             try {
@@ -627,6 +938,95 @@ class _database {
         });
     }
 
+    private executeSqlite(sqlQuery: string | string[]): Promise<queryResult> {
+        const executeQuery = (qry: string): Promise<queryResult> => {
+            return new Promise<queryResult>((_resolve, _reject) => {
+                if (/^\s*(select|with|pragma)\b/i.test(qry)) { //query returning rows
+                    connectionSqlite.all(qry, (queryErr, rows: any[]) => {
+                        if (queryErr)
+                            _reject(queryErr);
+                        else
+                            _resolve({ rowCount: rows.length, data: rows.map(p => Object.values(p)) });
+                    });
+                }
+                else {
+                    connectionSqlite.run(qry, function (queryErr) {
+                        if (queryErr)
+                            _reject(queryErr);
+                        else
+                            _resolve({ rowCount: this.changes || 0, data: [] });
+                    });
+                }
+            });
+        };
+        return new Promise<queryResult>(async (resolve, reject) => {
+            try {
+                let rowCount = 0;
+                let data: any[] = [];
+                if (Array.isArray(sqlQuery)) { //multiple query
+                    for (const qry of sqlQuery) {
+                        await executeQuery(qry);
+                    }
+                }
+                else { //single query
+                    let result = await executeQuery(sqlQuery);
+                    rowCount = result.rowCount;
+                    data = result.data;
+                }
+                resolve({ rowCount, data });
+            } catch (err) {
+                reject(err);
+                logger.logError('database.executeSqlite()', err);
+            }
+        });
+    }
+
+    private executeDuckdb(sqlQuery: string | string[]): Promise<queryResult> {
+        return new Promise<queryResult>(async (resolve, reject) => {
+            try {
+                let rowCount = 0;
+                let data: any[] = [];
+                if (Array.isArray(sqlQuery)) { //multiple query
+                    for (const qry of sqlQuery) {
+                        await connectionDuckdb.run(qry);
+                    }
+                }
+                else { //single query
+                    let reader = await connectionDuckdb.runAndReadAll(sqlQuery);
+                    rowCount = reader.rowsChanged;
+                    data = reader.getRowsJS().map(row => row.map(value => typeof value == 'bigint' ? Number(value) : value)); //BIGINT is returned as bigint by DuckDB
+                }
+                resolve({ rowCount, data });
+            } catch (err) {
+                reject(err);
+                logger.logError('database.executeDuckdb()', err);
+            }
+        });
+    }
+
+    private executeBigQuery(sqlQuery: string | string[]): Promise<queryResult> {
+        return new Promise<queryResult>(async (resolve, reject) => {
+            try {
+                let rowCount = 0;
+                let data: any[] = [];
+                if (Array.isArray(sqlQuery)) { //multiple query
+                    for (const qry of sqlQuery) {
+                        await this.bigquery.query({ query: qry });
+                    }
+                }
+                else { //single query
+                    let [rows] = await this.bigquery.query({ query: sqlQuery });
+                    rowCount = rows.length;
+                    data = rows;
+                }
+                resolve({ rowCount, data });
+            } catch (err) {
+                reject(err);
+                logger.logError('database.executeBigQuery()', err);
+            }
+        });
+    }
+
     private readMssql(sqlQuery: string): Promise<any[]> {
         return new Promise<any[]>(async (resolve, reject) => {
             try {
@@ -698,6 +1098,62 @@ class _database {
         });
     }
 
+    private dumpDataSqlite(csvFile: string, targetTable: string, lstFieldType: string[]): Promise<number> {
+        return new Promise<number>(async (resolve, reject) => {
+            let statement: sqlite3.Statement | undefined = undefined;
+            try {
+                let rowCount = 0;
+                await this.executeSqlite('begin transaction;');
+                const lineReader = readline.createInterface({ input: fs.createReadStream(csvFile, 'utf-8'), crlfDelay: Infinity }); //created only after await, else lines read in meantime are lost
+                for await (const line of lineReader) {
+                    if (!statement) { //first line contains column headers
+                        let lstFields = line.split('\t');
+                        statement = connectionSqlite.prepare(`insert into ${targetTable} (${lstFields.join(',')}) values (${lstFields.map(() => '?').join(',')});`);
+                        continue;
+                    }
+                    if (line == '') continue;
+                    let lstValues: any[] = line.split('\t');
+                    for (let i = 0; i < lstValues.length; i++) {
+                        let targetFieldType = lstFieldType[i];
+                        if (lstValues[i] == 'ñ') //NULL
+                            lstValues[i] = null;
+                        else if (targetFieldType == 'number' || targetFieldType == 'logical' || targetFieldType == 'amount' || targetFieldType == 'quantity' || targetFieldType == 'rate') {
+                            lstValues[i] = parseFloat(lstValues[i]);
+                            if (isNaN(lstValues[i]))
+                                lstValues[i] = null;
+                        }
+                        else;
+                    }
+                    let activeStatement = statement;
+                    await new Promise<void>((_resolve, _reject) => activeStatement.run(lstValues, (queryErr: Error | null) => queryErr ? _reject(queryErr) : _resolve()));
+                    rowCount++;
+                }
+                await new Promise<void>((_resolve) => statement ? statement.finalize(() => _resolve()) : _resolve());
+                await this.executeSqlite('commit;');
+                resolve(rowCount);
+            } catch (err) {
+                if (statement)
+                    statement.finalize();
+                await this.executeSqlite('rollback;').catch(() => { });
+                reject(err);
+                logger.logError('database.dumpDataSqlite()', err);
+            }
+        });
+    }
+
+    private dumpDataDuckdb(csvFile: string, targetTable: string): Promise<number> {
+        return new Promise<number>(async (resolve, reject) => {
+            try {
+                //staging file is tab separated with no quoting, and ñ as placeholder for NULL date
+                let result = await connectionDuckdb.run(`copy ${targetTable} from '${csvFile.replace(/'/g, '\'\'')}' (format csv, delimiter '\t', header true, quote '', escape '', nullstr 'ñ');`);
+                resolve(result.rowsChanged);
+            } catch (err) {
+                reject(err);
+                logger.logError('database.dumpDataDuckdb()', err);
+            }
+        });
+    }
+
     private dumpDataMysql(targetTable: string, lstFieldType: string[]): Promise<number> {
         return new Promise<number>(async (resolve, reject) => {
             let connection = mysql.createConnection({
@@ -862,19 +1318,142 @@ class _database {
 
 
 
+    private generateCreateTableSQL(targetTable: tableConfigYAML): string {
+        let lstColumns: string[] = [];
+        let isCompositeKey = targetTable.nature == 'Primary' && targetTable.fields.some(p => p.name == 'company_id'); //rows of multiple companies share same table
+        for (let i = 0; i < targetTable.fields.length; i++) {
+            let isPrimaryKey = i == 0 && targetTable.nature == 'Primary' && !isCompositeKey; //first field of primary table is its key
+            lstColumns.push(this.generateColumnDefinition(targetTable.fields[i], isPrimaryKey));
+        }
+        if (isCompositeKey && this.config.technology != 'bigquery')
+            lstColumns.push(`primary key (company_id, ${targetTable.fields[0].name})`);
+        let tableName = this.config.technology == 'bigquery' ? `${this.config.schema}.${targetTable.name}` : targetTable.name;
+        return `create table ${tableName} (${lstColumns.join(', ')});`;
+    }
+
+    private generateAddColumnSQL(targetTable: tableConfigYAML, targetField: fieldConfigYAML): string {
+        let columnDefinition = this.generateColumnDefinition(targetField, false);
+        if (this.config.technology == 'mssql')
+            return `alter table ${targetTable.name} add ${columnDefinition};`;
+        else if (this.config.technology == 'bigquery')
+            return `alter table ${this.config.schema}.${targetTable.name} add column ${columnDefinition.replace(' not null', '')};`; //BigQuery does not allow adding required column
+        else
+            return `alter table ${targetTable.name} add column ${columnDefinition};`;
+    }
+
+    private generateColumnDefinition(targetField: fieldConfigYAML, isPrimaryKey: boolean): string {
+        let retval = `${targetField.name} ${this.getColumnDataType(targetField)}`;
+        if (this.config.technology == 'bigquery') { //BigQuery neither enforces primary key nor needs default value
+            if (targetField.type == 'text')
+                retval += ' not null';
+        }
+        else if (isPrimaryKey)
+            retval += ' not null primary key';
+        else if (targetField.type == 'text')
+            retval += ' not null default \'\'';
+        else if (targetField.type == 'number')
+            retval += ' not null default 0';
+        else if (targetField.type == 'amount' || targetField.type == 'quantity' || targetField.type == 'rate')
+            retval += ' default 0';
+        else;
+        return retval;
+    }
+
+    private getColumnDataType(targetField: fieldConfigYAML): string {
+        let technology = this.config.technology;
+        if (targetField.type == 'number')
+            return technology == 'bigquery' ? 'int64' : 'int';
+        else if (targetField.type == 'logical')
+            return technology == 'postgres' ? 'smallint' : 'tinyint';
+        else if (targetField.type == 'amount')
+            return 'decimal(17,2)';
+        else if (targetField.type == 'quantity' || targetField.type == 'rate')
+            return 'decimal(15,4)';
+        else if (targetField.type == 'date')
+            return 'date';
+        else { //text
+            let isGuid = targetField.name == 'guid' || targetField.name.startsWith('_'); //GUID and its reference fields
+            let fieldLength = targetField.length || (isGuid ? 64 : 1024);
+            if (technology == 'sqlite' || technology == 'duckdb') return 'varchar'; //length is not enforced
+            else if (technology == 'bigquery') return `string(${fieldLength})`;
+            else if (technology == 'mssql' && !isGuid) return `nvarchar(${fieldLength})`;
+            else return `varchar(${fieldLength})`;
+        }
+    }
+
+    private isCompatibleDataType(fieldType: string, dataType: string): boolean {
+        dataType = dataType.toLowerCase();
+        if (fieldType == 'number')
+            return /^(tinyint|smallint|mediumint|int|integer|bigint|int64)$/g.test(dataType);
+        else if (fieldType == 'logical')
+            return /^(bit|bool|boolean|tinyint|smallint|mediumint|int|integer|bigint|int64)$/g.test(dataType);
+        else if (fieldType == 'amount' || fieldType == 'quantity' || fieldType == 'rate')
+            return /^(decimal|numeric|bignumeric|real|float|float64|double|double precision)$/g.test(dataType);
+        else if (fieldType == 'date')
+            return /^(date|datetime|datetime2|timestamp|timestamp without time zone)$/g.test(dataType);
+        else
+            return /^(char|nchar|varchar|nvarchar|text|ntext|mediumtext|longtext|string|character|character varying)$/g.test(dataType);
+    }
+
+    private getDatabaseFilePath(): string {
+        let filePath = this.config.schema || 'tallydb';
+        if (!/\.\w+$/.test(filePath)) //append default extension if not specified
+            filePath += this.config.technology == 'duckdb' ? '.duckdb' : '.db';
+        return filePath;
+    }
+
     private populateDatabaseTableInfo(targetTable: string): Promise<databaseFieldInfo[]> {
         let retval: databaseFieldInfo[] = [];
         return new Promise<databaseFieldInfo[]>(async (resolve, reject) => {
             try {
-                let sqlQuery = `select COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION, NUMERIC_SCALE from INFORMATION_SCHEMA.COLUMNS where TABLE_CATALOG = '${this.config.schema}' and TABLE_NAME = '${targetTable}' order by ORDINAL_POSITION`;
-                let result = await this.readMssql(sqlQuery);
-                for (const row of result) {
-                    let fieldName = row[0].value;
-                    let dataType = row[1].value;
-                    let isNullable = row[2].value == 'YES';
-                    let fieldLength = row[3].value !== null ? parseInt(row[3].value) : 0;
-                    let fieldPrecision = row[4].value !== null ? parseInt(row[4].value) : 0;
-                    let fieldScale = row[5].value !== null ? parseInt(row[5].value) : 0;
+                //each row contains column name, data type, nullable, length, precision, scale
+                let lstRows: any[][] = [];
+                if (this.config.technology == 'mssql') {
+                    let sqlQuery = `select COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION, NUMERIC_SCALE from INFORMATION_SCHEMA.COLUMNS where TABLE_CATALOG = '${this.config.schema}' and TABLE_NAME = '${targetTable}' order by ORDINAL_POSITION`;
+                    let result = await this.readMssql(sqlQuery);
+                    lstRows = result.map(row => row.map((col: any) => col.value));
+                }
+                else if (this.config.technology == 'mysql') {
+                    let sqlQuery = `select COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION, NUMERIC_SCALE from INFORMATION_SCHEMA.COLUMNS where TABLE_SCHEMA = '${this.config.schema}' and TABLE_NAME = '${targetTable}' order by ORDINAL_POSITION`;
+                    let result = await this.executeMysql(sqlQuery);
+                    lstRows = result.data.map(row => Object.values(row));
+                }
+                else if (this.config.technology == 'postgres' || this.config.technology == 'duckdb') {
+                    let sqlQuery = `select column_name, data_type, is_nullable, character_maximum_length, numeric_precision, numeric_scale from information_schema.columns where table_catalog = current_database() and table_schema = current_schema() and table_name = '${targetTable}' order by ordinal_position`;
+                    let result = this.config.technology == 'postgres' ? await this.executePostgres(sqlQuery) : await this.executeDuckdb(sqlQuery);
+                    lstRows = result.data;
+                }
+                else if (this.config.technology == 'sqlite') {
+                    let result = await this.executeSqlite(`pragma table_info(${targetTable})`);
+                    lstRows = result.data.map(row => [row[1], row[2], row[3] ? 'NO' : 'YES', null, null, null]); //declared type is parsed below
+                }
+                else if (this.config.technology == 'bigquery') {
+                    let sqlQuery = `select column_name, data_type, is_nullable, null, null, null from ${this.config.schema}.INFORMATION_SCHEMA.COLUMNS where table_name = '${targetTable}' order by ordinal_position`;
+                    let result = await this.executeBigQuery(sqlQuery);
+                    lstRows = result.data.map(row => Object.values(row));
+                }
+                else;
+
+                for (const row of lstRows) {
+                    let fieldName: string = row[0];
+                    let dataType: string = String(row[1]).toLowerCase();
+                    let isNullable = row[2] == 'YES';
+                    let fieldLength = row[3] !== null ? parseInt(row[3]) : 0;
+                    let fieldPrecision = row[4] !== null ? parseInt(row[4]) : 0;
+                    let fieldScale = row[5] !== null ? parseInt(row[5]) : 0;
+
+                    //extract length / precision from declared type like varchar(64) or decimal(17,2)
+                    let regDataType = /^([\w ]+?)\s*\((\d+)(?:\s*,\s*(\d+))?\)$/g.exec(dataType);
+                    if (regDataType) {
+                        dataType = regDataType[1];
+                        if (this.isCompatibleDataType('text', dataType))
+                            fieldLength = parseInt(regDataType[2]);
+                        else {
+                            fieldPrecision = parseInt(regDataType[2]);
+                            fieldScale = regDataType[3] ? parseInt(regDataType[3]) : 0;
+                        }
+                    }
+
                     let itemFieldInfo: databaseFieldInfo = {
                         fieldName,
                         dataType,
@@ -897,6 +1476,44 @@ class _database {
         });
     }
 
+    private populateDatabaseTableKey(targetTable: string): Promise<string[]> {
+        return new Promise<string[]>(async (resolve, reject) => {
+            try {
+                //each row contains name of column of primary key, in order of key
+                let lstRows: any[][] = [];
+                if (this.config.technology == 'mssql') {
+                    let sqlQuery = `select k.COLUMN_NAME from INFORMATION_SCHEMA.TABLE_CONSTRAINTS c join INFORMATION_SCHEMA.KEY_COLUMN_USAGE k on k.CONSTRAINT_NAME = c.CONSTRAINT_NAME and k.TABLE_NAME = c.TABLE_NAME where c.CONSTRAINT_TYPE = 'PRIMARY KEY' and c.TABLE_CATALOG = '${this.config.schema}' and c.TABLE_NAME = '${targetTable}' order by k.ORDINAL_POSITION`;
+                    let result = await this.readMssql(sqlQuery);
+                    lstRows = result.map(row => row.map((col: any) => col.value));
+                }
+                else if (this.config.technology == 'mysql') {
+                    let sqlQuery = `select COLUMN_NAME from INFORMATION_SCHEMA.KEY_COLUMN_USAGE where CONSTRAINT_NAME = 'PRIMARY' and TABLE_SCHEMA = '${this.config.schema}' and TABLE_NAME = '${targetTable}' order by ORDINAL_POSITION`;
+                    let result = await this.executeMysql(sqlQuery);
+                    lstRows = result.data.map(row => Object.values(row));
+                }
+                else if (this.config.technology == 'postgres') {
+                    let sqlQuery = `select k.column_name from information_schema.table_constraints c join information_schema.key_column_usage k on k.constraint_name = c.constraint_name and k.table_schema = c.table_schema and k.table_name = c.table_name where c.constraint_type = 'PRIMARY KEY' and c.table_schema = current_schema() and c.table_name = '${targetTable}' order by k.ordinal_position`;
+                    let result = await this.executePostgres(sqlQuery);
+                    lstRows = result.data;
+                }
+                else if (this.config.technology == 'duckdb') {
+                    let sqlQuery = `select unnest(constraint_column_names) from duckdb_constraints() where constraint_type = 'PRIMARY KEY' and schema_name = current_schema() and table_name = '${targetTable}'`;
+                    let result = await this.executeDuckdb(sqlQuery);
+                    lstRows = result.data;
+                }
+                else if (this.config.technology == 'sqlite') {
+                    let result = await this.executeSqlite(`pragma table_info(${targetTable})`);
+                    lstRows = result.data.filter(row => row[5] > 0).sort((a, b) => a[5] - b[5]).map(row => [row[1]]); //position of column in key (0 when not part of key)
+                }
+                else;
+                resolve(lstRows.map(row => String(row[0])));
+            } catch (err) {
+                reject(err);
+                logger.logError('database.populateDatabaseTableKey()', err);
+            }
+        });
+    }
+
 }
 let database = new _database();
 
@@ -7,6 +7,7 @@ interface connectionConfig {
     username: string;
     password: string;
     loadmethod: string;
+    swap: boolean; // load full sync into shadow tables and swap them in after all tables are loaded
 }
 
 interface queryResult {
@@ -22,13 +23,22 @@ interface tallyConfig {
     todate: string; // [ YYYYMMDD / auto ]
     sync: string; // [ full / incremental ]
     frequency: number; // in minutes
-    company: string;
+    company: string; // list of companies in config.json is moved to tally.lstCompany
+    chunk: string; // [ none / month / week / day ]
+    timeout?: number; // in seconds of no data received from Tally, after which request is aborted
+}
+
+interface tallyCompanyConfig {
+    name: string;
+    schema?: string; // separate database for company
+    id?: string; // value of company_id column, when companies share same tables
 }
 
 interface fieldConfigYAML {
     name: string;
     field: string;
     type: string;
+    length?: number; // text field length in database (optional)
 }
 
 interface tableFieldYAML {
@@ -56,6 +66,76 @@ interface databaseFieldInfo {
     scale?: number;
 }
 
+interface schemaDifference {
+    table: string;
+    field: string;
+    issue: string; // [ missing table / missing column / type mismatch / length mismatch ]
+    expected: string;
+    actual: string;
+}
+
+interface checkpointTableInfo {
+    extracted?: number; // rows exported from Tally into data file
+    loaded?: number; // rows loaded into database table
+}
+
+interface checkpointManifest {
+    company: string;
+    companyId: string;
+    sync: string;
+    definition: string;
+    fromdate: string;
+    todate: string;
+    technology: string;
+    schema: string;
+    baseAlterIdMaster: number; // last AlterID of database, upon which incremental extraction is filtered
+    baseAlterIdTransaction: number;
+    lastAlterIdMaster: number; // last AlterID of Tally at beginning of sync
+    lastAlterIdTransaction: number;
+    timestamp: string;
+    tables: { [tableName: string]: checkpointTableInfo };
+    completedCompanies?: checkpointCompanyInfo[]; // companies of multi-company run synced before this one
+}
+
+interface checkpointCompanyInfo {
+    company: string;
+    companyId: string;
+}
+
+interface verifyTableResult {
+    table: string;
+    tally: number; // row count in Tally
+    database: number; // row count in database
+    missing: string[]; // GUID of objects found in Tally but not in database (derived tables: object owning the rows)
+    extra: string[]; // GUID of objects found in database but not in Tally
+    different: string[]; // GUID of objects whose AlterID (derived tables: count of rows) differ
+}
+
+interface verifyMonthResult {
+    month: string; // YYYY-MM
+    tally: { vouchers: number, amount: number };
+    database: { vouchers: number, amount: number };
+}
+
+interface verifyLedgerResult {
+    guid: string;
+    name: string;
+    tally: number; // closing balance
+    database: number;
+}
+
+interface verifyReport {
+    company: string;
+    companyId: string;
+    fromdate: string;
+    todate: string;
+    timestamp: string;
+    isMatched: boolean;
+    tables: verifyTableResult[];
+    months: verifyMonthResult[]; // months with mismatch of voucher count / amount
+    ledgers: verifyLedgerResult[]; // ledgers with mismatch of closing balance
+}
+
 interface cdmFileFormatSetting {
     $type: string;
     columnHeaders: boolean;
@@ -85,4 +165,4 @@ interface cdmModel {
     entities: cdmEntity[];
 }
 
-export { connectionConfig, queryResult, tallyConfig, fieldConfigYAML, tableFieldYAML, tableConfigYAML, databaseFieldInfo, cdmModel, cdmEntity, cdmPartition, cdmAttribute, cdmFileFormatSetting };
\ No newline at end of file
+export { connectionConfig, queryResult, tallyConfig, tallyCompanyConfig, fieldConfigYAML, tableFieldYAML, tableConfigYAML, databaseFieldInfo, schemaDifference, checkpointTableInfo, checkpointManifest, checkpointCompanyInfo, verifyTableResult, verifyMonthResult, verifyLedgerResult, verifyReport, cdmModel, cdmEntity, cdmPartition, cdmAttribute, cdmFileFormatSetting };
\ No newline at end of file
@@ -12,13 +12,17 @@ function parseCommandlineOptions(): Map<string, string> {
     try {
         let lstArgs = process.argv;
 
-        if (lstArgs.length > 2 && lstArgs.length % 2 == 0)
-            for (let i = 2; i < lstArgs.length; i += 2) {
-                let argName = lstArgs[i];
-                let argValue = lstArgs[i + 1];
-                if (/^--\w+-\w+$/g.test(argName))
-                    retval.set(argName.substr(2), argValue);
+        for (let i = 2; i < lstArgs.length; i++) {
+            let argName = lstArgs[i];
+            let argValue = lstArgs[i + 1];
+            if (/^--\w+(-\w+)?$/g.test(argName)) {
+                if (argValue === undefined || argValue.startsWith('--')) //switch without value (e.g. --schema-diff / --resume)
+                    argValue = 'true';
+                else
+                    i++;
+                retval.set(argName.substr(2), argValue);
             }
+        }
     } catch (err) {
         logger.logError('index.substituteTDLParameters()', err);
     }
@@ -56,7 +60,10 @@ else { // continuous sync
     const triggerImport = async () => {
         try {
             // skip if sync is already running (wait for next trigger)
-        if(!isSyncRunning) {
+        if(!isSyncRunning && tally.lstCompany.length) { // change detection is performed by incremental sync of each company
+            await invokeImport();
+        }
+        else if(!isSyncRunning) {
             await tally.updateLastAlterId();
 
             let isDataChanged = !(lastMasterAlterId == tally.lastAlterIdMaster && lastTransactionAlterId == tally.lastAlterIdTransaction);
@@ -80,7 +87,7 @@ else { // continuous sync
         }
     }
 
-    if(!tally.config.company) { // do not process continuous sync for blank company
+    if(!tally.config.company && !tally.lstCompany.length) { // do not process continuous sync for blank company
         logger.logMessage('Continuous sync requires Tally company name to be specified in config.json');
     }
     else { // go ahead with continuous sync
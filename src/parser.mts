@@ -0,0 +1,134 @@
+import { Transform, TransformCallback } from 'stream';
+
+const regexFieldTag = /^F(\d+)(\/?)$/;
+const regexEntity = /&(amp|lt|gt|quot|apos|tab|#\d+|#x[0-9a-fA-F]+);/g;
+
+/**
+ * Streaming parser for XML output of TDL report generated by tally.generateXMLfromYAML()
+ * Consumes decoded text chunks of Tally response and pushes one row (array of field values) for every <F01>..<Fnn> group
+ */
+class tdlRowParser extends Transform {
+
+    rowCount = 0;
+    hasEnvelope = false; //<ENVELOPE> tag was found in response
+    isComplete = false; //</ENVELOPE> tag was found in response (i.e. response was not truncated)
+    isEmpty = true; //nothing other than whitespace was found in response (Tally sends empty body for report without data)
+
+    private fieldCount: number;
+    private buffer = '';
+    private activeRow: string[] | undefined = undefined;
+    private activeField = -1; //index of field whose value is being read (-1 = outside field tag)
+
+    constructor(fieldCount: number) {
+        super({ readableObjectMode: true, decodeStrings: false });
+        this.fieldCount = fieldCount;
+    }
+
+    _transform(chunk: any, encoding: BufferEncoding, callback: TransformCallback): void {
+        try {
+            let text = typeof chunk == 'string' ? chunk : chunk.toString();
+            if (this.isEmpty && /\S/.test(text))
+                this.isEmpty = false;
+            this.buffer += text;
+            this.parseBuffer();
+            callback();
+        } catch (err: any) {
+            callback(err);
+        }
+    }
+
+    _flush(callback: TransformCallback): void {
+        try {
+            this.pushActiveRow();
+            this.buffer = '';
+            callback();
+        } catch (err: any) {
+            callback(err);
+        }
+    }
+
+    private parseBuffer(): void {
+        let pos = 0;
+        while (pos < this.buffer.length) {
+            let indexTagStart = this.buffer.indexOf('<', pos);
+            if (indexTagStart == -1) { //no more tag in buffer
+                if (this.activeField == -1)
+                    pos = this.buffer.length; //discard whitespace between tags
+                break; //else wait for remaining value of field in next chunk
+            }
+
+            let indexTagEnd = this.buffer.indexOf('>', indexTagStart);
+            if (indexTagEnd == -1) //tag is split across chunks
+                break;
+
+            if (this.activeField != -1) { //value ends at next tag as text value cannot contain raw < character
+                this.setFieldValue(this.activeField, this.buffer.substring(pos, indexTagStart));
+                this.activeField = -1;
+            }
+
+            let tagName = this.buffer.substring(indexTagStart + 1, indexTagEnd);
+            let fieldTag = regexFieldTag.exec(tagName);
+            if (fieldTag) {
+                let fieldIndex = parseInt(fieldTag[1]) - 1;
+                if (fieldIndex == 0) { //first field marks beginning of new row
+                    this.pushActiveRow();
+                    this.activeRow = new Array<string>(this.fieldCount).fill('');
+                }
+                if (!fieldTag[2]) //not a self-closing tag, so value follows
+                    this.activeField = fieldIndex;
+            }
+            else if (tagName == 'ENVELOPE')
+                this.hasEnvelope = true;
+            else if (tagName == '/ENVELOPE')
+                this.isComplete = true;
+            else; //closing field tags, FLDBLANK and other tags are ignored
+
+            pos = indexTagEnd + 1;
+        }
+        this.buffer = this.buffer.substring(pos);
+    }
+
+    private setFieldValue(fieldIndex: number, rawValue: string): void {
+        if (!this.activeRow || fieldIndex < 0 || fieldIndex >= this.fieldCount)
+            return;
+
+        let value = rawValue.replace(/[\r\n]+\s*$/, ''); //remove line break and indentation preceding closing tag
+        value = value.replace(regexEntity, (match, entity: string) => {
+            if (entity == 'amp') return '&';
+            else if (entity == 'lt') return '<';
+            else if (entity == 'gt') return '>';
+            else if (entity == 'quot') return '"';
+            else if (entity == 'apos') return "'";
+            else if (entity == 'tab') return ' ';
+            else if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.substring(2), 16));
+            else return String.fromCodePoint(parseInt(entity.substring(1)));
+        });
+        value = value.replace(/[\t\r\n]/g, ' '); //tab and line break are reserved as column and row separator of staging file
+        value = value.replace(/[\u0000-\u001f]/g, ''); //strip out unreadable control characters
+        this.activeRow[fieldIndex] = value;
+    }
+
+    private pushActiveRow(): void {
+        if (this.activeRow) {
+            this.push(this.activeRow);
+            this.rowCount++;
+            this.activeRow = undefined;
+        }
+    }
+}
+
+/**
+ * Serializes rows pushed by tdlRowParser into tab separated lines of staging file
+ */
+class tdlRowSerializer extends Transform {
+
+    constructor() {
+        super({ writableObjectMode: true });
+    }
+
+    _transform(row: string[], encoding: BufferEncoding, callback: TransformCallback): void {
+        callback(null, '\r\n' + row.join('\t'));
+    }
+}
+
+export { tdlRowParser, tdlRowSerializer };
@@ -2,15 +2,32 @@ import fs from 'fs';
 import path from 'path';
 import process from 'process';
 import http from 'http';
+import { pipeline } from 'stream/promises';
 import yaml from 'js-yaml';
 import { utility } from './utility.mjs';
 import { logger } from './logger.mjs';
 import { database } from './database.mjs';
-import { tallyConfig, tableConfigYAML } from './definition.mjs';
+import { checkpoint } from './checkpoint.mjs';
+import { verify } from './verify.mjs';
+import { tdlRowParser, tdlRowSerializer } from './parser.mjs';
+import { tallyConfig, tallyCompanyConfig, tableConfigYAML, fieldConfigYAML, schemaDifference, checkpointManifest, verifyReport } from './definition.mjs';
+
+const chunkSizes = ['month', 'week', 'day']; //date-range windows for extraction of transaction tables (largest to smallest)
+const chunkSlowResponseSeconds = 60; //response time of Tally beyond which window size is reduced
+const defaultTimeoutSeconds = 600; //inactivity of Tally (no data received) after which request is aborted, unless configured
+
+//tables maintained by utility for company information and computation of incremental sync
+const lstTableSystem: tableConfigYAML[] = [
+    { name: 'config', collection: '', nature: 'Primary', fields: [{ name: 'name', field: '', type: 'text', length: 64 }, { name: 'value', field: '', type: 'text', length: 1024 }] },
+    { name: '_diff', collection: '', nature: '', fields: [{ name: 'guid', field: '', type: 'text', length: 64 }, { name: 'alterid', field: '', type: 'number' }] },
+    { name: '_delete', collection: '', nature: '', fields: [{ name: 'guid', field: '', type: 'text', length: 64 }] },
+    { name: '_vchnumber', collection: '', nature: '', fields: [{ name: 'guid', field: '', type: 'text', length: 64 }, { name: 'voucher_number', field: '', type: 'text', length: 256 }] }
+];
 
 class _tally {
 
     config: tallyConfig;
+    lstCompany: tallyCompanyConfig[] = []; //companies to be synced one after another in single run
     lastAlterIdMaster: number = 0
     lastAlterIdTransaction: number = 0
 
@@ -21,10 +38,19 @@ class _tally {
     private importMaster = true;
     private importTransaction = true;
     private truncateTable = true;
+    private schemaMode = ''; // [ create / diff ]
+    private companyId = ''; //company_id discriminator value of company being synced
+    private resume = false; //continue interrupted sync from its checkpoint
+    private verifyMode = false; //compare database with Tally instead of syncing
+    private verifyReportFile = './verify-report.json';
 
     constructor() {
         try {
             this.config = JSON.parse(fs.readFileSync('./config.json', 'utf8'))['tally'];
+            if (Array.isArray(this.config.company)) { //list of companies
+                this.lstCompany = this.validateCompanyList(this.config.company);
+                this.config.company = '';
+            }
         } catch (err) {
             this.config = {
                 definition: 'tally-export-config.yaml',
@@ -34,7 +60,8 @@ class _tally {
                 fromdate: 'auto',
                 todate: 'auto',
                 frequency: 0,
-                sync: 'full'
+                sync: 'full',
+                chunk: 'none'
             };
             logger.logError('tally()', err);
             throw err;
@@ -54,12 +81,22 @@ class _tally {
             }
             if (lstConfigs.has('tally-sync')) this.config.sync = lstConfigs.get('tally-sync') || 'full';
             if (lstConfigs.has('tally-frequency')) this.config.frequency = parseInt(lstConfigs.get('tally-frequency') || '0');
-            if (lstConfigs.has('tally-company')) this.config.company = lstConfigs.get('tally-company') || '';
+            if (lstConfigs.has('tally-company')) {
+                this.config.company = lstConfigs.get('tally-company') || '';
+                this.lstCompany = []; //company specified in commandline overrides list of companies
+            }
+            if (lstConfigs.has('tally-chunk')) this.config.chunk = lstConfigs.get('tally-chunk') || 'none';
+            if (lstConfigs.has('tally-timeout')) this.config.timeout = parseFloat(lstConfigs.get('tally-timeout') || '0') || defaultTimeoutSeconds;
 
             //flags
             if (lstConfigs.has('tally-master')) this.importMaster = lstConfigs.get('tally-master') == 'true';
             if (lstConfigs.has('tally-transaction')) this.importTransaction = lstConfigs.get('tally-transaction') == 'true';
             if (lstConfigs.has('tally-truncate')) this.truncateTable = lstConfigs.get('tally-truncate') == 'true';
+            if (lstConfigs.has('schema-create')) this.schemaMode = 'create';
+            if (lstConfigs.has('schema-diff')) this.schemaMode = 'diff';
+            if (lstConfigs.has('resume')) this.resume = lstConfigs.get('resume') == 'true';
+            if (lstConfigs.has('verify')) this.verifyMode = lstConfigs.get('verify') == 'true';
+            if (lstConfigs.has('verify-report')) this.verifyReportFile = lstConfigs.get('verify-report') || this.verifyReportFile;
         } catch (err) {
             logger.logError('tally.updateCommandlineConfig()', err);
             throw err;
@@ -71,6 +108,84 @@ class _tally {
             try {
 
                 logger.logMessage('Tally to Database | version: 1.0.37');
+                if (this.verifyMode)
+                    verify.begin();
+
+                if (!this.lstCompany.length) { //specified company or active company of Tally
+                    await this.importCompanyData();
+                    return resolve();
+                }
+
+                //sync each company of the list, one after another
+                let defaultSchema = database.config.schema;
+                let defaultFromDate = this.config.fromdate; //'auto' period is replaced by books period of company during its sync
+                let defaultToDate = this.config.todate;
+                let lstCompanyResult: string[] = [];
+                let countFailed = 0;
+
+                //companies synced by interrupted run are skipped (companies which failed in between are synced again)
+                let isSyncRun = !this.verifyMode && this.schemaMode != 'diff';
+                let previousCheckpoint = isSyncRun && this.resume ? checkpoint.read() : undefined;
+                let lstCompleted = isSyncRun ? checkpoint.beginRun(this.resume) : [];
+
+                //company interrupted midway is continued first, as sync of any other company discards its checkpoint
+                let lstCompany = [...this.lstCompany];
+                let indexResume = lstCompany.findIndex(p => p.name == previousCheckpoint?.company && (p.id || '') == previousCheckpoint?.companyId);
+                if (indexResume > 0)
+                    lstCompany.unshift(...lstCompany.splice(indexResume, 1));
+
+                for (const targetCompany of lstCompany) {
+                    if (lstCompleted.some(p => p.company == targetCompany.name && p.companyId == (targetCompany.id || ''))) {
+                        lstCompanyResult.push(`  ${targetCompany.name}: skipped [processed before interruption]`);
+                        continue;
+                    }
+                    let timestampBegin = Date.now();
+                    this.config.company = targetCompany.name;
+                    this.companyId = targetCompany.id || '';
+                    this.config.fromdate = defaultFromDate;
+                    this.config.todate = defaultToDate;
+                    database.config.schema = targetCompany.schema || defaultSchema;
+                    logger.logMessage('Company: %s [%s]', targetCompany.name, new Date().toLocaleString());
+                    try {
+                        if (this.companyId && !/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology))
+                            throw 'Company ID is supported only for SQL Server / MySQL / PostgreSQL / SQLite / DuckDB';
+                        await this.importCompanyData();
+                        if (isSyncRun)
+                            checkpoint.markCompanyCompleted({ company: targetCompany.name, companyId: this.companyId });
+                        let elapsedSecond = utility.Number.round((Date.now() - timestampBegin) / 1000, 3);
+                        lstCompanyResult.push(`  ${targetCompany.name}: completed [${elapsedSecond} sec]`);
+                    } catch (err) {
+                        countFailed++;
+                        let errorMessage = typeof err == 'string' ? err : (err as any)?.message;
+                        lstCompanyResult.push(`  ${targetCompany.name}: failed [${errorMessage || 'refer error-log.txt'}]`);
+                    }
+                }
+                this.config.company = '';
+                this.companyId = '';
+                this.config.fromdate = defaultFromDate;
+                this.config.todate = defaultToDate;
+                database.config.schema = defaultSchema;
+
+                logger.logMessage('Company-wise result [%s]', new Date().toLocaleString());
+                lstCompanyResult.forEach(p => logger.logMessage(p));
+
+                if (isSyncRun && !countFailed)
+                    checkpoint.completeRun();
+
+                if (countFailed)
+                    reject(`Sync failed for ${countFailed} of ${this.lstCompany.length} companies`);
+                else
+                    resolve();
+            } catch (err) {
+                logger.logError('tally.importData()', err);
+                reject(err);
+            }
+        });
+    }
+
+    private importCompanyData(): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
 
                 //Load YAML export definition file
                 let pathTallyExportDefinition = this.config.definition
@@ -78,6 +193,11 @@ class _tally {
                     let objYAML: any = yaml.load(fs.readFileSync(`./${pathTallyExportDefinition}`, 'utf-8'));
                     this.lstTableMaster = objYAML['master'];
                     this.lstTableTransaction = objYAML['transaction'];
+
+                    //discriminator column to distinguish rows of companies sharing same tables
+                    if (this.companyId)
+                        for (const targetTable of [...this.lstTableMaster, ...this.lstTableTransaction])
+                            targetTable.fields.push(this.getCompanyIdField());
                 }
                 else {
                     logger.logMessage('Tally export definition file specified does not exists or is invalid');
@@ -87,27 +207,74 @@ class _tally {
 
                 await database.openConnectionPool();
 
+                let lstSchemaTables: tableConfigYAML[] = [];
+                lstSchemaTables.push(...lstTableSystem.filter(p => p.name == 'config' || this.config.sync == 'incremental'));
+                if (this.companyId) //config table stores information of each company
+                    lstSchemaTables[0] = { ...lstSchemaTables[0], fields: [...lstSchemaTables[0].fields, this.getCompanyIdField()] };
+                lstSchemaTables.push(...this.lstTableMaster, ...this.lstTableTransaction);
+
+                //create missing tables & columns (or just report differences) as per export definition, before sync starts
+                //single file database is always created along with its tables, if not exists
+                if (this.schemaMode || /^(sqlite|duckdb)$/g.test(database.config.technology)) {
+                    if (/^(mssql|mysql|postgres|sqlite|duckdb|bigquery)$/g.test(database.config.technology)) {
+                        let lstDifference: schemaDifference[] = [];
+                        if (this.schemaMode == 'diff') {
+                            logger.logMessage('Comparing database tables with export definition [%s]', new Date().toLocaleString());
+                            lstDifference = await database.diffTables(lstSchemaTables);
+                        }
+                        else {
+                            if (this.schemaMode == 'create')
+                                logger.logMessage('Creating missing database tables & columns from export definition [%s]', new Date().toLocaleString());
+                            lstDifference = await database.createTables(lstSchemaTables);
+                        }
+                        for (const itemDifference of lstDifference) {
+                            let targetName = itemDifference.field ? `${itemDifference.table}.${itemDifference.field}` : itemDifference.table;
+                            let details = itemDifference.actual ? ` [expected: ${itemDifference.expected} / found: ${itemDifference.actual}]` : (itemDifference.expected ? ` [expected: ${itemDifference.expected}]` : '');
+                            logger.logMessage('  %s: %s%s', targetName, itemDifference.issue, details);
+                        }
+                        if (this.schemaMode == 'diff' && !lstDifference.length)
+                            logger.logMessage('  No difference found');
+                    }
+                    else
+                        logger.logMessage('Schema creation is supported only for SQL Server / MySQL / PostgreSQL / SQLite / DuckDB / BigQuery');
+
+                    if (this.schemaMode == 'diff') //comparison mode does not sync data
+                        return resolve();
+                }
+
+                if (this.verifyMode) { //reconciliation mode compares database with Tally, without syncing
+                    await this.verifyCompanyData();
+                    return resolve();
+                }
+
+                //rows of companies sharing tables are keyed by company_id too, which cannot be added to key of table created without it
+                if (this.companyId) {
+                    let lstKeyDifference: schemaDifference[] = [];
+                    for (const targetTable of lstSchemaTables)
+                        lstKeyDifference.push(...await database.diffTableKey(targetTable));
+                    if (lstKeyDifference.length)
+                        throw `Companies sharing tables require company_id in primary key, re-create tables ${lstKeyDifference.map(p => `${p.table} [expected: ${p.expected} / found: ${p.actual}]`).join(', ')} or load company into its own schema`;
+                }
+
                 if (this.config.sync == 'incremental') {
-                    if (/^(mssql|mysql|postgres)$/g.test(database.config.technology)) {
+                    if (/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
 
                         //set mandatory config required for incremental sync
                         this.config.fromdate = 'auto';
                         this.config.todate = 'auto';
 
-                        //delete and re-create CSV folder
-                        if (fs.existsSync('./csv'))
-                            fs.rmSync('./csv', { recursive: true });
-                        fs.mkdirSync('./csv');
-
                         //acquire last AlterID of master & transaction from last sync version of Database
                         logger.logMessage('Acquiring last AlterID from database');
                         
-                        let lastAlterIdMasterDatabase = await database.executeScalar<number>(`select coalesce(max(cast(value as ${database.config.technology == 'mysql' ? 'unsigned int' : 'int'})),0) x from config where name = 'Last AlterID Master'`);
-                        let lastAlterIdTransactionDatabase = await database.executeScalar<number>(`select coalesce(max(cast(value as ${database.config.technology == 'mysql' ? 'unsigned int' : 'int'})),0) x from config where name = 'Last AlterID Transaction'`);
+                        let lastAlterIdMasterDatabase = await database.executeScalar<number>(`select coalesce(max(cast(value as ${database.config.technology == 'mysql' ? 'unsigned int' : 'int'})),0) x from config where name = 'Last AlterID Master'${this.getCompanyFilter()}`);
+                        let lastAlterIdTransactionDatabase = await database.executeScalar<number>(`select coalesce(max(cast(value as ${database.config.technology == 'mysql' ? 'unsigned int' : 'int'})),0) x from config where name = 'Last AlterID Transaction'${this.getCompanyFilter()}`);
 
-                        //update active company information before starting import
+                        //update active company information before starting import (retaining last AlterID of database until changes are applied)
                         logger.logMessage('Updating company information configuration table [%s]', new Date().toLocaleDateString());
-                        await this.saveCompanyInfo();
+                        await this.saveCompanyInfo(lastAlterIdMasterDatabase, lastAlterIdTransactionDatabase);
+
+                        //continue from checkpoint of interrupted sync (only if database is not synced thereafter) or start afresh
+                        let isResumed = checkpoint.begin(this.getCheckpointInfo(lastAlterIdMasterDatabase, lastAlterIdTransactionDatabase), this.resume);
 
                         //prepare substitution list of runtime values to reflected in TDL XML
                         let configTallyXML = new Map<string, any>();
@@ -117,7 +284,14 @@ class _tally {
 
                         logger.logMessage('Performing incremental sync [%s]', new Date().toLocaleString());
 
-                        await this.updateLastAlterId(); //Update last alter ID
+                        if (isResumed) { //AlterID of Tally as on beginning of interrupted sync
+                            this.lastAlterIdMaster = checkpoint.get().lastAlterIdMaster;
+                            this.lastAlterIdTransaction = checkpoint.get().lastAlterIdTransaction;
+                        }
+                        else {
+                            await this.updateLastAlterId(); //Update last alter ID
+                            checkpoint.update({ lastAlterIdMaster: this.lastAlterIdMaster, lastAlterIdTransaction: this.lastAlterIdTransaction });
+                        }
                         let lastAlterIdMasterTally = this.lastAlterIdMaster;
                         let lastAlterIdTransactionTally = this.lastAlterIdTransaction;
 
@@ -137,10 +311,11 @@ class _tally {
                         //terminate sync if nothing has changed
                         if (!flgIsMasterChanged && !flgIsTransactionChanged) {
                             logger.logMessage('  No change found');
+                            checkpoint.complete();
                             return resolve();
                         }
 
-                        //iterate through all the Primary type of tables
+                        //list of Primary type of tables, along with their filters prior to addition of AlterID filter
                         let lstPrimaryTables: tableConfigYAML[] = [];
                         if (flgIsMasterChanged) {
                             lstPrimaryTables.push(...this.lstTableMaster.filter(p => p.nature == 'Primary'));
@@ -148,10 +323,45 @@ class _tally {
                         if (flgIsTransactionChanged) {
                             lstPrimaryTables.push(...this.lstTableTransaction.filter(p => p.nature == 'Primary'));
                         }
+                        let lstPrimaryTableFilters = lstPrimaryTables.map(p => [...(p.filters || [])]);
+
+                        //modified and added rows are first extracted into staging tables, so that actual tables are not touched until all the extraction completes
+                        let lstStageTables: tableConfigYAML[] = [];
+                        if (flgIsMasterChanged) {
+                            lstStageTables.push(...this.lstTableMaster);
+                        }
+                        if (flgIsTransactionChanged) {
+                            lstStageTables.push(...this.lstTableTransaction);
+                        }
+                        await database.createTables(lstStageTables.map(p => ({ ...p, name: `_stage_${p.name}`, nature: '' })));
+                        let lstPendingStageTables = lstStageTables.filter(p => !checkpoint.isLoaded(`_stage_${p.name}`)); //staging tables loaded prior to interruption are retained
+                        if (lstPendingStageTables.length)
+                            await database.truncateTables(lstPendingStageTables.map(p => `_stage_${p.name}`));
+
+                        for (let i = 0; i < lstStageTables.length; i++) {
+                            let activeTable = lstStageTables[i];
+
+                            //add AlterID filter
+                            if (!Array.isArray(activeTable.filters))
+                                activeTable.filters = [];
+                            activeTable.filters.push(`$AlterID > ${this.lstTableMaster.includes(activeTable) ? lastAlterIdMasterDatabase : lastAlterIdTransactionDatabase}`);
+
+                            let targetTable = `_stage_${activeTable.name}`;
+                            if (checkpoint.isLoaded(targetTable)) {
+                                logger.logMessage('  syncing table %s [resumed]', activeTable.name);
+                                continue;
+                            }
+                            if (!checkpoint.isExtracted(targetTable))
+                                checkpoint.markExtracted(targetTable, await this.processReport(targetTable, activeTable, configTallyXML));
+                            checkpoint.markLoaded(targetTable, await database.bulkLoad(path.join(process.cwd(), `./csv/${targetTable}.data`), targetTable, activeTable.fields.map(p => p.type)));
+                            fs.unlinkSync(path.join(process.cwd(), `./csv/${targetTable}.data`)); //delete raw file
+                            logger.logMessage('  syncing table %s', activeTable.name);
+                        }
+
+                        //apply changes of each Primary table along with its cascade delete tables in a single transaction
                         for (let i = 0; i < lstPrimaryTables.length; i++) {
                             let activeTable = lstPrimaryTables[i];
-                            await database.executeNonQuery('truncate table _diff;');
-                            await database.executeNonQuery('truncate table _delete;');
+                            await database.truncateTables(['_diff', '_delete']);
                             let tempTable: tableConfigYAML = {
                                 name: '',
                                 collection: activeTable.collection,
@@ -169,65 +379,52 @@ class _tally {
                                 ],
                                 nature: '',
                                 fetch: ['AlterId'],
-                                filters: activeTable.filters
+                                filters: lstPrimaryTableFilters[i]
                             };
                             await this.processReport('_diff', tempTable, configTallyXML);
                             await database.bulkLoad(path.join(process.cwd(), `./csv/_diff.data`), '_diff', tempTable.fields.map(p => p.type)); //upload to temporary table
                             fs.unlinkSync(path.join(process.cwd(), `./csv/_diff.data`)); //delete temporary file
 
                             //insert into delete list rows there were deleted in current data compared to previous one
-                            await database.executeNonQuery(`insert into _delete select guid from ${activeTable.name} where guid not in (select guid from _diff);`);
+                            await database.executeNonQuery(`insert into _delete select guid from ${activeTable.name} where guid not in (select guid from _diff)${this.getCompanyFilter()};`);
                             //insert into delete list rows that were modified in current data (as they will be imported freshly)
-                            await database.executeNonQuery(`insert into _delete select t.guid from ${activeTable.name} as t join _diff as s on s.guid = t.guid where s.alterid <> t.alterid;`);
+                            await database.executeNonQuery(`insert into _delete select t.guid from ${activeTable.name} as t join _diff as s on s.guid = t.guid where s.alterid <> t.alterid${this.getCompanyFilter('t.')};`);
+
+                            let lstTransactionSQL: string[] = [];
 
-                            //remove delete list rows from the source table
-                            await database.executeNonQuery(`delete from ${activeTable.name} where guid in (select guid from _delete)`);
+                            //remove rows from the source table which are not re-imported (modified rows are updated in-place)
+                            lstTransactionSQL.push(`delete from ${activeTable.name} where guid in (select guid from _delete) and guid not in (select guid from _stage_${activeTable.name})${this.getCompanyFilter()};`);
 
-                            //iterate through each cascade delete table and delete modified rows for insertion of fresh copy
+                            //iterate through each cascade delete table and replace rows of modified / deleted rows with fresh copy
                             if (Array.isArray(activeTable.cascade_delete) && activeTable.cascade_delete.length) {
                                 for (let j = 0; j < activeTable.cascade_delete.length; j++) {
                                     let targetTable = activeTable.cascade_delete[j].table;
                                     let targetField = activeTable.cascade_delete[j].field;
-                                    await database.executeNonQuery(`delete from ${targetTable} where ${targetField} in (select guid from _delete);`);
+                                    //rows re-imported without change (sync re-run after its AlterID was not saved) are replaced too, else they would be duplicated
+                                    lstTransactionSQL.push(`delete from ${targetTable} where (${targetField} in (select guid from _delete) or ${targetField} in (select guid from _stage_${activeTable.name}))${this.getCompanyFilter()};`);
+                                    let targetTableConfig = lstStageTables.find(p => p.name == targetTable);
+                                    if (targetTableConfig) {
+                                        let fieldList = targetTableConfig.fields.map(p => p.name).join(',');
+                                        lstTransactionSQL.push(`insert into ${targetTable} (${fieldList}) select ${fieldList} from _stage_${targetTable};`);
+                                    }
                                 }
                             }
-                        }
 
-                        // iterate through all Master tables to extract modifed and added rows in Tally data
-                        if (flgIsMasterChanged) {
-                            for (let i = 0; i < this.lstTableMaster.length; i++) {
-                                let activeTable = this.lstTableMaster[i];
-
-                                //add AlterID filter
-                                if (!Array.isArray(activeTable.filters))
-                                    activeTable.filters = [];
-                                activeTable.filters.push(`$AlterID > ${lastAlterIdMasterDatabase}`);
-
-                                let targetTable = activeTable.name;
-                                await this.processReport(targetTable, activeTable, configTallyXML);
-                                await database.bulkLoad(path.join(process.cwd(), `./csv/${targetTable}.data`), targetTable, activeTable.fields.map(p => p.type));
-                                fs.unlinkSync(path.join(process.cwd(), `./csv/${targetTable}.data`)); //delete raw file
-                                logger.logMessage('  syncing table %s', targetTable);
-                            }
+                            //insert new rows and update modified rows of source table
+                            lstTransactionSQL.push(database.getUpsertSQL(activeTable, `_stage_${activeTable.name}`));
+
+                            await database.executeTransaction(lstTransactionSQL);
                         }
 
-                        // iterate through Transaction table to extract modifed and added rows in Tally data
-                        if (flgIsTransactionChanged) {
-                            for (let i = 0; i < this.lstTableTransaction.length; i++) {
-                                let activeTable = this.lstTableTransaction[i];
-
-                                //add AlterID filter
-                                if (!Array.isArray(activeTable.filters))
-                                    activeTable.filters = [];
-                                activeTable.filters.push(`$AlterID > ${lastAlterIdTransactionDatabase}`);
-
-                                let targetTable = activeTable.name;
-                                await this.processReport(targetTable, activeTable, configTallyXML);
-                                await database.bulkLoad(path.join(process.cwd(), `./csv/${targetTable}.data`), targetTable, activeTable.fields.map(p => p.type));
-                                fs.unlinkSync(path.join(process.cwd(), `./csv/${targetTable}.data`)); //delete raw file
-                                logger.logMessage('  syncing table %s', targetTable);
+                        //append rows of tables which do not belong to any Primary table
+                        for (const activeTable of lstStageTables) {
+                            let isCascadeTable = lstPrimaryTables.some(p => p == activeTable || (p.cascade_delete || []).some(q => q.table == activeTable.name));
+                            if (!isCascadeTable) {
+                                let fieldList = activeTable.fields.map(p => p.name).join(',');
+                                await database.executeNonQuery(`insert into ${activeTable.name} (${fieldList}) select ${fieldList} from _stage_${activeTable.name};`);
                             }
                         }
+                        await database.truncateTables(lstStageTables.map(p => `_stage_${p.name}`));
 
                         if (flgIsMasterChanged) {
                             // process foreign key updates to derived table fields
@@ -239,13 +436,13 @@ class _tally {
                                         let targetTable = activeTable.cascade_update[j].table;
                                         let targetField = activeTable.cascade_update[j].field;
                                         if (database.config.technology == 'mssql') {
-                                            await database.executeNonQuery(`update t set t.${targetField} = s.name from ${targetTable} as t join ${activeTable.name} as s on s.guid = t._${targetField} ;`);
+                                            await database.executeNonQuery(`update t set t.${targetField} = s.name from ${targetTable} as t join ${activeTable.name} as s on s.guid = t._${targetField}${this.getCompanyFilter('t.')}${this.getCompanyFilter('s.')} ;`);
                                         }
                                         else if (database.config.technology == 'mysql') {
-                                            await database.executeNonQuery(`update ${targetTable} as t join ${activeTable.name} as s on s.guid = t._${targetField} set t.${targetField} = s.name ;`);
+                                            await database.executeNonQuery(`update ${targetTable} as t join ${activeTable.name} as s on s.guid = t._${targetField}${this.getCompanyFilter('t.')}${this.getCompanyFilter('s.')} set t.${targetField} = s.name ;`);
                                         }
-                                        else if (database.config.technology == 'postgres') {
-                                            await database.executeNonQuery(`update ${targetTable} as t set ${targetField} = s.name from ${activeTable.name} as s where s.guid = t._${targetField} ;`);
+                                        else if (/^(postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                                            await database.executeNonQuery(`update ${targetTable} as t set ${targetField} = s.name from ${activeTable.name} as s where s.guid = t._${targetField}${this.getCompanyFilter('t.')}${this.getCompanyFilter('s.')} ;`);
                                         }
                                         else;
                                     }
@@ -255,18 +452,17 @@ class _tally {
                         if (flgIsTransactionChanged) {
                             //check if any Voucher Type is set to auto numbering
                             //automatic voucher number shifts voucher numbers of all subsequent date vouchers on insertion of in-between vouchers which requires updation
-                            let countAutoNumberVouchers = await database.executeNonQuery(`select count(*) as c from mst_vouchertype where numbering_method like '%Auto%' ;`);
+                            let countAutoNumberVouchers = Number(await database.executeScalar<number>(`select count(*) as c from mst_vouchertype where numbering_method like '%Auto%'${this.getCompanyFilter()} ;`));
                             if (countAutoNumberVouchers) {
 
                                 logger.logMessage('  processing voucher number updates');
-                                await database.executeNonQuery('truncate table _vchnumber;');
+                                await database.truncateTables(['_vchnumber']);
 
                                 //pull list of voucher numbers for all the vouchers
-                                let activeTable = this.lstTableTransaction.filter(p => p.name = 'trn_voucher')[0];
-                                let lstActiveTableFilter = activeTable.filters || [];
+                                let activeTable = this.lstTableTransaction.filter(p => p.name == 'trn_voucher')[0];
+                                let lstActiveTableFilter = [...(activeTable.filters || [])]; //copy, so that filters of table are not altered
+                                lstActiveTableFilter.splice(lstActiveTableFilter.length - 1, 1); //remove AlterID filter
                                 lstActiveTableFilter.push('$$IsEqual:($NumberingMethod:VoucherType:$VoucherTypeName):"Automatic"');
-                                if (Array.isArray(activeTable.filters))
-                                    activeTable.filters.splice(activeTable.filters.length - 1, 1); //remove AlterID filter
                                 let tempTable: tableConfigYAML = {
                                     name: '',
                                     collection: activeTable.collection,
@@ -292,25 +488,30 @@ class _tally {
 
                                 //update voucher number with fresh copy
                                 if (database.config.technology == 'mssql') {
-                                    await database.executeNonQuery('update t set t.voucher_number = s.voucher_number from trn_voucher as t join _vchnumber as s on s.guid = t.guid;');
+                                    await database.executeNonQuery(`update t set t.voucher_number = s.voucher_number from trn_voucher as t join _vchnumber as s on s.guid = t.guid${this.getCompanyFilter('t.')};`);
                                 }
                                 else if (database.config.technology == 'mysql') {
-                                    await database.executeNonQuery('update trn_voucher as t join _vchnumber as s on s.guid = t.guid set t.voucher_number = s.voucher_number;');
+                                    await database.executeNonQuery(`update trn_voucher as t join _vchnumber as s on s.guid = t.guid${this.getCompanyFilter('t.')} set t.voucher_number = s.voucher_number;`);
                                 }
-                                else if (database.config.technology == 'postgres') {
-                                    await database.executeNonQuery('update trn_voucher as t set voucher_number = s.voucher_number from _vchnumber as s where s.guid = t.guid;');
+                                else if (/^(postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                                    await database.executeNonQuery(`update trn_voucher as t set voucher_number = s.voucher_number from _vchnumber as s where s.guid = t.guid${this.getCompanyFilter('t.')};`);
                                 }
                                 else;
                             }
                         }
 
                         //erase rows for all the temporary calculation tables
-                        await database.executeNonQuery('truncate table _diff ;');
-                        await database.executeNonQuery('truncate table _delete ;');
-                        await database.executeNonQuery('truncate table _vchnumber ;');
+                        await database.truncateTables(['_diff', '_delete', '_vchnumber']);
+
+                        //record AlterID of Tally only after all the changes are applied, so that interrupted sync is re-attempted next time
+                        await database.executeNonQuery([
+                            `update config set value = '${lastAlterIdMasterTally}' where name = 'Last AlterID Master'${this.getCompanyFilter()};`,
+                            `update config set value = '${lastAlterIdTransactionTally}' where name = 'Last AlterID Transaction'${this.getCompanyFilter()};`
+                        ]);
+                        checkpoint.complete();
                     }
                     else
-                        logger.logMessage('Incremental Sync is supported only for SQL Server / MySQL / PostgreSQL');
+                        logger.logMessage('Incremental Sync is supported only for SQL Server / MySQL / PostgreSQL / SQLite / DuckDB');
                 }
                 else { // assume default as full
                     let lstTables: tableConfigYAML[] = [];
@@ -321,16 +522,22 @@ class _tally {
                         lstTables.push(...this.lstTableTransaction);
                     }
 
-                    //delete and re-create CSV folder
-                    if (fs.existsSync('./csv')) {
-                        fs.rmSync('./csv', { recursive: true });
-                    }
-                    fs.mkdirSync('./csv');
+                    //swap mode loads shadow tables, so that live tables remain intact till every table is loaded
+                    let isSwapMode = database.config.swap && /^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology);
+                    const getLoadTable = (tableName: string) => isSwapMode ? `_stage_${tableName}` : tableName; //data file is named same as table in which it is loaded
+
+                    //continue from checkpoint of interrupted sync or start afresh
+                    let isResumed = checkpoint.begin(this.getCheckpointInfo(), this.resume);
 
-                    if (/^(mssql|mysql|postgres|bigquery|csv)$/g.test(database.config.technology)) {
+                    if (/^(mssql|mysql|postgres|sqlite|duckdb|bigquery|csv)$/g.test(database.config.technology)) {
                         //update active company information before starting import
                         logger.logMessage('Updating company information configuration table [%s]', new Date().toLocaleDateString());
-                        await this.saveCompanyInfo();
+                        if (isResumed) //AlterID of Tally as on beginning of interrupted sync
+                            await this.saveCompanyInfo(checkpoint.get().lastAlterIdMaster, checkpoint.get().lastAlterIdTransaction);
+                        else {
+                            await this.saveCompanyInfo();
+                            checkpoint.update({ lastAlterIdMaster: this.lastAlterIdMaster, lastAlterIdTransaction: this.lastAlterIdTransaction });
+                        }
                     }
 
                     //prepare substitution list of runtime values to reflected in TDL XML
@@ -342,30 +549,72 @@ class _tally {
                     //dump data exported from Tally to CSV file required for bulk import
                     logger.logMessage('Generating CSV files from Tally [%s]', new Date().toLocaleString());
                     for (let i = 0; i < lstTables.length; i++) {
-                        let timestampBegin = Date.now();
                         let targetTable = lstTables[i].name;
-                        await this.processReport(targetTable, lstTables[i], configTallyXML);
+                        if (checkpoint.isLoaded(getLoadTable(targetTable)) || checkpoint.isExtracted(getLoadTable(targetTable))) {
+                            logger.logMessage('  saving file %s.csv [resumed]', targetTable);
+                            continue;
+                        }
+                        let timestampBegin = Date.now();
+                        checkpoint.markExtracted(getLoadTable(targetTable), await this.processReport(getLoadTable(targetTable), lstTables[i], configTallyXML));
                         let timestampEnd = Date.now();
                         let elapsedSecond = utility.Number.round((timestampEnd - timestampBegin) / 1000, 3);
                         logger.logMessage('  saving file %s.csv [%f sec]', targetTable, elapsedSecond);
                     }
 
-                    if (this.truncateTable) {
-                        if (/^(mssql|mysql|postgres)$/g.test(database.config.technology)) {
-                            await database.truncateTables(lstTables.map(p => p.name)); //truncate tables
+                    //tables loaded prior to interruption are skipped
+                    let lstPendingTables = lstTables.filter(p => !checkpoint.isLoaded(getLoadTable(p.name)));
+
+                    if (this.truncateTable && !isSwapMode && lstPendingTables.length) {
+                        if (/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                            if (this.companyId) //remove rows of only current company
+                                await database.executeNonQuery(lstPendingTables.map(p => `delete from ${p.name} where company_id = '${this.companyId}';`));
+                            else
+                                await database.truncateTables(lstPendingTables.map(p => p.name)); //truncate tables
                         }
                     }
 
 
-                    if (/^(mssql|mysql|postgres)$/g.test(database.config.technology)) {
+                    if (/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                        if (isSwapMode && lstPendingTables.length) {
+                            logger.logMessage('Creating shadow tables [%s]', new Date().toLocaleString());
+                            await database.createShadowTables(lstPendingTables);
+
+                            //carry forward rows which are not replaced by this sync (rows of other companies / append mode)
+                            if (!this.truncateTable || this.companyId) {
+                                let rowFilter = this.truncateTable ? ` where company_id <> '${this.companyId}'` : '';
+                                await database.executeNonQuery(lstPendingTables.map(p => `insert into _stage_${p.name} (${p.fields.map(q => q.name).join(',')}) select ${p.fields.map(q => q.name).join(',')} from ${p.name}${rowFilter};`));
+                            }
+                        }
+
                         //perform CSV file based bulk import into database
                         logger.logMessage('Loading CSV files to database tables [%s]', new Date().toLocaleString());
-                        for (let i = 0; i < lstTables.length; i++) {
-                            let targetTable = lstTables[i].name;
-                            let rowCount = await database.bulkLoad(path.join(process.cwd(), `./csv/${targetTable}.data`), targetTable, lstTables[i].fields.map(p => p.type));
-                            fs.unlinkSync(path.join(process.cwd(), `./csv/${targetTable}.data`)); //delete raw file
-                            logger.logMessage('  %s: imported %d rows', targetTable, rowCount);
+                        try {
+                            for (let i = 0; i < lstTables.length; i++) {
+                                let targetTable = getLoadTable(lstTables[i].name);
+                                if (!lstPendingTables.includes(lstTables[i])) {
+                                    logger.logMessage('  %s: imported %d rows [resumed]', lstTables[i].name, checkpoint.get().tables[targetTable].loaded);
+                                    continue;
+                                }
+                                let rowCount = await database.bulkLoad(path.join(process.cwd(), `./csv/${targetTable}.data`), targetTable, lstTables[i].fields.map(p => p.type));
+                                checkpoint.markLoaded(targetTable, rowCount);
+                                if (!isSwapMode) //shadow tables can be discarded till swap, so their files are retained
+                                    fs.unlinkSync(path.join(process.cwd(), `./csv/${targetTable}.data`)); //delete raw file
+                                logger.logMessage('  %s: imported %d rows', lstTables[i].name, rowCount);
+                            }
+
+                            if (isSwapMode) {
+                                logger.logMessage('Swapping shadow tables with live tables [%s]', new Date().toLocaleString());
+                                await database.swapShadowTables(lstTables.map(p => p.name));
+                                lstTables.forEach(p => fs.rmSync(path.join(process.cwd(), `./csv/${getLoadTable(p.name)}.data`), { force: true }));
+                            }
+                        } catch (err) {
+                            if (isSwapMode) { //live tables are untouched, so just discard partially loaded shadow tables
+                                await database.dropShadowTables(lstTables.map(p => p.name)).catch(() => { });
+                                checkpoint.resetLoaded();
+                            }
+                            throw err;
                         }
+                        checkpoint.complete();
                         fs.rmdirSync('./csv'); //remove directory
 
                     }
@@ -376,9 +625,9 @@ class _tally {
                         }
 
                         //remove special character of date from CSV files, which was inserted for null dates
-                        for (let i = 0; i < lstTables.length; i++) {
-                            let targetTable = lstTables[i].name;
-                            let lstFieldTypes = lstTables[i].fields.map(p => p.type);
+                        for (const targetTableConfig of lstPendingTables) {
+                            let targetTable = targetTableConfig.name;
+                            let lstFieldTypes = targetTableConfig.fields.map(p => p.type);
                             let content = fs.readFileSync(`./csv/${targetTable}.data`, 'utf-8');
                             if (database.config.technology == 'json') {
                                 content = JSON.stringify(database.csvToJsonArray(content, targetTable, lstFieldTypes));
@@ -387,17 +636,20 @@ class _tally {
                                 content = database.convertCSV(content, lstFieldTypes);
                             }
                             fs.writeFileSync(`./csv/${targetTable}.${database.config.technology == 'json' ? 'json' : 'csv'}`, '\ufeff' + content);
-                            fs.unlinkSync(`./csv/${targetTable}.data`); //delete raw file
+                            let rowCount = checkpoint.get().tables[targetTable].extracted || 0;
                             if (database.config.technology == 'bigquery') {
-                                let rowCount = await database.uploadGoogleBigQuery(targetTable);
+                                rowCount = await database.uploadGoogleBigQuery(targetTable);
                                 logger.logMessage('  %s: imported %d rows', targetTable, rowCount);
                             }
+                            checkpoint.markLoaded(targetTable, rowCount);
+                            fs.unlinkSync(`./csv/${targetTable}.data`); //delete raw file
                         }
 
                         //upload CSV files to Azure Data Lake
                         if (database.config.technology == 'adls') {
                             await database.uploadAzureDataLake(lstTables);
                         }
+                        checkpoint.complete();
                     }
                     else;
                 }
@@ -488,6 +740,7 @@ class _tally {
                     logger.logError('tally.postTallyXML()', reqError['message'] || '');
                     reject(reqError);
                 });
+                this.setRequestTimeout(req);
                 req.write(msg, 'utf16le');
                 req.end();
             } catch (err) {
@@ -497,6 +750,55 @@ class _tally {
         });
     };
 
+    private postTallyXMLStream(msg: string): Promise<http.IncomingMessage> {
+        return new Promise<http.IncomingMessage>((resolve, reject) => {
+            try {
+                let req = http.request({
+                    hostname: this.config.server,
+                    port: this.config.port,
+                    path: '',
+                    method: 'POST',
+                    headers: {
+                        'Content-Length': Buffer.byteLength(msg, 'utf16le'),
+                        'Content-Type': 'text/xml;charset=utf-16'
+                    }
+                },
+                    (res) => {
+                        if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) { //error page is not to be parsed as data
+                            res.resume();
+                            logger.logMessage('Tally responded with HTTP status %s', res.statusCode || '');
+                            reject(new Error(`Tally responded with HTTP status ${res.statusCode}`));
+                            return;
+                        }
+                        res.setEncoding('utf16le'); //decoder takes care of characters split across chunks
+                        resolve(res);
+                    });
+                req.on('error', (reqError: NodeJS.ErrnoException) => {
+                    if (reqError.code != 'ETIMEDOUT') { //timeout is handled by caller
+                        logger.logMessage('Unable to connect with Tally. Ensure tally XML port is enabled');
+                        logger.logError('tally.postTallyXMLStream()', reqError['message'] || '');
+                    }
+                    reject(reqError);
+                });
+                this.setRequestTimeout(req); //applies to streaming of response as well, which is interrupted on timeout
+                req.write(msg, 'utf16le');
+                req.end();
+            } catch (err) {
+                logger.logError('tally.postTallyXMLStream()', err);
+                reject(err);
+            }
+        });
+    };
+
+    private setRequestTimeout(req: http.ClientRequest): void {
+        let timeoutSeconds = this.config.timeout || defaultTimeoutSeconds;
+        req.setTimeout(timeoutSeconds * 1000, () => {
+            let err: NodeJS.ErrnoException = new Error(`Tally did not respond for ${timeoutSeconds} seconds`);
+            err.code = 'ETIMEDOUT';
+            req.destroy(err);
+        });
+    }
+
     private substituteTDLParameters(msg: string, substitutions: Map<string, any>): string {
         let retval = msg;
         try {
@@ -519,64 +821,315 @@ class _tally {
         return retval;
     }
 
-    private processTdlOutputManipulation(txt: string): string {
-        let retval = txt;
-        try {
-            retval = retval.replace('<ENVELOPE>', ''); //Eliminate ENVELOPE TAG
-            retval = retval.replace('</ENVELOPE>', '');
-            retval = retval.replace(/\<FLDBLANK\>\<\/FLDBLANK\>/g, ''); //Eliminate blank tag
-            retval = retval.replace(/\s+\r\n/g, ''); //remove empty lines
-            retval = retval.replace(/\r\n/g, ''); //remove all line breaks
-            retval = retval.replace(/\t/g, ' '); //replace all tabs with a single space
-            retval = retval.replace(/\s+\<F/g, '<F'); //trim left space
-            retval = retval.replace(/\<\/F\d+\>/g, ''); //remove XML end tags
-            retval = retval.replace(/\<F01\>/g, '\r\n'); //append line break to each row start and remove first field XML start tag
-            retval = retval.replace(/\<F\d+\>/g, '\t'); //replace XML start tags with tab separator
-            retval = retval.replace(/&amp;/g, '&'); //escape ampersand
-            retval = retval.replace(/&lt;/g, '<'); //escape less than
-            retval = retval.replace(/&gt;/g, '>'); //escape greater than
-            retval = retval.replace(/&quot;/g, '"'); //escape ampersand
-            retval = retval.replace(/&apos;/g, "'"); //escape ampersand
-            retval = retval.replace(/&tab;/g, ''); //strip out tab if any
-            retval = retval.replace(/&#\d+;/g, ""); //remove all unreadable character escapes
-        } catch (err) {
-            logger.logError('tally.processTdlOutputManipulation()', err);
-        }
+    private processReport(targetTable: string, tableConfig: tableConfigYAML, substitutions?: Map<string, any>): Promise<number> {
+        return new Promise<number>(async (resolve, reject) => {
+            try {
+                let fromDate = substitutions?.get('fromDate');
+                let toDate = substitutions?.get('toDate');
+                let isChunked = chunkSizes.includes(this.config.chunk) && this.lstTableTransaction.includes(tableConfig) && fromDate instanceof Date && toDate instanceof Date;
 
-        return retval;
+                //staging file always starts with column headers, followed by rows streamed from Tally
+                let columnHeaders = tableConfig.fields.map(p => p.name).join('\t');
+                let rowCount = 0;
+
+                if (!isChunked) {
+                    let xml = this.generateXMLfromYAML(tableConfig);
+                    if (substitutions && substitutions.size)
+                        xml = this.substituteTDLParameters(xml, substitutions);
+
+                    //stream response of Tally directly into staging file, so that memory usage does not depend on size of data
+                    let targetFile = fs.createWriteStream(`./csv/${targetTable}.data`, { encoding: 'utf-8' });
+                    targetFile.write(columnHeaders);
+                    let rowParser = await this.streamReport(xml, tableConfig.fields.length, targetFile);
+                    rowCount = rowParser.rowCount;
+                }
+                else {
+                    fs.writeFileSync(`./csv/${targetTable}.data`, columnHeaders, { encoding: 'utf-8' });
+                    rowCount = await this.processReportChunked(targetTable, tableConfig, substitutions as Map<string, any>, fromDate, toDate);
+                }
+
+                resolve(rowCount);
+            } catch (err) {
+                logger.logError(`tally.processMasterReport(${targetTable})`, err);
+                reject(err);
+            }
+        });
     }
 
-    private processReport(targetTable: string, tableConfig: tableConfigYAML, substitutions?: Map<string, any>): Promise<void> {
-        return new Promise<void>(async (resolve, reject) => {
+    private processReportChunked(targetTable: string, tableConfig: tableConfigYAML, substitutions: Map<string, any>, fromDate: Date, toDate: Date): Promise<number> {
+        return new Promise<number>(async (resolve, reject) => {
             try {
-                let xml = this.generateXMLfromYAML(tableConfig);
-                if (substitutions && substitutions.size)
-                    xml = this.substituteTDLParameters(xml, substitutions);
+                const partFile = `./csv/${targetTable}.part`;
+                let rowCount = 0;
+                let indexChunkConfig = chunkSizes.indexOf(this.config.chunk); //largest window allowed as per config
+                let indexChunkActive = indexChunkConfig;
+
+                let windowFrom = fromDate;
+                while (windowFrom <= toDate) {
+                    let chunkSize = chunkSizes[indexChunkActive];
+                    let windowTo = this.getChunkEndDate(windowFrom, chunkSize);
+                    if (windowTo > toDate)
+                        windowTo = toDate;
+
+                    //substitute period of window in place of complete period
+                    let windowSubstitutions = new Map<string, any>(substitutions);
+                    windowSubstitutions.set('fromDate', windowFrom);
+                    windowSubstitutions.set('toDate', windowTo);
+                    let xml = this.substituteTDLParameters(this.generateXMLfromYAML(tableConfig), windowSubstitutions);
+
+                    //extract window into part file, which is appended to staging file only if Tally responded completely
+                    let timestampBegin = Date.now();
+                    let rowParser = new tdlRowParser(tableConfig.fields.length);
+                    let isInterrupted = false; //response timed out or interrupted midway is treated same as truncated response
+                    let response = await this.postTallyXMLStream(xml).catch((errRequest: NodeJS.ErrnoException) => {
+                        if (errRequest.code != 'ETIMEDOUT') //connection failure is not retried
+                            throw errRequest;
+                    });
+                    if (response)
+                        await pipeline(response, rowParser, new tdlRowSerializer(), fs.createWriteStream(partFile, { encoding: 'utf-8' })).catch(() => isInterrupted = true);
+                    else
+                        isInterrupted = true;
+                    let elapsedSecond = utility.Number.round((Date.now() - timestampBegin) / 1000, 3);
+                    let windowInfo = `${utility.Date.format(windowFrom, 'yyyy-MM-dd')} to ${utility.Date.format(windowTo, 'yyyy-MM-dd')}`;
+
+                    let isEmptyResponse = !isInterrupted && rowParser.isEmpty; //window without data, containing zero rows
+                    if (!isEmptyResponse && (!rowParser.hasEnvelope || !rowParser.isComplete)) { //timed out or truncated response
+                        if (indexChunkActive == chunkSizes.length - 1)
+                            throw `Tally returned incomplete response for ${targetTable} for period ${windowInfo}`;
+                        indexChunkActive++;
+                        logger.logMessage('  %s: incomplete response for %s, retrying with %s window', targetTable, windowInfo, chunkSizes[indexChunkActive]);
+                        continue;
+                    }
 
-                let output = await this.postTallyXML(xml);
-                output = this.processTdlOutputManipulation(output);
+                    await pipeline(fs.createReadStream(partFile, 'utf-8'), fs.createWriteStream(`./csv/${targetTable}.data`, { encoding: 'utf-8', flags: 'a' }));
+                    rowCount += rowParser.rowCount;
+                    windowFrom = new Date(windowTo.getFullYear(), windowTo.getMonth(), windowTo.getDate() + 1);
 
-                let columnHeaders = tableConfig.fields.map(p => p.name).join('\t');
-                fs.writeFileSync(`./csv/${targetTable}.data`, columnHeaders + output);
+                    //adapt window size for next request based on response time of Tally
+                    if (elapsedSecond > chunkSlowResponseSeconds && indexChunkActive < chunkSizes.length - 1) {
+                        indexChunkActive++;
+                        logger.logMessage('  %s: slow response for %s [%f sec], switching to %s window', targetTable, windowInfo, elapsedSecond, chunkSizes[indexChunkActive]);
+                    }
+                    else if (elapsedSecond < chunkSlowResponseSeconds / 4 && indexChunkActive > indexChunkConfig) {
+                        indexChunkActive--;
+                    }
+                    else;
+                }
 
-                resolve();
+                if (fs.existsSync(partFile))
+                    fs.unlinkSync(partFile);
+                resolve(rowCount);
             } catch (err) {
-                logger.logError(`tally.processMasterReport(${targetTable})`, err);
+                logger.logError(`tally.processReportChunked(${targetTable})`, err);
+                reject(err);
+            }
+        });
+    }
+
+    private streamReport(xml: string, fieldCount: number, targetFile: fs.WriteStream): Promise<tdlRowParser> {
+        return new Promise<tdlRowParser>(async (resolve, reject) => {
+            try {
+                let rowParser = new tdlRowParser(fieldCount);
+                let response = await this.postTallyXMLStream(xml);
+                await pipeline(response, rowParser, new tdlRowSerializer(), targetFile);
+                resolve(rowParser);
+            } catch (err) {
+                targetFile.destroy(); //file is left open by failure of request, as pipeline closes it only once started
                 reject(err);
             }
         });
     }
 
-    private saveCompanyInfo(): Promise<void> {
+    private getChunkEndDate(windowFrom: Date, chunkSize: string): Date {
+        if (chunkSize == 'month') //last day of the month
+            return new Date(windowFrom.getFullYear(), windowFrom.getMonth() + 1, 0);
+        else if (chunkSize == 'week')
+            return new Date(windowFrom.getFullYear(), windowFrom.getMonth(), windowFrom.getDate() + 6);
+        else
+            return windowFrom;
+    }
+
+    /**
+     * Compares database with Tally and writes mismatch report: row count of each table along with GUID of objects missing,
+     * extra or altered, count of vouchers & amount for each month and closing balance of ledgers
+     */
+    private verifyCompanyData(): Promise<void> {
         return new Promise<void>(async (resolve, reject) => {
             try {
-                const convertDateYYYYMMDD = (dateStr: string): string => {
-                    let partYear = dateStr.substring(0, 4);
-                    let partMonth = dateStr.substring(4, 6);
-                    let partDay = dateStr.substring(6);
-                    return partYear + '-' + partMonth + '-' + partDay;
+                if (!/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                    logger.logMessage('Verification is supported only for SQL Server / MySQL / PostgreSQL / SQLite / DuckDB');
+                    return resolve();
+                }
+
+                let lstCompanyInfoParts = await this.fetchCompanyInfo();
+                if (!lstCompanyInfoParts) {
+                    logger.logMessage(this.config.company ? `Specified company "${this.config.company}" is closed in Tally` : 'No company open in Tally');
+                    return reject('Please select target company in Tally to verify data');
                 }
 
+                //complete period of company is compared, unless period is specified (in which case only vouchers of period are expected in database)
+                let isAutoPeriod = this.config.fromdate == 'auto' || this.config.todate == 'auto';
+                let fromDate = isAutoPeriod ? this.convertDateYYYYMMDD(lstCompanyInfoParts[2]) : this.config.fromdate.replace(/^(\d{4})-?(\d{2})-?(\d{2})$/, '$1-$2-$3');
+                let toDate = isAutoPeriod ? this.convertDateYYYYMMDD(lstCompanyInfoParts[3]) : this.config.todate.replace(/^(\d{4})-?(\d{2})-?(\d{2})$/, '$1-$2-$3');
+                const getDateFilter = (tableAlias: string = '') => isAutoPeriod ? '' : ` and ${tableAlias}date between '${fromDate}' and '${toDate}'`;
+
+                let lstTables: tableConfigYAML[] = [];
+                if (this.importMaster)
+                    lstTables.push(...this.lstTableMaster);
+                if (this.importTransaction)
+                    lstTables.push(...this.lstTableTransaction);
+
+                let configTallyXML = new Map<string, any>();
+                configTallyXML.set('fromDate', utility.Date.parse(fromDate, 'yyyy-MM-dd'));
+                configTallyXML.set('toDate', utility.Date.parse(toDate, 'yyyy-MM-dd'));
+                configTallyXML.set('targetCompany', this.config.company ? utility.String.escapeHTML(this.config.company) : '##SVCurrentCompany');
+
+                //data files are prefixed, so that data files & checkpoint of interrupted sync (if any) are left as is
+                logger.logMessage('Extracting data from Tally for verification [%s]', new Date().toLocaleString());
+                if (!fs.existsSync('./csv'))
+                    fs.mkdirSync('./csv');
+                for (const activeTable of lstTables)
+                    await this.processReport(`_verify_${activeTable.name}`, activeTable, configTallyXML);
+
+                logger.logMessage('Comparing database with Tally [%s]', new Date().toLocaleString());
+                let report: verifyReport = {
+                    company: lstCompanyInfoParts[1],
+                    companyId: this.companyId,
+                    fromdate: fromDate,
+                    todate: toDate,
+                    timestamp: new Date().toLocaleString(),
+                    isMatched: false,
+                    tables: [],
+                    months: [],
+                    ledgers: []
+                };
+                let mapVoucherMonth = new Map<string, string>(); //month of each voucher in Tally
+                let mapMonthTally = new Map<string, { vouchers: number, amount: number }>();
+                let mapLedgerTally = new Map<string, { name: string, balance: number }>();
+                const getMonthTotal = (mapMonth: Map<string, { vouchers: number, amount: number }>, month: string) => {
+                    if (!mapMonth.has(month))
+                        mapMonth.set(month, { vouchers: 0, amount: 0 });
+                    return mapMonth.get(month) as { vouchers: number, amount: number };
+                };
+
+                //objects are identified by GUID, rows of Derived table by GUID of Primary table row they belong to (as per cascade delete, else voucher_guid / guid field)
+                const getParentTable = (targetTable: tableConfigYAML) => lstTables.find(p => (p.cascade_delete || []).some(q => q.table == targetTable.name))
+                    || lstTables.find(p => p.nature == 'Primary' && targetTable.collection.startsWith(`${p.collection}.`));
+                const getKeyField = (targetTable: tableConfigYAML) => {
+                    if (targetTable.nature == 'Primary')
+                        return 'guid';
+                    let cascadeField = getParentTable(targetTable)?.cascade_delete?.find(p => p.table == targetTable.name)?.field;
+                    return cascadeField || ['voucher_guid', 'guid'].find(p => targetTable.fields.some(q => q.name == p)) || '';
+                };
+
+                for (const activeTable of lstTables) {
+                    let dataFile = `./csv/_verify_${activeTable.name}.data`;
+                    let lstFieldName = activeTable.fields.map(p => p.name);
+
+                    let parentTable = getParentTable(activeTable);
+                    let keyField = getKeyField(activeTable);
+                    let indexKey = keyField ? lstFieldName.indexOf(keyField) : -1;
+                    let indexAlterId = activeTable.nature == 'Primary' ? lstFieldName.indexOf('alterid') : -1;
+                    let indexDate = lstFieldName.indexOf('date');
+                    let indexAmount = lstFieldName.indexOf('amount');
+                    let indexName = lstFieldName.indexOf('name');
+                    let indexClosingBalance = lstFieldName.indexOf('closing_balance');
+
+                    let rowFilter = this.getCompanyFilter();
+                    if (activeTable.name == 'trn_voucher')
+                        rowFilter += getDateFilter();
+                    else if (parentTable?.name == 'trn_voucher' && indexKey != -1 && !isAutoPeriod)
+                        rowFilter += ` and ${keyField} in (select guid from trn_voucher where 1=1${getDateFilter()}${this.getCompanyFilter()})`;
+                    else;
+
+                    let mapTally = new Map<string, any>();
+                    let countTally = await verify.scanDataFile(dataFile, (row) => {
+                        if (indexKey != -1)
+                            mapTally.set(row[indexKey], indexAlterId != -1 ? row[indexAlterId] : (mapTally.get(row[indexKey]) || 0) + 1);
+                        if (activeTable.name == 'trn_voucher' && indexDate != -1) {
+                            let month = row[indexDate].substring(0, 7);
+                            mapVoucherMonth.set(row[indexKey], month);
+                            getMonthTotal(mapMonthTally, month).vouchers++;
+                        }
+                        else if (activeTable.name == 'trn_accounting' && indexAmount != -1 && mapVoucherMonth.has(row[indexKey])) {
+                            let amount = parseFloat(row[indexAmount]) || 0;
+                            if (amount > 0) //credit side of voucher
+                                getMonthTotal(mapMonthTally, mapVoucherMonth.get(row[indexKey]) as string).amount += amount;
+                        }
+                        else if (activeTable.name == 'mst_ledger' && indexClosingBalance != -1)
+                            mapLedgerTally.set(row[indexKey], { name: row[indexName], balance: parseFloat(row[indexClosingBalance]) || 0 });
+                        else;
+                    });
+                    fs.unlinkSync(dataFile);
+
+                    let countDatabase = Number(await database.executeScalar<number>(`select count(*) from ${activeTable.name} where 1=1${rowFilter}`)) || 0;
+                    let mapDatabase = new Map<string, any>();
+                    if (indexKey != -1) {
+                        let sqlQuery = indexAlterId != -1 ? `select guid, alterid from ${activeTable.name} where 1=1${rowFilter}` : `select ${keyField}, count(*) from ${activeTable.name} where 1=1${rowFilter} group by ${keyField}`;
+                        for (const row of await database.executeQuery(sqlQuery))
+                            mapDatabase.set(String(row[0] ?? ''), Number(row[1]));
+                    }
+
+                    let result = verify.compareTable(activeTable.name, countTally, countDatabase, mapTally, mapDatabase);
+                    report.tables.push(result);
+                    if (verify.isTableMatched(result))
+                        logger.logMessage('  %s: %d rows matched', activeTable.name, countTally);
+                    else
+                        logger.logMessage('  %s: %d rows in Tally / %d rows in database [missing: %d, extra: %d, different: %d]', activeTable.name, countTally, countDatabase, result.missing.length, result.extra.length, result.different.length);
+                }
+
+                //voucher count & amount of each month
+                if (lstTables.some(p => p.name == 'trn_voucher')) {
+                    const getMonth = (value: any) => value instanceof Date ? utility.Date.format(value, 'yyyy-MM') : String(value).substring(0, 7);
+                    let mapMonthDatabase = new Map<string, { vouchers: number, amount: number }>();
+                    for (const row of await database.executeQuery(`select date, count(*) from trn_voucher where 1=1${this.getCompanyFilter()}${getDateFilter()} group by date`))
+                        getMonthTotal(mapMonthDatabase, getMonth(row[0])).vouchers += Number(row[1]);
+                    let tableAccounting = lstTables.find(p => p.name == 'trn_accounting');
+                    if (tableAccounting && getKeyField(tableAccounting))
+                        for (const row of await database.executeQuery(`select v.date, sum(a.amount) from trn_accounting as a join trn_voucher as v on v.guid = a.${getKeyField(tableAccounting)} where a.amount > 0${this.getCompanyFilter('a.')}${this.getCompanyFilter('v.')}${getDateFilter('v.')} group by v.date`))
+                            getMonthTotal(mapMonthDatabase, getMonth(row[0])).amount += Number(row[1]) || 0;
+                    else //amount is not compared
+                        mapMonthTally.forEach(p => p.amount = 0);
+                    report.months = verify.compareMonths(mapMonthTally, mapMonthDatabase);
+                    for (const itemMonth of report.months)
+                        logger.logMessage('  vouchers of %s: %d [%f] in Tally / %d [%f] in database', itemMonth.month, itemMonth.tally.vouchers, itemMonth.tally.amount, itemMonth.database.vouchers, itemMonth.database.amount);
+                }
+
+                //closing balance of ledgers
+                if (mapLedgerTally.size) {
+                    let mapLedgerDatabase = new Map<string, { name: string, balance: number }>();
+                    for (const row of await database.executeQuery(`select guid, name, closing_balance from mst_ledger where 1=1${this.getCompanyFilter()}`))
+                        mapLedgerDatabase.set(String(row[0]), { name: row[1], balance: Number(row[2]) || 0 });
+                    report.ledgers = verify.compareLedgers(mapLedgerTally, mapLedgerDatabase);
+                    for (const itemLedger of report.ledgers)
+                        logger.logMessage('  closing balance of %s: %f in Tally / %f in database', itemLedger.name, itemLedger.tally, itemLedger.database);
+                }
+
+                if (!fs.readdirSync('./csv').length) //folder created for verification
+                    fs.rmdirSync('./csv');
+
+                verify.saveReport(report, this.verifyReportFile);
+                if (report.isMatched)
+                    logger.logMessage('Verification completed: database matches Tally [%s]', new Date().toLocaleString());
+                else {
+                    logger.logMessage('Verification completed: mismatches found, refer %s [%s]', this.verifyReportFile, new Date().toLocaleString());
+                    process.exitCode = 1;
+                }
+                resolve();
+            } catch (err) {
+                logger.logError('tally.verifyCompanyData()', err);
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * Fetches information of target company from Tally
+     * @returns GUID, name, books from (YYYYMMDD), last voucher date (YYYYMMDD), last AlterID master & transaction (undefined if company is closed)
+     */
+    private fetchCompanyInfo(): Promise<string[] | undefined> {
+        return new Promise<string[] | undefined>(async (resolve, reject) => {
+            try {
                 let xmlCompany = `<?xml version="1.0" encoding="utf-8"?><ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Data</TYPE><ID>TallyDatabaseLoaderReport</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>ASCII (Comma Delimited)</SVEXPORTFORMAT></STATICVARIABLES><TDL><TDLMESSAGE><REPORT NAME="TallyDatabaseLoaderReport"><FORMS>MyForm</FORMS></REPORT><FORM NAME="MyForm"><PARTS>MyPart</PARTS></FORM><PART NAME="MyPart"><LINES>MyLine</LINES><REPEAT>MyLine : MyCollection</REPEAT><SCROLLED>Vertical</SCROLLED></PART><LINE NAME="MyLine"><FIELDS>FldGuid,FldName,FldBooksFrom,FldLastVoucherDate,FldLastAlterIdMaster,FldLastAlterIdTransaction,FldEOL</FIELDS></LINE><FIELD NAME="FldGuid"><SET>$Guid</SET></FIELD><FIELD NAME="FldName"><SET>$$StringFindAndReplace:$Name:'"':'""'</SET></FIELD><FIELD NAME="FldBooksFrom"><SET>(($$YearOfDate:$BooksFrom)*10000)+(($$MonthOfDate:$BooksFrom)*100)+(($$DayOfDate:$BooksFrom)*1)</SET></FIELD><FIELD NAME="FldLastVoucherDate"><SET>(($$YearOfDate:$LastVoucherDate)*10000)+(($$MonthOfDate:$LastVoucherDate)*100)+(($$DayOfDate:$LastVoucherDate)*1)</SET></FIELD><FIELD NAME="FldLastAlterIdMaster"><SET>$AltMstId</SET></FIELD><FIELD NAME="FldLastAlterIdTransaction"><SET>$AltVchId</SET></FIELD><FIELD NAME="FldEOL"><SET>†</SET></FIELD><COLLECTION NAME="MyCollection"><TYPE>Company</TYPE><FILTER>FilterActiveCompany</FILTER></COLLECTION><SYSTEM TYPE="Formulae" NAME="FilterActiveCompany">$$IsEqual:##SVCurrentCompany:$Name</SYSTEM></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
                 if (this.config.company) //replce active company with specific company name if specified
                     xmlCompany = xmlCompany.replace('##SVCurrentCompany', `"${utility.String.escapeHTML(this.config.company)}"`);
@@ -584,20 +1137,43 @@ class _tally {
                 let strCompanyInfo = await this.postTallyXML(xmlCompany); //extract active company information
                 if (strCompanyInfo.endsWith(',"†",\r\n')) {
                     strCompanyInfo = strCompanyInfo.replace(/\",\"†\",\r\n/g, '').substr(1);
-                    let lstCompanyInfoParts = strCompanyInfo.split(/\",\"/g);
+                    resolve(strCompanyInfo.split(/\",\"/g));
+                }
+                else
+                    resolve(undefined);
+            } catch (err) {
+                logger.logError(`tally.fetchCompanyInfo()`, err);
+                reject(err);
+            }
+        });
+    }
+
+    private saveCompanyInfo(lastAlterIdMaster?: number, lastAlterIdTransaction?: number): Promise<void> {
+        return new Promise<void>(async (resolve, reject) => {
+            try {
+                let lstCompanyInfoParts = await this.fetchCompanyInfo();
+                if (lstCompanyInfoParts) {
                     let companyName = lstCompanyInfoParts[1];
                     companyName = companyName.replace(/'/g, '\\"');
                     if (this.config.fromdate == 'auto' || this.config.todate == 'auto') { //auto assign from/to from company info for detection mode
-                        this.config.fromdate = convertDateYYYYMMDD(lstCompanyInfoParts[2]);
-                        this.config.todate = convertDateYYYYMMDD(lstCompanyInfoParts[3]);
+                        this.config.fromdate = this.convertDateYYYYMMDD(lstCompanyInfoParts[2]);
+                        this.config.todate = this.convertDateYYYYMMDD(lstCompanyInfoParts[3]);
                     }
-                    let altIdMaster = parseInt(lstCompanyInfoParts[4]);
-                    let altIdTransaction = parseInt(lstCompanyInfoParts[5]);
+                    this.lastAlterIdMaster = parseInt(lstCompanyInfoParts[4]);
+                    this.lastAlterIdTransaction = parseInt(lstCompanyInfoParts[5]);
+                    let altIdMaster = lastAlterIdMaster ?? this.lastAlterIdMaster;
+                    let altIdTransaction = lastAlterIdTransaction ?? this.lastAlterIdTransaction;
 
                     //clear config table of database and insert active company info to config table
-                    if (/^(mssql|mysql|postgres)$/g.test(database.config.technology)) {
-                        await database.executeNonQuery('truncate table config;');
-                        await database.executeNonQuery(`insert into config(name,value) values('Update Timestamp','${new Date().toLocaleString()}'),('Company Name','${companyName}'),('Period From','${this.config.fromdate}'),('Period To','${this.config.todate}'),('Last AlterID Master','${altIdMaster}'),('Last AlterID Transaction','${altIdTransaction}');`);
+                    if (/^(mssql|mysql|postgres|sqlite|duckdb)$/g.test(database.config.technology)) {
+                        if (this.companyId) {
+                            await database.executeNonQuery(`delete from config where company_id = '${this.companyId}';`);
+                            await database.executeNonQuery(`insert into config(name,value,company_id) values('Update Timestamp','${new Date().toLocaleString()}','${this.companyId}'),('Company Name','${companyName}','${this.companyId}'),('Period From','${this.config.fromdate}','${this.companyId}'),('Period To','${this.config.todate}','${this.companyId}'),('Last AlterID Master','${altIdMaster}','${this.companyId}'),('Last AlterID Transaction','${altIdTransaction}','${this.companyId}');`);
+                        }
+                        else {
+                            await database.truncateTables(['config']);
+                            await database.executeNonQuery(`insert into config(name,value) values('Update Timestamp','${new Date().toLocaleString()}'),('Company Name','${companyName}'),('Period From','${this.config.fromdate}'),('Period To','${this.config.todate}'),('Last AlterID Master','${altIdMaster}'),('Last AlterID Transaction','${altIdTransaction}');`);
+                        }
                     }
                     else if(/^(csv|bigquery)$/g.test(database.config.technology)) {
                         let csvContent = `name,value\r\nUpdate Timestamp,${new Date().toLocaleString().replace(',', '')}\r\nCompany Name,${companyName}\r\nPeriod From,${this.config.fromdate}\r\nPeriod To,${this.config.todate}\r\Last AlterID nMaster,${altIdMaster}\r\Last AlterID nTransaction,${altIdTransaction}`;
@@ -628,6 +1204,55 @@ class _tally {
         });
     }
 
+    private convertDateYYYYMMDD(dateStr: string): string {
+        let partYear = dateStr.substring(0, 4);
+        let partMonth = dateStr.substring(4, 6);
+        let partDay = dateStr.substring(6);
+        return partYear + '-' + partMonth + '-' + partDay;
+    }
+
+    private validateCompanyList(lstItems: any[]): tallyCompanyConfig[] {
+        let retval: tallyCompanyConfig[] = [];
+        for (const item of lstItems) {
+            let targetCompany: tallyCompanyConfig = typeof item == 'string' ? { name: item } : item;
+            if (!targetCompany || typeof targetCompany.name != 'string' || !targetCompany.name)
+                throw 'Company name is missing in list of companies in config.json';
+            if (targetCompany.id !== undefined && !/^[\w-]{1,64}$/g.test(String(targetCompany.id)))
+                throw `Invalid company ID for "${targetCompany.name}" (only letters, digits, underscore and hyphen are allowed)`;
+            if (targetCompany.id !== undefined)
+                targetCompany.id = String(targetCompany.id);
+            retval.push(targetCompany);
+        }
+        return retval;
+    }
+
+    private getCheckpointInfo(baseAlterIdMaster = 0, baseAlterIdTransaction = 0): checkpointManifest {
+        return {
+            company: this.config.company,
+            companyId: this.companyId,
+            sync: this.config.sync,
+            definition: this.config.definition,
+            fromdate: this.config.fromdate,
+            todate: this.config.todate,
+            technology: database.config.technology,
+            schema: database.config.schema,
+            baseAlterIdMaster,
+            baseAlterIdTransaction,
+            lastAlterIdMaster: 0,
+            lastAlterIdTransaction: 0,
+            timestamp: '',
+            tables: {}
+        };
+    }
+
+    private getCompanyIdField(): fieldConfigYAML {
+        return { name: 'company_id', field: `"${this.companyId}"`, type: 'text', length: 64 }; //constant value expression in TDL
+    }
+
+    private getCompanyFilter(tableAlias: string = ''): string {
+        return this.companyId ? ` and ${tableAlias}company_id = '${this.companyId}'` : '';
+    }
+
     private generateXMLfromYAML(tblConfig: tableConfigYAML): string {
 
         let retval = '';
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import readline from 'readline';
+import { logger } from './logger.mjs';
+import { verifyTableResult, verifyMonthResult, verifyLedgerResult, verifyReport } from './definition.mjs';
+
+const amountTolerance = 0.005; //difference below half paisa is rounding of amount
+
+/**
+ * Reconciliation of database with Tally: data extracted from Tally (staging data files) is summarised and compared
+ * with same summary queried from database, and mismatches are written to machine-readable JSON report
+ */
+class _verify {
+
+    private lstReport: verifyReport[] = [];
+
+    /**
+     * Discards reports of previous run (report file lists every company verified in current run)
+     */
+    begin(): void {
+        this.lstReport = [];
+    }
+
+    /**
+     * Reads rows of staging data file (tab separated, first line being column headers)
+     * @returns count of rows
+     */
+    scanDataFile(dataFile: string, onRow: (row: string[]) => void): Promise<number> {
+        return new Promise<number>(async (resolve, reject) => {
+            try {
+                let rowCount = 0;
+                let isHeader = true;
+                let reader = readline.createInterface({ input: fs.createReadStream(dataFile, 'utf-8'), crlfDelay: Infinity });
+                for await (const line of reader) {
+                    if (isHeader) {
+                        isHeader = false;
+                        continue;
+                    }
+                    onRow(line.split('\t'));
+                    rowCount++;
+                }
+                resolve(rowCount);
+            } catch (err) {
+                logger.logError(`verify.scanDataFile(${dataFile})`, err);
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * Compares objects of table keyed by GUID, having value AlterID (Primary tables) or count of rows (Derived tables)
+     */
+    compareTable(tableName: string, countTally: number, countDatabase: number, mapTally: Map<string, any>, mapDatabase: Map<string, any>): verifyTableResult {
+        let retval: verifyTableResult = { table: tableName, tally: countTally, database: countDatabase, missing: [], extra: [], different: [] };
+        for (const [key, value] of mapTally) {
+            if (!mapDatabase.has(key))
+                retval.missing.push(key);
+            else if (!this.isSameValue(value, mapDatabase.get(key)))
+                retval.different.push(key);
+            else;
+        }
+        for (const key of mapDatabase.keys())
+            if (!mapTally.has(key))
+                retval.extra.push(key);
+        return retval;
+    }
+
+    /**
+     * Lists months whose count of vouchers or total amount differ
+     */
+    compareMonths(mapTally: Map<string, { vouchers: number, amount: number }>, mapDatabase: Map<string, { vouchers: number, amount: number }>): verifyMonthResult[] {
+        let retval: verifyMonthResult[] = [];
+        let lstMonth = [...new Set([...mapTally.keys(), ...mapDatabase.keys()])].sort();
+        for (const month of lstMonth) {
+            let tally = mapTally.get(month) || { vouchers: 0, amount: 0 };
+            let database = mapDatabase.get(month) || { vouchers: 0, amount: 0 };
+            if (tally.vouchers != database.vouchers || !this.isSameAmount(tally.amount, database.amount))
+                retval.push({ month, tally: { vouchers: tally.vouchers, amount: this.roundAmount(tally.amount) }, database: { vouchers: database.vouchers, amount: this.roundAmount(database.amount) } });
+        }
+        return retval;
+    }
+
+    /**
+     * Lists ledgers (present on both sides) whose closing balance differ
+     */
+    compareLedgers(mapTally: Map<string, { name: string, balance: number }>, mapDatabase: Map<string, { name: string, balance: number }>): verifyLedgerResult[] {
+        let retval: verifyLedgerResult[] = [];
+        for (const [guid, tally] of mapTally) {
+            let database = mapDatabase.get(guid);
+            if (database && !this.isSameAmount(tally.balance, database.balance))
+                retval.push({ guid, name: tally.name, tally: this.roundAmount(tally.balance), database: this.roundAmount(database.balance) });
+        }
+        return retval;
+    }
+
+    isTableMatched(result: verifyTableResult): boolean {
+        return result.tally == result.database && !result.missing.length && !result.extra.length && !result.different.length;
+    }
+
+    /**
+     * Appends report of company and re-writes report file with reports of all the companies verified so far
+     */
+    saveReport(report: verifyReport, reportFile: string): void {
+        report.isMatched = report.tables.every(p => this.isTableMatched(p)) && !report.months.length && !report.ledgers.length;
+        this.lstReport.push(report);
+        fs.writeFileSync(reportFile, JSON.stringify(this.lstReport, null, 2), 'utf-8');
+    }
+
+    private isSameValue(valueTally: any, valueDatabase: any): boolean {
+        if (valueTally === null || valueTally === undefined || valueDatabase === null || valueDatabase === undefined)
+            return valueTally == valueDatabase;
+        if (!isNaN(Number(valueTally)) && !isNaN(Number(valueDatabase)))
+            return Number(valueTally) == Number(valueDatabase);
+        return String(valueTally) == String(valueDatabase);
+    }
+
+    private isSameAmount(amountTally: number, amountDatabase: number): boolean {
+        return Math.abs((amountTally || 0) - (amountDatabase || 0)) < amountTolerance;
+    }
+
+    private roundAmount(value: number): number {
+        return Math.round((value || 0) * 100) / 100;
+    }
+}
+let verify = new _verify();
+
+export { verify };
@@ -0,0 +1,132 @@
+/**
+ * Deletion Sync
+ * Removes rows deleted in Tally from Railway, shared by sync clients (continuous-sync.js & incremental-sync.js)
+ * GUIDs of each Primary table in Tally are compared with those in Railway (like _diff / _delete of loader),
+ * rows of child tables are removed by server along with their parent
+ */
+
+const axios = require('axios');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Compares GUIDs of Primary tables in Tally with Railway and deletes the missing ones
+ * @param {object[]} lstTableConfig tables of export definition (tables which are not Primary are skipped)
+ * @param {object} context sync client
+ * @param {object} context.config client config (tally period, database_mapping, railway api_base, company id & division)
+ * @param {object[]} context.transactionTables tables of export definition exported by Tally for period of config
+ * @param {function(object): Promise<string>} context.exportTable posts TDL of table to Tally and returns XML response
+ * @param {function(string, object): object[]} context.parseRows converts XML response of table into rows
+ * @param {function(string, string=): void} context.log logger of client, with level (info / warn / error)
+ * @param {number} context.timeout timeout of Railway requests (in ms)
+ * @param {number} context.batchSize GUIDs deleted per request
+ * @returns {Promise<number>} count of rows deleted
+ */
+async function syncDeletedData(lstTableConfig, context) {
+  let totalDeleted = 0;
+
+  // Primary tables mapped to same Railway table are compared together, else one would delete rows of the other
+  const mapTableConfig = new Map();
+  for (const tableConfig of lstTableConfig.filter(p => p.nature === 'Primary' && context.config.database_mapping[p.name])) {
+    const tableName = context.config.database_mapping[tableConfig.name].table;
+    mapTableConfig.set(tableName, [...(mapTableConfig.get(tableName) || []), tableConfig]);
+  }
+
+  for (const [tableName, lstConfig] of mapTableConfig) {
+    try {
+      const deleted = await syncDeletedTable(tableName, lstConfig, context);
+      totalDeleted += deleted;
+      if (deleted > 0) {
+        context.log(`   🗑️ ${tableName}: ${deleted} deleted records`);
+      }
+    } catch (error) {
+      context.log(`   ❌ ${tableName} (deletions): ${error.message}`, 'error');
+    }
+  }
+
+  return totalDeleted;
+}
+
+/**
+ * Delete rows of Railway table missing in Tally
+ */
+async function syncDeletedTable(tableName, lstTableConfig, context) {
+  // vouchers are exported by Tally only for period of config, so only those of same period in Railway are compared
+  const isPeriodic = lstTableConfig.some(p => context.transactionTables.includes(p));
+  const period = getSyncPeriod(context.config.tally);
+  if (isPeriodic && !period) {
+    context.log(`   ⚠️  ${tableName}: fromdate / todate of config is not a valid date, skipping deletion check`, 'warn');
+    return 0;
+  }
+
+  const setTallyGuid = new Set();
+  for (const tableConfig of lstTableConfig) {
+    // only GUIDs are extracted, with same filters as that of table
+    const guidConfig = { ...tableConfig, fields: [{ name: 'guid', field: 'Guid', type: 'text' }], fetch: [] };
+    const xmlResponse = await context.exportTable(guidConfig);
+    // GUIDs missing in response cut short by Tally would otherwise be taken as deleted
+    if (!isCompleteEnvelope(xmlResponse)) {
+      throw new Error(`incomplete response from Tally for ${tableConfig.name}, skipping deletion check`);
+    }
+    context.parseRows(xmlResponse || '', guidConfig).forEach(p => setTallyGuid.add(p.guid));
+  }
+
+  // empty response is more likely a Tally hiccup than deletion of every row, so nothing is deleted
+  if (setTallyGuid.size === 0) {
+    context.log(`   ⚠️  ${tableName}: no GUIDs received from Tally, skipping deletion check`, 'warn');
+    return 0;
+  }
+
+  const baseUrl = `${context.config.railway.api_base}/api/v1`;
+  const companyPath = `${context.config.company.id}/${context.config.company.division_id}`;
+  const response = await axios.get(`${baseUrl}/guids/${companyPath}/${tableName}`, { params: isPeriodic ? period : {}, timeout: context.timeout });
+  const lstDeleted = response.data.data.guids.filter(guid => !setTallyGuid.has(guid));
+
+  for (let i = 0; i < lstDeleted.length; i += context.batchSize) {
+    await axios.post(`${baseUrl}/delete-records/${companyPath}`, {
+      table: tableName,
+      guids: lstDeleted.slice(i, i + context.batchSize)
+    }, {
+      timeout: context.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  return lstDeleted.length;
+}
+
+/**
+ * Period of vouchers exported from Tally in ISO format (as accepted by /guids of server),
+ * null when left to Tally (auto) or not a valid date
+ */
+function getSyncPeriod(tallyConfig) {
+  const fromDate = toISODate(tallyConfig.fromdate);
+  const toDate = toISODate(tallyConfig.todate);
+  return fromDate && toDate ? { from_date: fromDate, to_date: toDate } : null;
+}
+
+// YYYYMMDD / YYYY-MM-DD / d-MMM-yyyy (as in Tally) to YYYY-MM-DD
+function toISODate(value) {
+  const text = String(value || '').trim();
+  let year, month, day;
+  let match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(text);
+  if (match) {
+    [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+  } else if ((match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(text))) {
+    [year, month, day] = [parseInt(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, parseInt(match[1])];
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+function isCompleteEnvelope(xmlData) {
+  return /^\s*<ENVELOPE>/.test(xmlData || '') && /<\/ENVELOPE>\s*$/.test(xmlData || '');
+}
+
+module.exports = { syncDeletedData, getSyncPeriod, isCompleteEnvelope };
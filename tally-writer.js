@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+
+/**
+ * Tally Writer
+ * Write path from database / Railway API back into Tally: converts JSON voucher into Tally "Import Data" XML envelope,
+ * posts it to Tally XML server and returns GUID & voucher number assigned by Tally
+ *
+ * JSON voucher follows column names of trn_voucher, with child rows following trn_accounting / trn_inventory / trn_bill / trn_batch
+ * {
+ *   date, voucher_type, voucher_number, reference_number, reference_date, narration, party_name, place_of_supply, is_invoice,
+ *   accounting: [{ ledger, amount, bills: [{ name, billtype, amount, bill_credit_period }] }],
+ *   inventory: [{ item, quantity, uom, rate, amount, discount_amount, godown, tracking_number, order_number, order_duedate, ledger, batches: [{ name, godown, destination_godown, tracking_number, quantity, amount }] }]
+ * }
+ * - Sign convention is same as that of loader: debit amount is negative, inward quantity is positive
+ * - Inventory entry is allocated to its "ledger" (e.g. Sales Account), accounting entries of such ledger are implied by it and hence skipped
+ * - Voucher number can be left blank for voucher types with automatic numbering
+ *
+ * Existing voucher is cancelled / deleted by its GUID along with date & voucher type { guid, date, voucher_type, numbering_method, narration }.
+ * Deletion renumbers subsequent vouchers of automatic numbering, so such voucher is cancelled instead (numbering_method of mst_vouchertype)
+ *
+ * Masters (ledgers, stock items & godowns) are written from JSON rows following column names of mst_ledger / mst_stock_item / mst_godown.
+ * Parent group, unit & godown are validated against catalog of names already synced from Tally (see loadMasterCatalog()),
+ * master is altered if its name (or "original_name" when renaming) exists in catalog, else created. Every master is imported
+ * separately so that result of each record carries either its GUID or error line reported by Tally
+ *
+ * Usage: node tally-writer.js voucher.json [--server localhost] [--port 9000] [--company "Company"]
+ *        node tally-writer.js --action cancel|delete voucher.json [--server localhost] [--port 9000] [--company "Company"]
+ *        node tally-writer.js --masters mst_ledger ledgers.json [--catalog catalog.json] [--server localhost] [--port 9000] [--company "Company"]
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const masterTypes = {
+  mst_ledger: { tagName: 'LEDGER', collection: 'Ledger', label: 'Ledger' },
+  mst_stock_item: { tagName: 'STOCKITEM', collection: 'StockItem', label: 'Stock Item' },
+  mst_godown: { tagName: 'GODOWN', collection: 'Godown', label: 'Godown' }
+};
+const gstApplicableFrom = '20170701'; // GST details of masters are declared applicable from GST roll-out
+const regexGSTIN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const regexPAN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+/**
+ * Tally rejected the import (totals mismatch, missing ledger, etc.), retrying the same voucher would fail again
+ */
+class TallyImportError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'TallyImportError';
+    this.result = result;
+  }
+}
+
+class TallyWriter {
+  /**
+   * @param {object} options
+   * @param {string} [options.server] Tally XML server host
+   * @param {number} [options.port] Tally XML server port
+   * @param {string} [options.company] target company (default: active company of Tally)
+   */
+  constructor(options = {}) {
+    this.options = {
+      server: 'localhost',
+      port: 9000,
+      company: '',
+      ...options
+    };
+  }
+
+  /**
+   * Creates voucher in Tally
+   * @returns {Promise<{guid: string, voucher_number: string, master_id: number, result: object}>}
+   */
+  async createVoucher(voucher) {
+    this.validateVoucher(voucher);
+    const response = await this.postTallyXML(this.buildVoucherXML(voucher));
+    const result = this.parseImportResponse(response);
+
+    if (result.errors > 0 || result.exceptions > 0 || result.created + result.altered == 0)
+      throw new TallyImportError(result.lineErrors.join('; ') || 'Tally did not import the voucher', result);
+
+    // voucher is identified by its master ID to pick up GUID & automatic voucher number assigned by Tally
+    const created = await this.findVoucher(result.lastVoucherId);
+    if (!created)
+      throw new Error(`Voucher with master ID ${result.lastVoucherId} not found in Tally after import`);
+    return { ...created, master_id: result.lastVoucherId, result };
+  }
+
+  /**
+   * Cancels voucher in Tally (voucher number is retained, entries are removed)
+   * @returns {Promise<{guid: string, action: string, result: object}>}
+   */
+  async cancelVoucher(voucher) {
+    return this.removeVoucher(voucher, 'Cancel');
+  }
+
+  /**
+   * Deletes voucher from Tally, cancelling it instead if voucher type has automatic numbering
+   * @returns {Promise<{guid: string, action: string, result: object}>} action is "cancel" when voucher was cancelled instead
+   */
+  async deleteVoucher(voucher) {
+    return this.removeVoucher(voucher, this.isAutoNumbered(voucher?.numbering_method) ? 'Cancel' : 'Delete');
+  }
+
+  async removeVoucher(voucher, action) {
+    const lstMissing = ['guid', 'date', 'voucher_type'].filter(p => !voucher?.[p]);
+    if (lstMissing.length)
+      throw new TallyImportError(`Voucher is missing ${lstMissing.join(', ')}`, null);
+
+    const response = await this.postTallyXML(this.buildVoucherActionXML(voucher, action));
+    const result = this.parseImportResponse(response);
+    const count = action == 'Cancel' ? result.cancelled : result.deleted;
+    if (result.errors > 0 || result.exceptions > 0 || count == 0)
+      throw new TallyImportError(result.lineErrors.join('; ') || `Tally did not ${action.toLowerCase()} the voucher`, result);
+    return { guid: voucher.guid, action: action.toLowerCase(), result };
+  }
+
+  validateVoucher(voucher) {
+    const lstMissing = ['date', 'voucher_type'].filter(p => !voucher?.[p]);
+    if (lstMissing.length)
+      throw new TallyImportError(`Voucher is missing ${lstMissing.join(', ')}`, null);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(voucher.date))
+      throw new TallyImportError(`Invalid voucher date "${voucher.date}", expected YYYY-MM-DD`, null);
+    if (!(voucher.accounting || []).length && !(voucher.inventory || []).length)
+      throw new TallyImportError('Voucher has neither accounting nor inventory entries', null);
+    for (const entry of voucher.accounting || [])
+      if (!entry.ledger || isNaN(Number(entry.amount)))
+        throw new TallyImportError('Accounting entry requires ledger and amount', null);
+    for (const entry of voucher.inventory || [])
+      if (!entry.item || isNaN(Number(entry.quantity)) || isNaN(Number(entry.amount)))
+        throw new TallyImportError('Inventory entry requires item, quantity and amount', null);
+  }
+
+  buildVoucherXML(voucher) {
+    const isInvoice = this.isTrue(voucher.is_invoice);
+    const lstInventory = voucher.inventory || [];
+    const lstInventoryLedger = lstInventory.map(p => p.ledger).filter(p => p);
+    const viewName = isInvoice && lstInventory.length ? 'Invoice Voucher View' : 'Accounting Voucher View';
+
+    let retval = `<?xml version="1.0" encoding="utf-8"?><ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>Vouchers</ID></HEADER><BODY><DESC><STATICVARIABLES>`;
+    if (this.options.company)
+      retval += `<SVCURRENTCOMPANY>${this.escapeXML(this.options.company)}</SVCURRENTCOMPANY>`;
+    retval += `</STATICVARIABLES></DESC><DATA><TALLYMESSAGE>`;
+
+    retval += `<VOUCHER VCHTYPE="${this.escapeXML(voucher.voucher_type)}" ACTION="Create" OBJVIEW="${viewName}">`;
+    retval += this.tag('DATE', this.toYYYYMMDD(voucher.date));
+    retval += this.tag('VOUCHERTYPENAME', voucher.voucher_type);
+    retval += this.tag('VOUCHERNUMBER', voucher.voucher_number);
+    retval += this.tag('REFERENCE', voucher.reference_number);
+    retval += this.tag('REFERENCEDATE', this.toYYYYMMDD(voucher.reference_date));
+    retval += this.tag('NARRATION', voucher.narration);
+    retval += this.tag('PARTYLEDGERNAME', voucher.party_name);
+    retval += this.tag('PLACEOFSUPPLY', voucher.place_of_supply);
+    retval += this.tag('PERSISTEDVIEW', viewName);
+    retval += this.tag('ISINVOICE', isInvoice ? 'Yes' : 'No');
+
+    // ledger entries (invoice keeps party, tax & other ledgers in LEDGERENTRIES, inventory carries its own allocations)
+    const ledgerListTag = isInvoice ? 'LEDGERENTRIES.LIST' : 'ALLLEDGERENTRIES.LIST';
+    for (const entry of (voucher.accounting || []).filter(p => !lstInventoryLedger.includes(p.ledger))) {
+      retval += `<${ledgerListTag}>`;
+      retval += this.tag('LEDGERNAME', entry.ledger);
+      retval += this.tag('ISDEEMEDPOSITIVE', this.isDebit(entry.amount) ? 'Yes' : 'No');
+      retval += this.tag('ISPARTYLEDGER', entry.ledger == voucher.party_name ? 'Yes' : 'No');
+      retval += this.tag('AMOUNT', this.formatNumber(entry.amount));
+      for (const bill of entry.bills || []) {
+        retval += `<BILLALLOCATIONS.LIST>`;
+        retval += this.tag('NAME', bill.name);
+        retval += this.tag('BILLTYPE', bill.billtype || 'New Ref');
+        if (Number(bill.bill_credit_period) > 0)
+          retval += this.tag('BILLCREDITPERIOD', `${bill.bill_credit_period} Days`);
+        retval += this.tag('AMOUNT', this.formatNumber(bill.amount ?? entry.amount));
+        retval += `</BILLALLOCATIONS.LIST>`;
+      }
+      retval += `</${ledgerListTag}>`;
+    }
+
+    // inventory entries along with godown / batch and accounting allocation
+    for (const entry of lstInventory) {
+      const isInwards = Number(entry.quantity) > 0;
+      retval += `<ALLINVENTORYENTRIES.LIST>`;
+      retval += this.tag('STOCKITEMNAME', entry.item);
+      retval += this.tag('ISDEEMEDPOSITIVE', isInwards ? 'Yes' : 'No');
+      retval += this.tag('RATE', entry.rate ? `${this.formatNumber(entry.rate)}${entry.uom ? '/' + entry.uom : ''}` : '');
+      retval += this.tag('DISCOUNT', Number(entry.discount_amount) ? this.formatNumber(entry.discount_amount) : '');
+      retval += this.tag('AMOUNT', this.formatNumber(entry.amount));
+      retval += this.tag('ACTUALQTY', this.formatQuantity(entry.quantity, entry.uom));
+      retval += this.tag('BILLEDQTY', this.formatQuantity(entry.quantity, entry.uom));
+      const lstBatch = entry.batches?.length ? entry.batches : (entry.godown ? [{ godown: entry.godown, tracking_number: entry.tracking_number, quantity: entry.quantity, amount: entry.amount }] : []);
+      for (const batch of lstBatch) {
+        retval += `<BATCHALLOCATIONS.LIST>`;
+        retval += this.tag('GODOWNNAME', batch.godown);
+        retval += this.tag('BATCHNAME', batch.name);
+        retval += this.tag('DESTINATIONGODOWNNAME', batch.destination_godown);
+        retval += this.tag('TRACKINGNUMBER', batch.tracking_number);
+        retval += this.tag('ORDERNO', entry.order_number);
+        retval += this.tag('ORDERDUEDATE', this.toYYYYMMDD(entry.order_duedate));
+        retval += this.tag('AMOUNT', this.formatNumber(batch.amount));
+        retval += this.tag('ACTUALQTY', this.formatQuantity(batch.quantity, entry.uom));
+        retval += this.tag('BILLEDQTY', this.formatQuantity(batch.quantity, entry.uom));
+        retval += `</BATCHALLOCATIONS.LIST>`;
+      }
+      if (entry.ledger) {
+        retval += `<ACCOUNTINGALLOCATIONS.LIST>`;
+        retval += this.tag('LEDGERNAME', entry.ledger);
+        retval += this.tag('ISDEEMEDPOSITIVE', isInwards ? 'Yes' : 'No');
+        retval += this.tag('AMOUNT', this.formatNumber(entry.amount));
+        retval += `</ACCOUNTINGALLOCATIONS.LIST>`;
+      }
+      retval += `</ALLINVENTORYENTRIES.LIST>`;
+    }
+
+    retval += `</VOUCHER></TALLYMESSAGE></DATA></BODY></ENVELOPE>`;
+    return retval;
+  }
+
+  /**
+   * Builds envelope to cancel / delete voucher identified by its GUID
+   * @param {string} action Cancel | Delete
+   */
+  buildVoucherActionXML(voucher, action) {
+    let retval = `<?xml version="1.0" encoding="utf-8"?><ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>Vouchers</ID></HEADER><BODY><DESC><STATICVARIABLES>`;
+    if (this.options.company)
+      retval += `<SVCURRENTCOMPANY>${this.escapeXML(this.options.company)}</SVCURRENTCOMPANY>`;
+    retval += `</STATICVARIABLES></DESC><DATA><TALLYMESSAGE>`;
+    retval += `<VOUCHER DATE="${this.toYYYYMMDD(voucher.date)}" TAGNAME="GUID" TAGVALUE="${this.escapeXML(voucher.guid)}" VCHTYPE="${this.escapeXML(voucher.voucher_type)}" ACTION="${action}">`;
+    if (action == 'Cancel')
+      retval += this.tag('NARRATION', voucher.narration);
+    retval += `</VOUCHER></TALLYMESSAGE></DATA></BODY></ENVELOPE>`;
+    return retval;
+  }
+
+  /**
+   * Parses import response of Tally (CREATED / ALTERED / ERRORS counters along with line errors)
+   */
+  parseImportResponse(response) {
+    const getCount = (tagName) => parseInt(new RegExp(`<${tagName}>\\s*(-?\\d+)\\s*</${tagName}>`).exec(response)?.[1] || '0');
+    return {
+      created: getCount('CREATED'),
+      altered: getCount('ALTERED'),
+      deleted: getCount('DELETED'),
+      cancelled: getCount('CANCELLED'),
+      ignored: getCount('IGNORED'),
+      errors: getCount('ERRORS'),
+      exceptions: getCount('EXCEPTIONS'),
+      lastVoucherId: getCount('LASTVCHID'),
+      lastMasterId: getCount('LASTMID'),
+      lineErrors: [...response.matchAll(/<LINEERROR>([\s\S]*?)<\/LINEERROR>/g)].map(p => this.unescapeXML(p[1].trim()))
+    };
+  }
+
+  /**
+   * Creates / alters masters in Tally, one import per record
+   * @param {string} tableName mst_ledger | mst_stock_item | mst_godown
+   * @param {object[]} lstRecord rows following column names of table
+   * @param {Object<string, string[]>} catalog names of synced masters keyed by table name (mst_group, mst_stock_group, mst_uom, mst_godown, mst_ledger, mst_stock_item)
+   * @returns {Promise<{index: number, name: string, action: string, success: boolean, guid?: string, error?: string}[]>}
+   */
+  async writeMasters(tableName, lstRecord, catalog = {}) {
+    if (!masterTypes[tableName])
+      throw new Error(`Writing of ${tableName} is not supported, expected one of ${Object.keys(masterTypes).join(', ')}`);
+    if (!Array.isArray(lstRecord))
+      throw new Error('Masters should be an array of records');
+
+    // names are collected case-insensitive like Tally, masters created in this batch can be referred by subsequent records
+    const mapCatalog = {};
+    for (const [key, lstName] of Object.entries(catalog || {}))
+      mapCatalog[key] = new Set((lstName || []).map(p => String(p).toLowerCase()));
+
+    const retval = [];
+    for (let i = 0; i < lstRecord.length; i++) {
+      const record = lstRecord[i] || {};
+      const isExisting = mapCatalog[tableName]?.has(String(record.original_name || record.name || '').toLowerCase()) || false;
+      const result = { index: i, name: record.name || '', action: isExisting ? 'alter' : 'create', success: false };
+      try {
+        const lstError = this.validateMaster(tableName, record, mapCatalog);
+        if (lstError.length)
+          throw new TallyImportError(lstError.join('; '), null);
+
+        const response = await this.postTallyXML(this.buildMasterXML(tableName, record, isExisting ? 'Alter' : 'Create'));
+        const importResult = this.parseImportResponse(response);
+        if (importResult.errors > 0 || importResult.exceptions > 0 || importResult.created + importResult.altered == 0)
+          throw new TallyImportError(importResult.lineErrors.join('; ') || `Tally did not import the ${masterTypes[tableName].label.toLowerCase()}`, importResult);
+
+        const created = importResult.lastMasterId ? await this.findObject(masterTypes[tableName].collection, importResult.lastMasterId, ['Guid']) : undefined;
+        result.guid = created?.[0] || '';
+        result.success = true;
+        mapCatalog[tableName] = mapCatalog[tableName] || new Set();
+        mapCatalog[tableName].add(String(record.name).toLowerCase());
+      } catch (err) {
+        result.error = err.message;
+      }
+      retval.push(result);
+    }
+    return retval;
+  }
+
+  /**
+   * Validates master against catalog of synced masters
+   * @returns {string[]} list of validation errors (empty if valid)
+   */
+  validateMaster(tableName, record, mapCatalog = {}) {
+    const retval = [];
+    const isKnown = (catalogTable, name) => !mapCatalog[catalogTable] || mapCatalog[catalogTable].has(String(name).toLowerCase());
+
+    if (!record.name || !String(record.name).trim())
+      retval.push('name is required');
+
+    if (tableName == 'mst_ledger') {
+      if (!record.parent)
+        retval.push('parent group is required');
+      else if (!isKnown('mst_group', record.parent))
+        retval.push(`Group '${record.parent}' not found in synced data`);
+      if (record.gstn && !regexGSTIN.test(String(record.gstn).toUpperCase()))
+        retval.push(`Invalid GSTIN "${record.gstn}"`);
+      if (record.it_pan && !regexPAN.test(String(record.it_pan).toUpperCase()))
+        retval.push(`Invalid PAN "${record.it_pan}"`);
+      for (const field of ['opening_balance', 'bill_credit_period'])
+        if (record[field] !== undefined && record[field] !== null && record[field] !== '' && isNaN(Number(record[field])))
+          retval.push(`${field} should be a number`);
+    }
+    else if (tableName == 'mst_stock_item') {
+      if (!record.uom)
+        retval.push('unit (uom) is required');
+      else if (!isKnown('mst_uom', record.uom))
+        retval.push(`Unit '${record.uom}' not found in synced data`);
+      if (record.alternate_uom && !isKnown('mst_uom', record.alternate_uom))
+        retval.push(`Unit '${record.alternate_uom}' not found in synced data`);
+      if (record.parent && !isKnown('mst_stock_group', record.parent))
+        retval.push(`Stock Group '${record.parent}' not found in synced data`);
+      if (record.gst_rate !== undefined && record.gst_rate !== null && record.gst_rate !== '' && !(Number(record.gst_rate) >= 0 && Number(record.gst_rate) <= 100))
+        retval.push(`Invalid GST rate "${record.gst_rate}"`);
+      if (record.gst_hsn_code && !/^\d{4,8}$/.test(String(record.gst_hsn_code)))
+        retval.push(`Invalid HSN/SAC code "${record.gst_hsn_code}"`);
+      for (const field of ['opening_balance', 'opening_rate', 'opening_value'])
+        if (record[field] !== undefined && record[field] !== null && record[field] !== '' && isNaN(Number(record[field])))
+          retval.push(`${field} should be a number`);
+    }
+    else if (tableName == 'mst_godown') {
+      if (record.parent && !isKnown('mst_godown', record.parent))
+        retval.push(`Godown '${record.parent}' not found in synced data`);
+    }
+    return retval;
+  }
+
+  buildMasterXML(tableName, record, action = 'Create') {
+    const { tagName } = masterTypes[tableName];
+    const originalName = action == 'Alter' && record.original_name ? record.original_name : record.name;
+
+    let retval = `<?xml version="1.0" encoding="utf-8"?><ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>All Masters</ID></HEADER><BODY><DESC><STATICVARIABLES>`;
+    if (this.options.company)
+      retval += `<SVCURRENTCOMPANY>${this.escapeXML(this.options.company)}</SVCURRENTCOMPANY>`;
+    retval += `</STATICVARIABLES></DESC><DATA><TALLYMESSAGE>`;
+
+    retval += `<${tagName} NAME="${this.escapeXML(originalName)}" ACTION="${action}">`;
+    retval += `<NAME.LIST>${this.tag('NAME', record.name)}${this.tag('NAME', record.alias)}</NAME.LIST>`;
+    retval += this.tag('PARENT', record.parent);
+
+    if (tableName == 'mst_ledger') {
+      retval += this.tag('DESCRIPTION', record.description);
+      retval += this.tag('NARRATION', record.notes);
+      retval += this.tag('OPENINGBALANCE', record.opening_balance !== undefined && record.opening_balance !== '' ? this.formatNumber(record.opening_balance) : '');
+      retval += this.tag('MAILINGNAME', record.mailing_name);
+      if (record.mailing_address)
+        retval += `<ADDRESS.LIST>${String(record.mailing_address).split(/\r?\n/).map(p => this.tag('ADDRESS', p.trim())).join('')}</ADDRESS.LIST>`;
+      retval += this.tag('LEDSTATENAME', record.mailing_state);
+      retval += this.tag('COUNTRYNAME', record.mailing_country);
+      retval += this.tag('PINCODE', record.mailing_pincode);
+      retval += this.tag('EMAIL', record.email);
+      retval += this.tag('INCOMETAXNUMBER', record.it_pan ? String(record.it_pan).toUpperCase() : '');
+      retval += this.tag('GSTREGISTRATIONTYPE', record.gst_registration_type || (record.gstn ? 'Regular' : ''));
+      retval += this.tag('PARTYGSTIN', record.gstn ? String(record.gstn).toUpperCase() : '');
+      if (Number(record.bill_credit_period) > 0) {
+        retval += this.tag('ISBILLWISEON', 'Yes');
+        retval += this.tag('BILLCREDITPERIOD', `${record.bill_credit_period} Days`);
+      }
+      retval += this.tag('BANKDETAILS', record.bank_account_number);
+      retval += this.tag('IFSCODE', record.bank_ifsc);
+      retval += this.tag('BANKACCHOLDERNAME', record.bank_account_holder);
+      retval += this.tag('BANKINGCONFIGBANK', record.bank_name);
+      retval += this.tag('BANKBRANCHNAME', record.bank_branch);
+      retval += this.tag('SWIFTCODE', record.bank_swift);
+    }
+    else if (tableName == 'mst_stock_item') {
+      retval += this.tag('DESCRIPTION', record.description);
+      retval += this.tag('NARRATION', record.notes);
+      retval += this.tag('PARTNO', record.part_number);
+      retval += this.tag('BASEUNITS', record.uom);
+      retval += this.tag('ADDITIONALUNITS', record.alternate_uom);
+      if (record.alternate_uom && Number(record.conversion) > 0) {
+        retval += this.tag('DENOMINATOR', '1');
+        retval += this.tag('CONVERSION', this.formatNumber(record.conversion));
+      }
+      retval += this.tag('COSTINGMETHOD', record.costing_method);
+      if (Number(record.opening_balance)) {
+        retval += this.tag('OPENINGBALANCE', this.formatQuantity(record.opening_balance, record.uom));
+        retval += this.tag('OPENINGRATE', record.opening_rate ? `${this.formatNumber(record.opening_rate)}/${record.uom}` : '');
+        retval += this.tag('OPENINGVALUE', this.formatNumber(record.opening_value));
+      }
+      if (record.gst_hsn_code || (record.gst_rate !== undefined && record.gst_rate !== null && record.gst_rate !== '')) {
+        // rate of GST is split into central & state tax for intra-state supply
+        const rate = Number(record.gst_rate) || 0;
+        retval += this.tag('GSTAPPLICABLE', '\u0004 Applicable');
+        retval += this.tag('GSTTYPEOFSUPPLY', record.gst_type_of_supply || 'Goods');
+        retval += `<GSTDETAILS.LIST>`;
+        retval += this.tag('APPLICABLEFROM', gstApplicableFrom);
+        retval += this.tag('CALCULATIONTYPE', 'On Value');
+        retval += this.tag('HSNCODE', record.gst_hsn_code);
+        retval += this.tag('TAXABILITY', record.gst_taxability || 'Taxable');
+        retval += `<STATEWISEDETAILS.LIST>${this.tag('STATENAME', '\u0004 Any')}`;
+        for (const [dutyHead, dutyRate] of [['CGST', rate / 2], ['SGST/UTGST', rate / 2], ['IGST', rate]])
+          retval += `<RATEDETAILS.LIST>${this.tag('GSTRATEDUTYHEAD', dutyHead)}${this.tag('GSTRATEVALUATIONTYPE', 'Based on Value')}${this.tag('GSTRATE', this.formatNumber(dutyRate))}</RATEDETAILS.LIST>`;
+        retval += `</STATEWISEDETAILS.LIST></GSTDETAILS.LIST>`;
+      }
+    }
+    else if (tableName == 'mst_godown') {
+      if (record.address)
+        retval += `<ADDRESS.LIST>${String(record.address).split(/\r?\n/).map(p => this.tag('ADDRESS', p.trim())).join('')}</ADDRESS.LIST>`;
+    }
+
+    retval += `</${tagName}></TALLYMESSAGE></DATA></BODY></ENVELOPE>`;
+    return retval;
+  }
+
+  /**
+   * Fetches GUID & voucher number of voucher by its master ID
+   */
+  async findVoucher(masterId) {
+    const row = await this.findObject('Voucher', masterId, ['Guid', 'VoucherNumber']);
+    return row ? { guid: row[0], voucher_number: row[1] } : undefined;
+  }
+
+  /**
+   * Fetches attributes of object (voucher / master) of given collection by its master ID
+   * @returns {Promise<string[]|undefined>} attribute values in order of lstAttribute
+   */
+  async findObject(collection, masterId, lstAttribute) {
+    const lstFieldName = lstAttribute.map((p, i) => `Fld${String(i + 1).padStart(2, '0')}`);
+    let xml = `<?xml version="1.0" encoding="utf-8"?><ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Data</TYPE><ID>TallyWriterReport</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>XML (Data Interchange)</SVEXPORTFORMAT>`;
+    if (this.options.company)
+      xml += `<SVCURRENTCOMPANY>${this.escapeXML(this.options.company)}</SVCURRENTCOMPANY>`;
+    xml += `</STATICVARIABLES><TDL><TDLMESSAGE><REPORT NAME="TallyWriterReport"><FORMS>MyForm</FORMS></REPORT><FORM NAME="MyForm"><PARTS>MyPart01</PARTS></FORM><PART NAME="MyPart01"><LINES>MyLine01</LINES><REPEAT>MyLine01 : MyCollection</REPEAT><SCROLLED>Vertical</SCROLLED></PART><LINE NAME="MyLine01"><FIELDS>${lstFieldName.join(',')}</FIELDS></LINE>`;
+    xml += lstAttribute.map((p, i) => `<FIELD NAME="${lstFieldName[i]}"><SET>$${p}</SET><XMLTAG>F${String(i + 1).padStart(2, '0')}</XMLTAG></FIELD>`).join('');
+    xml += `<COLLECTION NAME="MyCollection"><TYPE>${collection}</TYPE><FETCH>${lstAttribute.join(',')}</FETCH><FILTER>Fltr01</FILTER></COLLECTION><SYSTEM TYPE="Formulae" NAME="Fltr01">$MasterID = ${parseInt(masterId)}</SYSTEM></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
+    const response = await this.postTallyXML(xml);
+    const lstValue = lstAttribute.map((p, i) => new RegExp(`<F${String(i + 1).padStart(2, '0')}>([\\s\\S]*?)</F${String(i + 1).padStart(2, '0')}>`).exec(response));
+    return lstValue.every(p => p) ? lstValue.map(p => this.unescapeXML(p[1].trim())) : undefined;
+  }
+
+  postTallyXML(xmlRequest) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        hostname: this.options.server,
+        port: this.options.port,
+        path: '',
+        method: 'POST',
+        headers: {
+          'Content-Length': Buffer.byteLength(xmlRequest, 'utf16le'),
+          'Content-Type': 'text/xml;charset=utf-16'
+        }
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf16le')
+          .on('data', (chunk) => data += chunk.toString())
+          .on('end', () => resolve(data))
+          .on('error', reject);
+      });
+      req.on('error', (error) => reject(new Error(`Unable to connect with Tally at ${this.options.server}:${this.options.port} (${error.message})`)));
+      req.write(xmlRequest, 'utf16le');
+      req.end();
+    });
+  }
+
+  tag(tagName, value) {
+    return value === undefined || value === null || value === '' ? '' : `<${tagName}>${this.escapeXML(String(value))}</${tagName}>`;
+  }
+
+  isTrue(value) {
+    return value === true || value === 1 || value === '1' || String(value).toLowerCase() == 'yes';
+  }
+
+  isAutoNumbered(numberingMethod) {
+    return /auto/i.test(numberingMethod || '');
+  }
+
+  isDebit(amount) {
+    return Number(amount) < 0;
+  }
+
+  formatNumber(value) {
+    return String(Number(value) || 0);
+  }
+
+  formatQuantity(quantity, uom) {
+    return `${Math.abs(Number(quantity) || 0)}${uom ? ' ' + uom : ''}`;
+  }
+
+  toYYYYMMDD(value) {
+    return value ? String(value).replace(/-/g, '') : '';
+  }
+
+  escapeXML(value) {
+    // character 4 prefixes system names of Tally (e.g. "Applicable", "Any")
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;').replace(/\u0004/g, '&#4;');
+  }
+
+  unescapeXML(value) {
+    return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&#13;&#10;/g, '\r\n').replace(/&amp;/g, '&');
+  }
+}
+
+function createTallyWriter(options) {
+  return new TallyWriter(options);
+}
+
+/**
+ * Loads catalog of master names (for writeMasters) from data synced to Railway SQLite server
+ * @param {string} apiUrl base URL of Railway SQLite server
+ * @param {string} apiKey API key (X-API-Key) of company & division
+ * @returns {Promise<Object<string, string[]>>}
+ */
+async function loadMasterCatalog(apiUrl, companyId, divisionId, apiKey) {
+  const retval = {};
+  const pageSize = 1000; // largest page served by structured query
+  for (const tableName of ['mst_group', 'mst_stock_group', 'mst_uom', 'mst_godown', 'mst_ledger', 'mst_stock_item']) {
+    retval[tableName] = [];
+    let hasMore = true;
+    while (hasMore) {
+      const response = await axios.post(`${apiUrl}/api/v1/query/${companyId}/${divisionId}`, {
+        table: tableName,
+        columns: ['name'],
+        sort: ['name'],
+        limit: pageSize,
+        offset: retval[tableName].length
+      }, { timeout: 30000, headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+      retval[tableName].push(...response.data.data.map(p => p.name));
+      hasMore = response.data.pagination.has_more && response.data.data.length > 0;
+    }
+  }
+  return retval;
+}
+
+// Run standalone when invoked from commandline
+if (process.argv[1] && path.resolve(process.argv[1]) == fileURLToPath(import.meta.url)) {
+  const options = {};
+  let inputFile = '';
+  let masterTable = '';
+  let catalogFile = '';
+  let action = '';
+  const lstArgs = process.argv.slice(2);
+  for (let i = 0; i < lstArgs.length; i++) {
+    if (lstArgs[i] == '--server') options.server = lstArgs[++i];
+    else if (lstArgs[i] == '--port') options.port = parseInt(lstArgs[++i]);
+    else if (lstArgs[i] == '--company') options.company = lstArgs[++i];
+    else if (lstArgs[i] == '--masters') masterTable = lstArgs[++i];
+    else if (lstArgs[i] == '--catalog') catalogFile = lstArgs[++i];
+    else if (lstArgs[i] == '--action') action = lstArgs[++i];
+    else inputFile = lstArgs[i];
+  }
+  if (!inputFile || (action && !['cancel', 'delete'].includes(action))) {
+    console.error('Usage: node tally-writer.js voucher.json [--server localhost] [--port 9000] [--company "Company"]');
+    console.error('       node tally-writer.js --action cancel|delete voucher.json [--server localhost] [--port 9000] [--company "Company"]');
+    console.error('       node tally-writer.js --masters mst_ledger ledgers.json [--catalog catalog.json] [--server localhost] [--port 9000] [--company "Company"]');
+    process.exit(1);
+  }
+
+  const writer = createTallyWriter(options);
+  if (masterTable) {
+    const catalog = catalogFile ? JSON.parse(fs.readFileSync(catalogFile, 'utf8')) : {};
+    writer.writeMasters(masterTable, JSON.parse(fs.readFileSync(inputFile, 'utf8')), catalog)
+      .then((lstResult) => {
+        for (const result of lstResult)
+          if (result.success)
+            console.log(`✅ ${result.action == 'alter' ? 'Altered' : 'Created'} ${result.name} (${result.guid})`);
+          else
+            console.error(`❌ ${result.name || '#' + (result.index + 1)}: ${result.error}`);
+        if (lstResult.some(p => !p.success))
+          process.exit(1);
+      })
+      .catch((error) => {
+        console.error(`❌ Master import failed: ${error.message}`);
+        process.exit(1);
+      });
+  }
+  else if (action) {
+    const voucher = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+    (action == 'cancel' ? writer.cancelVoucher(voucher) : writer.deleteVoucher(voucher))
+      .then((removed) => {
+        console.log(`✅ Voucher ${removed.action == 'cancel' ? 'cancelled' : 'deleted'} in Tally: ${removed.guid}`);
+      })
+      .catch((error) => {
+        console.error(`❌ Voucher ${action} failed: ${error.message}`);
+        process.exit(1);
+      });
+  }
+  else
+    writer.createVoucher(JSON.parse(fs.readFileSync(inputFile, 'utf8')))
+      .then((created) => {
+        console.log(`✅ Voucher created in Tally: ${created.voucher_number} (${created.guid})`);
+      })
+      .catch((error) => {
+        console.error(`❌ Voucher import failed: ${error.message}`);
+        process.exit(1);
+      });
+}
+
+export { TallyWriter, TallyImportError, createTallyWriter, loadMasterCatalog };
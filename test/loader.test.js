@@ -0,0 +1,469 @@
+/**
+ * End-to-end tests of TypeScript loader (dist/index.mjs) against mock Tally XML server and SQLite database
+ * Loader is run as child process in a temporary folder (it reads config.json & export definition from working directory)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { createMockTallyServer } from '../mock-tally-server.js';
+
+const rootDirectory = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const loaderScript = path.join(rootDirectory, 'dist', 'index.mjs');
+const definitionFile = 'tally-export-config-incremental.yaml';
+const companyName = 'Demo Trading Co';
+
+function runLoader(workDirectory, lstArgs = []) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [loaderScript, ...lstArgs], { cwd: workDirectory, timeout: 120000 }, (err, stdout, stderr) => {
+      resolve({ isSuccess: !err && stdout.includes('Import completed successfully'), output: stdout + stderr });
+    });
+  });
+}
+
+function execute(dbFile, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbFile, (errOpen) => {
+      if (errOpen) return reject(errOpen);
+      db.run(sql, params, (err) => db.close(() => err ? reject(err) : resolve()));
+    });
+  });
+}
+
+function queryAll(dbFile, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbFile, sqlite3.OPEN_READONLY, (errOpen) => {
+      if (errOpen) return reject(errOpen);
+      db.all(sql, params, (err, rows) => db.close(() => err ? reject(err) : resolve(rows)));
+    });
+  });
+}
+
+async function queryScalar(dbFile, sql, params = []) {
+  const rows = await queryAll(dbFile, sql, params);
+  return rows.length ? Object.values(rows[0])[0] : undefined;
+}
+
+describe('loader end-to-end with SQLite', () => {
+  let mock;
+  let company; // fixture company served by mock, mutated in between syncs to simulate changes in Tally
+  let workDirectory;
+  let dbFile;
+
+  before(async () => {
+    assert.ok(fs.existsSync(loaderScript), 'dist/index.mjs not found, run "npm run build" first');
+    mock = createMockTallyServer({ activeCompany: companyName });
+    const port = await mock.listen(0);
+    company = mock.getCompany(companyName);
+
+    workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-loader-'));
+    fs.copyFileSync(path.join(rootDirectory, definitionFile), path.join(workDirectory, definitionFile));
+    fs.writeFileSync(path.join(workDirectory, 'config.json'), JSON.stringify({
+      database: { technology: 'sqlite', server: '', port: 0, schema: 'tallydb', ssl: false, username: '', password: '', loadmethod: 'file', swap: false },
+      tally: { definition: definitionFile, server: '127.0.0.1', port, fromdate: 'auto', todate: 'auto', sync: 'full', frequency: 0, company: '', chunk: 'none' }
+    }, null, 2));
+    dbFile = path.join(workDirectory, 'tallydb.db');
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDirectory, { recursive: true, force: true });
+  });
+
+  it('full sync loads all masters and vouchers of company', async () => {
+    const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(result.isSuccess, result.output);
+
+    assert.equal(await queryScalar(dbFile, 'select count(*) from mst_group'), company.tables.mst_group.length);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from mst_ledger'), company.tables.mst_ledger.length);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.length);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_accounting'), company.tables.trn_accounting.length);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_inventory'), company.tables.trn_inventory.length);
+    assert.equal(await queryScalar(dbFile, 'select round(sum(amount), 2) from trn_accounting'), 0); // every voucher is balanced
+
+    const voucher = company.tables.trn_voucher[0];
+    const row = (await queryAll(dbFile, 'select date, voucher_type, voucher_number, party_name from trn_voucher where guid = ?', [voucher.guid]))[0];
+    assert.deepEqual(row, { date: voucher.date, voucher_type: voucher.voucher_type, voucher_number: voucher.voucher_number, party_name: voucher.party_name });
+
+    assert.equal(await queryScalar(dbFile, `select value from config where name = 'Company Name'`), companyName);
+  });
+
+  it('incremental sync picks up new and altered objects', async () => {
+    const { alterIdMaster, alterIdTransaction } = mock.getLastAlterId(company);
+    let alterId = Math.max(alterIdMaster, alterIdTransaction);
+
+    // rename existing ledger & add a new one
+    const ledger = company.tables.mst_ledger.find(p => p.name == 'Mehta & Sons');
+    ledger.name = 'Mehta & Sons Pvt Ltd';
+    ledger.alterid = ++alterId;
+    const newLedger = { ...ledger, guid: `${company.company.guid}-00000100`, alterid: ++alterId, name: 'Kapoor Traders', opening_balance: 0 };
+    company.tables.mst_ledger.push(newLedger);
+
+    // add a receipt voucher from the new ledger
+    const cash = company.tables.mst_ledger.find(p => p.name == 'Cash');
+    const receipt = company.tables.mst_vouchertype.find(p => p.name == 'Receipt');
+    const voucher = {
+      guid: `${company.company.guid}-00000101`, alterid: ++alterId, date: '2025-02-10', voucher_type: 'Receipt', _voucher_type: receipt.guid, voucher_number: '2',
+      reference_number: '', reference_date: '', narration: 'Advance received', party_name: newLedger.name, _party_name: newLedger.guid, place_of_supply: '',
+      is_invoice: 0, is_accounting_voucher: 1, is_inventory_voucher: 0, is_order_voucher: 0
+    };
+    company.tables.trn_voucher.push(voucher);
+    company.tables.trn_accounting.push(
+      { guid: voucher.guid, ledger: cash.name, _ledger: cash.guid, amount: -5000, amount_forex: -5000, currency: '₹' },
+      { guid: voucher.guid, ledger: newLedger.name, _ledger: newLedger.guid, amount: 5000, amount_forex: 5000, currency: '₹' }
+    );
+
+    const result = await runLoader(workDirectory, ['--tally-sync', 'incremental']);
+    assert.ok(result.isSuccess, result.output);
+
+    assert.equal(await queryScalar(dbFile, 'select name from mst_ledger where guid = ?', [ledger.guid]), 'Mehta & Sons Pvt Ltd');
+    assert.equal(await queryScalar(dbFile, 'select count(*) from mst_ledger'), company.tables.mst_ledger.length);
+    assert.equal(await queryScalar(dbFile, 'select narration from trn_voucher where guid = ?', [voucher.guid]), 'Advance received');
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_accounting where guid = ?', [voucher.guid]), 2);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.length);
+    assert.equal(await queryScalar(dbFile, `select value from config where name = 'Last AlterID Transaction'`), String(alterId));
+  });
+
+  it('incremental sync without any change in Tally leaves database as is', async () => {
+    const countBefore = await queryScalar(dbFile, 'select count(*) from trn_accounting');
+    const result = await runLoader(workDirectory, ['--tally-sync', 'incremental']);
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /No change found/);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_accounting'), countBefore);
+  });
+
+  it('incremental sync re-run after AlterID was not saved does not duplicate entries', async () => {
+    // sync interrupted after changes were committed, but before last AlterID was saved into config table
+    const countBefore = await queryScalar(dbFile, 'select count(*) from trn_accounting');
+    await execute(dbFile, `update config set value = '0' where name = 'Last AlterID Transaction'`);
+
+    const result = await runLoader(workDirectory, ['--tally-sync', 'incremental']);
+    assert.ok(result.isSuccess, result.output);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.length);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_accounting'), countBefore);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_inventory'), company.tables.trn_inventory.length);
+  });
+
+  it('incremental sync removes deleted vouchers along with their entries', async () => {
+    const voucher = company.tables.trn_voucher.find(p => p.voucher_type == 'Payment' && p.voucher_number == '2');
+    mock.deleteObject(companyName, voucher.guid);
+    assert.ok(await queryScalar(dbFile, 'select count(*) from trn_accounting where guid = ?', [voucher.guid]) > 0);
+
+    const result = await runLoader(workDirectory, ['--tally-sync', 'incremental']);
+    assert.ok(result.isSuccess, result.output);
+
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher where guid = ?', [voucher.guid]), 0);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_accounting where guid = ?', [voucher.guid]), 0);
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.length);
+    assert.equal(await queryScalar(dbFile, 'select round(sum(amount), 2) from trn_accounting'), 0);
+  });
+
+  it('incremental sync refreshes voucher numbers shifted by automatic numbering', async () => {
+    // inserting back-dated sales voucher renumbers subsequent sales vouchers in Tally, without altering them
+    const lstSales = company.tables.trn_voucher.filter(p => p.voucher_type == 'Sales').sort((a, b) => a.date.localeCompare(b.date));
+    const insertAfter = lstSales[0];
+    const { alterIdMaster, alterIdTransaction } = mock.getLastAlterId(company);
+    const voucher = { ...insertAfter, guid: `${company.company.guid}-00000102`, alterid: Math.max(alterIdMaster, alterIdTransaction) + 1, date: '2024-05-15', narration: 'Back dated sale' };
+    company.tables.trn_voucher.push(voucher);
+    company.tables.trn_accounting.push(...company.tables.trn_accounting.filter(p => p.guid == insertAfter.guid).map(p => ({ ...p, guid: voucher.guid })));
+    for (const sales of lstSales.slice(1))
+      sales.voucher_number = String(parseInt(sales.voucher_number) + 1);
+    voucher.voucher_number = '2';
+
+    const result = await runLoader(workDirectory, ['--tally-sync', 'incremental']);
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /processing voucher number updates/);
+
+    const lstRows = await queryAll(dbFile, `select guid, voucher_number from trn_voucher where voucher_type = 'Sales' order by date`);
+    assert.deepEqual(lstRows.map(p => p.voucher_number), ['1', '2', '3', '4']);
+    assert.equal(lstRows[1].guid, voucher.guid);
+  });
+
+  it('sync of company not open in Tally fails without touching database', async () => {
+    const countBefore = await queryScalar(dbFile, 'select count(*) from trn_voucher');
+    mock.setClosed(companyName);
+    try {
+      const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+      assert.ok(!result.isSuccess);
+      assert.match(result.output, /Error in importing data/);
+    } finally {
+      mock.setClosed(companyName, false);
+    }
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), countBefore);
+  });
+
+  it('sync fails on error page returned in place of data without loading it', async () => {
+    const countBefore = await queryScalar(dbFile, 'select count(*) from trn_voucher');
+    mock.options.failure = { Voucher: 503 };
+    try {
+      const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+      assert.ok(!result.isSuccess);
+      assert.match(result.output, /Tally responded with HTTP status 503/);
+    } finally {
+      mock.options.failure = {};
+    }
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), countBefore);
+  });
+
+  it('verification reports database in line with Tally', async () => {
+    const result = await runLoader(workDirectory, ['--verify']);
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /database matches Tally/);
+
+    const [report] = JSON.parse(fs.readFileSync(path.join(workDirectory, 'verify-report.json'), 'utf8'));
+    assert.equal(report.isMatched, true);
+    assert.equal(report.company, companyName);
+    assert.deepEqual(report.tables.find(p => p.table == 'trn_voucher'), { table: 'trn_voucher', tally: company.tables.trn_voucher.length, database: company.tables.trn_voucher.length, missing: [], extra: [], different: [] });
+    // checkpoint of sync interrupted earlier is left as is
+    assert.deepEqual(fs.readdirSync(path.join(workDirectory, 'csv')).filter(p => p.startsWith('_verify_')), []);
+  });
+
+  it('verification lists GUIDs missing, extra and different in database without changing it', async () => {
+    const lstVoucher = company.tables.trn_voucher.filter(p => p.voucher_type == 'Sales');
+    const missingVoucher = lstVoucher[0];
+    const alteredVoucher = lstVoucher[1];
+    await execute(dbFile, 'delete from trn_voucher where guid = ?', [missingVoucher.guid]);
+    await execute(dbFile, 'delete from trn_accounting where guid = ?', [missingVoucher.guid]);
+    await execute(dbFile, 'update trn_voucher set alterid = alterid - 1 where guid = ?', [alteredVoucher.guid]);
+    await execute(dbFile, 'delete from trn_accounting where guid = ? and amount > 0', [alteredVoucher.guid]);
+    await execute(dbFile, `insert into mst_ledger (guid, alterid, name, parent) values ('no-such-guid', 1, 'Ghost Ledger', 'Sundry Debtors')`);
+    const ledger = company.tables.mst_ledger.find(p => p.name == 'Cash');
+    ledger.closing_balance = -12345.5; // vouchers altered in Tally do not alter ledger, so balance of database is stale
+
+    const result = await runLoader(workDirectory, ['--verify', '--verify-report', 'mismatch.json']);
+    assert.ok(!result.isSuccess, result.output);
+    assert.match(result.output, /mismatches found, refer mismatch.json/);
+
+    const [report] = JSON.parse(fs.readFileSync(path.join(workDirectory, 'mismatch.json'), 'utf8'));
+    assert.equal(report.isMatched, false);
+    const getTable = (tableName) => report.tables.find(p => p.table == tableName);
+    assert.deepEqual(getTable('trn_voucher').missing, [missingVoucher.guid]);
+    assert.deepEqual(getTable('trn_voucher').different, [alteredVoucher.guid]);
+    assert.deepEqual(getTable('trn_accounting').missing, [missingVoucher.guid]);
+    assert.deepEqual(getTable('trn_accounting').different, [alteredVoucher.guid]);
+    assert.deepEqual(getTable('mst_ledger').extra, ['no-such-guid']);
+    assert.deepEqual(getTable('mst_group'), { table: 'mst_group', tally: company.tables.mst_group.length, database: company.tables.mst_group.length, missing: [], extra: [], different: [] });
+
+    const month = report.months.find(p => p.month == missingVoucher.date.substring(0, 7));
+    assert.equal(month.tally.vouchers, month.database.vouchers + 1);
+    assert.ok(month.tally.amount > month.database.amount);
+    assert.deepEqual(report.ledgers, [{ guid: ledger.guid, name: 'Cash', tally: -12345.5, database: 0 }]);
+
+    // verification only reads database
+    assert.equal(await queryScalar(dbFile, 'select count(*) from mst_ledger where guid = ?', ['no-such-guid']), 1);
+  });
+});
+
+describe('loader with companies sharing SQLite tables', () => {
+  let mock;
+  let workDirectory;
+  let dbFile;
+
+  const writeConfig = (company) => fs.writeFileSync(path.join(workDirectory, 'config.json'), JSON.stringify({
+    database: { technology: 'sqlite', server: '', port: 0, schema: 'tallydb', ssl: false, username: '', password: '', loadmethod: 'file', swap: false },
+    tally: { definition: definitionFile, server: '127.0.0.1', port: mock.port, fromdate: 'auto', todate: 'auto', sync: 'full', frequency: 0, company, chunk: 'none' }
+  }, null, 2));
+
+  before(async () => {
+    mock = createMockTallyServer({ activeCompany: companyName });
+    mock.port = await mock.listen(0);
+    workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-loader-'));
+    fs.copyFileSync(path.join(rootDirectory, definitionFile), path.join(workDirectory, definitionFile));
+    dbFile = path.join(workDirectory, 'tallydb.db');
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDirectory, { recursive: true, force: true });
+  });
+
+  it('refuses tables keyed without company_id and syncs into tables created with it', async () => {
+    writeConfig('');
+    assert.ok((await runLoader(workDirectory, ['--tally-sync', 'full'])).isSuccess);
+
+    writeConfig([{ name: companyName, id: 'demo' }]);
+    const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(!result.isSuccess);
+    assert.match(result.output, /require company_id in primary key, re-create tables config \[expected: primary key \(company_id, name\) \/ found: primary key \(name\)\]/);
+
+    fs.rmSync(dbFile);
+    const resultRecreated = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(resultRecreated.isSuccess, resultRecreated.output);
+    assert.deepEqual(await queryAll(dbFile, `select company_id, value from config where name = 'Company Name'`), [{ company_id: 'demo', value: companyName }]);
+  });
+
+  it('exports each company of auto period for its own books period', async () => {
+    // books of second company begin a year earlier than those of first one
+    const company = mock.getCompany('Demo Services LLP');
+    company.company.books_from = '2023-04-01';
+    company.tables.trn_voucher[0].date = '2023-06-15';
+
+    writeConfig([{ name: companyName, id: 'trading' }, { name: company.company.name, id: 'services' }]);
+    const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(result.isSuccess, result.output);
+    assert.equal(await queryScalar(dbFile, `select count(*) from trn_voucher where company_id = 'services'`), company.tables.trn_voucher.length);
+    assert.deepEqual(await queryAll(dbFile, `select company_id, value from config where name = 'Period From' and company_id in ('services', 'trading') order by company_id`), [
+      { company_id: 'services', value: '2023-04-01' },
+      { company_id: 'trading', value: '2024-04-01' }
+    ]);
+  });
+});
+
+describe('loader resuming interrupted sync of companies', () => {
+  let mock;
+  let workDirectory;
+  const lstCompany = [
+    { name: 'Demo Trading Co', schema: 'trading' },
+    { name: 'Archived Enterprises', schema: 'archived' },
+    { name: 'Demo Services LLP', schema: 'services' }
+  ];
+  const checkpointFile = () => path.join(workDirectory, 'csv', 'checkpoint.json');
+
+  before(async () => {
+    mock = createMockTallyServer({});
+    const port = await mock.listen(0);
+    workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-loader-'));
+    fs.copyFileSync(path.join(rootDirectory, definitionFile), path.join(workDirectory, definitionFile));
+    fs.writeFileSync(path.join(workDirectory, 'config.json'), JSON.stringify({
+      database: { technology: 'sqlite', server: '', port: 0, schema: 'tallydb', ssl: false, username: '', password: '', loadmethod: 'file', swap: false },
+      tally: { definition: definitionFile, server: '127.0.0.1', port, fromdate: 'auto', todate: 'auto', sync: 'full', frequency: 0, company: lstCompany, chunk: 'month' }
+    }, null, 2));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDirectory, { recursive: true, force: true });
+  });
+
+  it('skips only companies synced before interruption and continues interrupted one from its checkpoint', async () => {
+    // company closed in Tally fails in between companies synced successfully
+    let result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(!result.isSuccess);
+    assert.match(result.output, /Archived Enterprises: failed/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(checkpointFile(), 'utf8')).completedCompanies.map(p => p.company), ['Demo Trading Co', 'Demo Services LLP']);
+
+    // Tally keeps returning incomplete response for vouchers of company, after masters were exported
+    mock.setClosed('Archived Enterprises', false);
+    mock.options.truncate = { Voucher: 0 };
+    result = await runLoader(workDirectory, ['--tally-sync', 'full', '--resume']);
+    assert.ok(!result.isSuccess);
+    assert.match(result.output, /Demo Trading Co: skipped/);
+    assert.match(result.output, /Demo Services LLP: skipped/);
+    assert.match(result.output, /Archived Enterprises: failed/);
+    assert.equal(JSON.parse(fs.readFileSync(checkpointFile(), 'utf8')).company, 'Archived Enterprises');
+
+    mock.options.truncate = {};
+    const countRequest = mock.requests.length;
+    result = await runLoader(workDirectory, ['--tally-sync', 'full', '--resume']);
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /Resuming sync from checkpoint/);
+    assert.match(result.output, /saving file mst_ledger.csv \[resumed\]/);
+    assert.match(result.output, /Archived Enterprises: completed/);
+    assert.ok(!mock.requests.slice(countRequest).some(p => p.collection == 'Ledger')); // masters are not exported again
+    assert.ok(!fs.existsSync(checkpointFile()));
+
+    const company = mock.getCompany('Archived Enterprises');
+    assert.equal(await queryScalar(path.join(workDirectory, 'archived.db'), 'select count(*) from mst_ledger'), company.tables.mst_ledger.length);
+    assert.equal(await queryScalar(path.join(workDirectory, 'services.db'), 'select count(*) from trn_voucher'), mock.getCompany('Demo Services LLP').tables.trn_voucher.length);
+  });
+});
+
+describe('loader exporting transactions in date-range windows', () => {
+  let mock;
+  let company;
+  let workDirectory;
+  let dbFile;
+
+  before(async () => {
+    mock = createMockTallyServer({ activeCompany: companyName });
+    const port = await mock.listen(0);
+    company = mock.getCompany(companyName);
+    workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-loader-'));
+    fs.copyFileSync(path.join(rootDirectory, definitionFile), path.join(workDirectory, definitionFile));
+    fs.writeFileSync(path.join(workDirectory, 'config.json'), JSON.stringify({
+      database: { technology: 'sqlite', server: '', port: 0, schema: 'tallydb', ssl: false, username: '', password: '', loadmethod: 'file', swap: false },
+      tally: { definition: definitionFile, server: '127.0.0.1', port, fromdate: 'auto', todate: 'auto', sync: 'full', frequency: 0, company: '', chunk: 'month', timeout: 1 }
+    }, null, 2));
+    dbFile = path.join(workDirectory, 'tallydb.db');
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDirectory, { recursive: true, force: true });
+  });
+
+  it('treats empty response of window without vouchers as zero rows', async () => {
+    mock.options.empty = ['Voucher'];
+    const countRequest = mock.requests.length;
+    const result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    mock.options.empty = [];
+    assert.ok(result.isSuccess, result.output);
+    assert.doesNotMatch(result.output, /incomplete response/);
+    assert.ok(mock.requests.slice(countRequest).some(p => p.collection == 'Voucher' && p.rowCount == 0)); // months without any voucher
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.length);
+  });
+
+  it('aborts window when Tally stops responding and retries it with smaller window', async () => {
+    mock.options.stall = { Voucher: 10 };
+    const countRequest = mock.requests.length;
+    const result = await runLoader(workDirectory, ['--tally-sync', 'full', '--tally-fromdate', '20240401', '--tally-todate', '20240430']);
+    mock.options.stall = {};
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /trn_voucher: incomplete response for 2024-04-01 to 2024-04-30, retrying with week window/);
+    assert.ok(mock.requests.slice(countRequest).some(p => p.collection == 'Voucher' && p.isStalled));
+    assert.equal(await queryScalar(dbFile, 'select count(*) from trn_voucher'), company.tables.trn_voucher.filter(p => p.date <= '2024-04-30').length);
+  });
+});
+
+describe('loader with default export definition', () => {
+  let mock;
+  let company;
+  let workDirectory;
+  const defaultDefinitionFile = 'tally-export-config.yaml';
+
+  before(async () => {
+    mock = createMockTallyServer({ activeCompany: companyName });
+    const port = await mock.listen(0);
+    company = mock.getCompany(companyName);
+    workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-loader-'));
+    fs.copyFileSync(path.join(rootDirectory, defaultDefinitionFile), path.join(workDirectory, defaultDefinitionFile));
+    fs.writeFileSync(path.join(workDirectory, 'config.json'), JSON.stringify({
+      database: { technology: 'sqlite', server: '', port: 0, schema: 'tallydb', ssl: false, username: '', password: '', loadmethod: 'file', swap: false },
+      tally: { definition: defaultDefinitionFile, server: '127.0.0.1', port, fromdate: 'auto', todate: 'auto', sync: 'full', frequency: 0, company: '', chunk: 'none' }
+    }, null, 2));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(workDirectory, { recursive: true, force: true });
+  });
+
+  it('verification compares entries and monthly amount of vouchers without cascade delete in definition', async () => {
+    let result = await runLoader(workDirectory, ['--tally-sync', 'full']);
+    assert.ok(result.isSuccess, result.output);
+    result = await runLoader(workDirectory, ['--verify']);
+    assert.ok(result.isSuccess, result.output);
+    assert.match(result.output, /database matches Tally/);
+
+    let [report] = JSON.parse(fs.readFileSync(path.join(workDirectory, 'verify-report.json'), 'utf8'));
+    assert.deepEqual(report.months, []);
+
+    // credit entry missing in database is traced to its voucher and month
+    const voucher = company.tables.trn_voucher.find(p => p.voucher_type == 'Sales');
+    await execute(path.join(workDirectory, 'tallydb.db'), 'delete from trn_accounting where voucher_guid = ? and amount > 0', [voucher.guid]);
+    result = await runLoader(workDirectory, ['--verify']);
+    assert.ok(!result.isSuccess, result.output);
+
+    [report] = JSON.parse(fs.readFileSync(path.join(workDirectory, 'verify-report.json'), 'utf8'));
+    assert.deepEqual(report.tables.find(p => p.table == 'trn_accounting').different, [voucher.guid]);
+    const amount = company.tables.trn_accounting.filter(p => p.guid == voucher.guid && p.amount > 0).reduce((total, p) => total + p.amount, 0);
+    const [itemMonth] = report.months;
+    assert.equal(itemMonth.month, voucher.date.substring(0, 7));
+    assert.equal(itemMonth.tally.amount - itemMonth.database.amount, amount);
+  });
+});
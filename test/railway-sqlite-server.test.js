@@ -0,0 +1,805 @@
+/**
+ * API tests of Railway SQLite server against in-memory SQLite database
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { signJWT } from '../server-auth.js';
+import { loadMasterCatalog } from '../tally-writer.js';
+
+const companyId = '11111111-1111-1111-1111-111111111111';
+const divisionId = '22222222-2222-2222-2222-222222222222';
+const otherDivisionId = '33333333-3333-3333-3333-333333333333';
+const adminKey = 'test-admin-key';
+const jwtSecret = 'test-jwt-secret';
+
+function voucherRow(guid, voucherNumber, props = {}) {
+  return { guid, date: '2024-04-18', voucher_type: 'Sales', voucher_number: voucherNumber, party_name: 'Mehta & Sons', amount: 11800, company_id: companyId, division_id: divisionId, ...props };
+}
+
+function accountingRow(guid, voucherGuid, ledger, amount) {
+  return { guid, voucher_guid: voucherGuid, ledger, amount, company_id: companyId, division_id: divisionId };
+}
+
+describe('railway-sqlite-server API', () => {
+  let app;
+  let db;
+
+  before(async () => {
+    // environment is read by server module on import
+    process.env.DB_PATH = ':memory:';
+    process.env.NODE_ENV = 'test';
+    process.env.QUEUE_MAX_ATTEMPTS = '2';
+    process.env.ADMIN_API_KEY = adminKey;
+    process.env.JWT_SECRET = jwtSecret;
+    console.log = () => { }; // server logs every batch, which garbles test runner output
+    const server = await import('../railway-sqlite-server.js');
+    await server.ready;
+    ({ app, db } = server);
+  });
+
+  after(() => new Promise((resolve) => db.close(() => resolve())));
+
+  // requests are made as admin, unless credentials are given
+  function api(headers = { 'X-API-Key': adminKey }) {
+    return request.agent(app).set(headers);
+  }
+
+  function bulkSync(table, data, props = {}, division = divisionId) {
+    return api().post(`/api/v1/bulk-sync/${companyId}/${division}`).send({ table, data, ...props });
+  }
+
+  function query(sql, params = []) {
+    return api().post('/api/v1/execute-sql').send({ sql, params });
+  }
+
+  it('reports health', async () => {
+    const res = await api().get('/api/v1/health').expect(200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.database, ':memory:');
+  });
+
+  it('full sync inserts records into mapped tables', async () => {
+    const res = await bulkSync('vouchers', [voucherRow('v1', '1'), voucherRow('v2', '2'), voucherRow('v3', '3')], { sync_type: 'full' }).expect(200);
+    assert.equal(res.body.success, true);
+    assert.deepEqual({ processed: res.body.data.processed, failed: res.body.data.failed, sync_type: res.body.data.sync_type }, { processed: 3, failed: 0, sync_type: 'full' });
+
+    await bulkSync('accounting_entries', [
+      accountingRow('a1', 'v1', 'Mehta & Sons', -11800),
+      accountingRow('a2', 'v1', 'Sales Account', 11800),
+      accountingRow('a3', 'v2', 'Mehta & Sons', -5900),
+      accountingRow('a4', 'v2', 'Sales Account', 5900)
+    ]).expect(200);
+
+    const resQuery = await query('select count(*) as c from trn_voucher where company_id = ?', [companyId]).expect(200);
+    assert.equal(resQuery.body.data[0].c, 3);
+  });
+
+  it('incremental sync updates existing records without duplicating them', async () => {
+    const res = await bulkSync('vouchers', [voucherRow('v2', '2', { narration: 'Revised rate' }), voucherRow('v4', '4')], { sync_type: 'incremental' }).expect(200);
+    assert.equal(res.body.data.processed, 2);
+    assert.equal(res.body.data.sync_type, 'incremental');
+
+    const resQuery = await query('select guid, narration from trn_voucher order by guid').expect(200);
+    assert.deepEqual(resQuery.body.data.map(p => p.guid), ['v1', 'v2', 'v3', 'v4']);
+    assert.equal(resQuery.body.data[1].narration, 'Revised rate');
+
+    const resMeta = await query('select sync_type, records_processed from sync_metadata where company_id = ? and division_id = ? and table_name = ?', [companyId, divisionId, 'vouchers']).expect(200);
+    assert.deepEqual(resMeta.body.data, [{ sync_type: 'incremental', records_processed: 2 }]);
+  });
+
+  it('renumbered vouchers are overwritten by guid', async () => {
+    // back-dated voucher inserted in Tally shifts numbers of subsequent vouchers
+    await bulkSync('vouchers', [voucherRow('v5', '2', { date: '2024-04-20' }), voucherRow('v2', '3'), voucherRow('v3', '4'), voucherRow('v4', '5')]).expect(200);
+
+    const resQuery = await query(`select guid, voucher_number from trn_voucher order by cast(voucher_number as integer)`).expect(200);
+    assert.deepEqual(resQuery.body.data, [
+      { guid: 'v1', voucher_number: '1' },
+      { guid: 'v5', voucher_number: '2' },
+      { guid: 'v2', voucher_number: '3' },
+      { guid: 'v3', voucher_number: '4' },
+      { guid: 'v4', voucher_number: '5' }
+    ]);
+  });
+
+  it('deleted vouchers are removed along with their entries', async () => {
+    await api().post('/api/v1/execute-sql').send({ sql: 'delete from trn_accounting where voucher_guid = ?', params: ['v2'] }).expect(200);
+    const res = await api().post('/api/v1/execute-sql').send({ sql: 'delete from trn_voucher where guid = ?', params: ['v2'] }).expect(200);
+    assert.equal(res.body.data.changes, 1);
+
+    const resQuery = await query('select count(*) as c from trn_accounting where voucher_guid = ?', ['v2']).expect(200);
+    assert.equal(resQuery.body.data[0].c, 0);
+  });
+
+  it('metadata counts records of company and division', async () => {
+    await bulkSync('ledgers', [{ guid: 'l1', name: 'Cash', parent: 'Cash-in-Hand', company_id: companyId, division_id: otherDivisionId }], {}, otherDivisionId).expect(200);
+
+    const res = await api().get(`/api/v1/metadata/${companyId}/${divisionId}`).expect(200);
+    assert.equal(res.body.data.tables.trn_voucher, 4);
+    assert.equal(res.body.data.tables.trn_accounting, 2);
+    assert.equal(res.body.data.tables.mst_ledger, 0);
+
+    const resOther = await api().get(`/api/v1/metadata/${companyId}/${otherDivisionId}`).expect(200);
+    assert.equal(resOther.body.data.tables.mst_ledger, 1);
+  });
+
+  it('keeps rows of same guid synced by another company apart', async () => {
+    const otherCompanyId = '44444444-4444-4444-4444-444444444444';
+    const syncOther = (table, data, props = {}) => api().post(`/api/v1/bulk-sync/${otherCompanyId}/${divisionId}`).send({ table, data, ...props });
+
+    await bulkSync('units', [{ guid: 'u1', name: 'Nos', alterid: 5 }]).expect(200);
+    let res = await syncOther('units', [{ guid: 'u1', name: 'Pcs', alterid: 3 }]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, stale: res.body.data.stale }, { processed: 1, stale: 0 }); // AlterID is compared within company only
+    res = await query('select company_id, name from mst_uom where guid = ? order by company_id', ['u1']).expect(200);
+    assert.deepEqual(res.body.data, [{ company_id: companyId, name: 'Nos' }, { company_id: otherCompanyId, name: 'Pcs' }]);
+
+    // entries of voucher aggregate too
+    await syncOther('vouchers', [{ ...voucherRow('v1', '1', { company_id: otherCompanyId }), accounting_entries: [{ guid: 'a1', ledger: 'Cash', amount: 500 }] }], { mode: 'aggregate' }).expect(200);
+    res = await query(`select count(*) as c from trn_accounting where guid = 'a1'`).expect(200);
+    assert.equal(res.body.data[0].c, 2);
+    res = await query(`select voucher_number, amount from trn_voucher where guid = 'v1' and company_id = ?`, [companyId]).expect(200);
+    assert.deepEqual(res.body.data, [{ voucher_number: '1', amount: 11800 }]);
+
+    await query('delete from trn_accounting where company_id = ?', [otherCompanyId]).expect(200);
+    await query('delete from trn_voucher where company_id = ?', [otherCompanyId]).expect(200);
+  });
+
+  it('bulk sync rejects invalid payload and unknown table', async () => {
+    let res = await bulkSync('vouchers', 'not an array').expect(400);
+    assert.equal(res.body.success, false);
+
+    res = await bulkSync('payroll', [voucherRow('v9', '9')]).expect(400);
+    assert.match(res.body.error, /Unknown table: payroll/);
+  });
+
+  it('bulk sync counts failed batches without aborting', async () => {
+    const res = await bulkSync('vouchers', [{ guid: 'v9', no_such_column: 1 }]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, failed: res.body.data.failed }, { processed: 0, failed: 1 });
+  });
+
+  it('bulk sync coerces values by field type and rejects invalid rows only', async () => {
+    const res = await bulkSync('vouchers', [
+      { guid: 'v10', date: '20240420', voucher_type: 'Sales', voucher_number: 10, amount: '1,180.50', is_invoice: 'Yes' },
+      { guid: 'v11', date: '21-Apr-2024', voucher_type: 'Sales', narration: 'no amount', is_invoice: false },
+      { guid: 'v12', date: '2024-02-30', voucher_type: 'Sales' },
+      { guid: 'v13', amount: 'ten', no_such_column: 1 },
+      { voucher_type: 'Sales' },
+      'not a record'
+    ]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, failed: res.body.data.failed }, { processed: 2, failed: 4 });
+    assert.deepEqual(res.body.data.errors, [
+      { index: 2, guid: 'v12', error: 'Invalid date for column date: "2024-02-30"' },
+      { index: 3, guid: 'v13', error: 'Unknown column(s): no_such_column' },
+      { index: 4, guid: null, error: 'Missing guid' },
+      { index: 5, guid: null, error: 'Record is not an object' }
+    ]);
+
+    const resQuery = await query(`select guid, date, voucher_number, amount, is_invoice, narration, company_id from trn_voucher where guid in ('v10', 'v11') order by guid`).expect(200);
+    assert.deepEqual(resQuery.body.data, [
+      { guid: 'v10', date: '2024-04-20', voucher_number: '10', amount: 1180.5, is_invoice: 1, narration: '', company_id: companyId },
+      { guid: 'v11', date: '2024-04-21', voucher_number: '', amount: 0, is_invoice: 0, narration: 'no amount', company_id: companyId }
+    ]);
+    await api().post('/api/v1/execute-sql').send({ sql: `delete from trn_voucher where guid in ('v10', 'v11')` }).expect(200);
+  });
+
+  it('accepts tables of export definition by their name', async () => {
+    let res = await bulkSync('trn_bill', [
+      { guid: 'v1', ledger: 'Mehta & Sons', name: 'INV-1', amount: -11800, billtype: 'New Ref', company_id: companyId, division_id: divisionId },
+      { guid: 'v1', ledger: 'Mehta & Sons', name: 'INV-0', amount: 500, billtype: 'Agst Ref', company_id: companyId, division_id: divisionId }
+    ]).expect(200);
+    assert.equal(res.body.data.processed, 2);
+    await bulkSync('mst_employee', [{ guid: 'e1', alterid: 3, name: 'Ravi', date_of_joining: '2023-06-01', company_id: companyId, division_id: divisionId }]).expect(200);
+
+    res = await query('select name, amount, source from trn_bill order by name').expect(200);
+    assert.deepEqual(res.body.data, [{ name: 'INV-0', amount: 500, source: 'tally' }, { name: 'INV-1', amount: -11800, source: 'tally' }]);
+    res = await api().get(`/api/v1/metadata/${companyId}/${divisionId}`).expect(200);
+    assert.deepEqual({ trn_bill: res.body.data.tables.trn_bill, mst_employee: res.body.data.tables.mst_employee }, { trn_bill: 2, mst_employee: 1 });
+    assert.equal(res.body.data.alter_ids.mst_employee, 3);
+    await api().post(`/api/v1/delete-records/${companyId}/${divisionId}`).send({ table: 'trn_bill', guids: ['v1'] }).expect(200);
+  });
+
+  it('execute-sql requires sql, reports SQL errors and audits every statement', async () => {
+    await query('').expect(400);
+    const res = await query('select * from no_such_table').expect(500);
+    assert.match(res.body.error, /no such table/);
+    await query('update trn_voucher set narration = ? where guid = ?', ['audited', 'no-such-guid']).expect(200);
+
+    const resAudit = await api().get('/api/v1/sql-audit?limit=2').expect(200);
+    assert.deepEqual(resAudit.body.data.map(p => ({ principal: p.principal, sql: p.sql, params: p.params, status: p.status, rows_changed: p.rows_changed, error: p.error_message })), [
+      { principal: 'admin_key', sql: 'update trn_voucher set narration = ? where guid = ?', params: ['audited', 'no-such-guid'], status: 'success', rows_changed: 0, error: null },
+      { principal: 'admin_key', sql: 'select * from no_such_table', params: [], status: 'error', rows_changed: null, error: 'SQLITE_ERROR: no such table: no_such_table' }
+    ]);
+    await api().post('/api/v1/query').send({ sql: 'select 1' }).expect(410);
+  });
+
+  it('structured query reads filtered page of table within company & division', async () => {
+    const structuredQuery = (body, division = divisionId) => api().post(`/api/v1/query/${companyId}/${division}`).send(body);
+    let res = await structuredQuery({ table: 'vouchers', columns: ['guid', 'voucher_number', 'amount'], filters: [{ column: 'date', op: 'gte', value: '20240401' }, { column: 'voucher_type', value: 'Sales' }], sort: ['-voucher_number'], limit: 2 }).expect(200);
+    assert.deepEqual(res.body.data.map(p => p.voucher_number), ['5', '4']);
+    assert.deepEqual(res.body.pagination, { limit: 2, offset: 0, total: 4, has_more: true });
+
+    res = await structuredQuery({ table: 'vouchers', columns: ['guid'], filters: { guid: ['v1', 'v2', 'v3'] }, sort: [{ column: 'guid', direction: 'asc' }], offset: 1 }).expect(200);
+    assert.deepEqual(res.body.data, [{ guid: 'v3' }]);
+    assert.equal(res.body.pagination.has_more, false);
+
+    res = await structuredQuery({ table: 'ledgers', columns: ['guid', 'company_id'] }, otherDivisionId).expect(200);
+    assert.deepEqual(res.body.data, [{ guid: 'l1', company_id: companyId }]);
+
+    res = await structuredQuery({ table: 'vouchers', columns: ['guid', 'password'] }).expect(400);
+    assert.equal(res.body.error, 'Unknown column of trn_voucher: password');
+    res = await structuredQuery({ table: 'vouchers', filters: [{ column: 'amount', op: 'gt', value: 'x' }] }).expect(400);
+    assert.equal(res.body.error, 'Invalid amount for column amount: "x"');
+    res = await structuredQuery({ table: 'vouchers', filters: [{ column: 'guid', op: 'drop' }] }).expect(400);
+    assert.equal(res.body.error, 'Unknown operator: drop');
+    await structuredQuery({ table: 'vouchers', sort: ['guid; drop table trn_voucher'] }).expect(400);
+    await structuredQuery({ table: 'vouchers', limit: 5000 }).expect(400);
+    await structuredQuery({ table: 'sync_queue' }).expect(400);
+  });
+
+  it('serves master catalog of tally-writer through structured query', async () => {
+    const server = app.listen(0);
+    try {
+      const catalog = await loadMasterCatalog(`http://localhost:${server.address().port}`, companyId, otherDivisionId, adminKey);
+      assert.deepEqual(catalog.mst_ledger, ['Cash']);
+      assert.deepEqual(catalog.mst_godown, []);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('lists masters and vouchers through resource routes with cursor pagination', async () => {
+    const resourceDivisionId = '55555555-5555-5555-5555-555555555555';
+    const url = (resource) => `/api/v1/${resource}/${companyId}/${resourceDivisionId}`;
+    const startedAt = new Date(Date.now() - 1000).toISOString();
+    await bulkSync('ledgers', ['Cash', 'Bank', 'Sales', 'Purchase', 'Rent'].map((name, i) => ({ guid: `rl${i}`, alterid: i + 1, name, parent: 'Primary' })), {}, resourceDivisionId).expect(200);
+
+    let res = await api().get(url('masters/ledgers')).query({ fields: 'guid,name', limit: 2 }).expect(200);
+    assert.deepEqual(res.body.data.records, [{ guid: 'rl1', name: 'Bank' }, { guid: 'rl0', name: 'Cash' }]);
+    const names = res.body.data.records.map(p => p.name);
+    while (res.body.data.has_more) {
+      res = await api().get(url('masters/ledgers')).query({ fields: 'name', limit: 2, cursor: res.body.data.next_cursor }).expect(200);
+      names.push(...res.body.data.records.map(p => p.name));
+    }
+    assert.deepEqual(names, ['Bank', 'Cash', 'Purchase', 'Rent', 'Sales']);
+    assert.equal(res.body.data.next_cursor, null);
+
+    res = await api().get(url('masters/ledgers')).query({ fields: 'name,alterid', alterid_gt: 3 }).expect(200);
+    assert.deepEqual(res.body.data.records, [{ name: 'Purchase', alterid: 4 }, { name: 'Rent', alterid: 5 }]);
+    res = await api().get(url('masters/ledgers')).query({ updated_since: startedAt }).expect(200);
+    assert.equal(res.body.data.count, 5);
+    res = await api().get(url('masters/ledgers')).query({ updated_since: new Date(Date.now() + 60000).toISOString() }).expect(200);
+    assert.equal(res.body.data.count, 0);
+
+    await bulkSync('vouchers', [
+      { guid: 'rv1', date: '2024-04-01', voucher_type: 'Sales', voucher_number: '1' },
+      { guid: 'rv2', date: '2024-04-15', voucher_type: 'Purchase', voucher_number: '1' },
+      { guid: 'rv3', date: '2024-05-02', voucher_type: 'Sales', voucher_number: '2' },
+      { guid: 'rv4', date: '2024-05-20', voucher_type: 'Receipt', voucher_number: '1' }
+    ], {}, resourceDivisionId).expect(200);
+    res = await api().get(url('vouchers')).query({ from_date: '2024-04-10', to_date: '20240531', voucher_type: 'Sales,Receipt', fields: 'guid,date' }).expect(200);
+    assert.deepEqual(res.body.data.records, [{ guid: 'rv3', date: '2024-05-02' }, { guid: 'rv4', date: '2024-05-20' }]);
+    res = await api().get(url('vouchers')).query({ order: 'desc', limit: 1, fields: 'guid' }).expect(200);
+    assert.deepEqual(res.body.data.records, [{ guid: 'rv4' }]);
+    res = await api().get(url('vouchers')).query({ order: 'desc', limit: 1, fields: 'guid', cursor: res.body.data.next_cursor }).expect(200);
+    assert.deepEqual(res.body.data.records, [{ guid: 'rv3' }]);
+
+    await api().get(url('masters/payroll')).expect(404);
+    res = await api().get(url('masters/ledgers')).query({ fields: 'guid,password' }).expect(400);
+    assert.equal(res.body.error, 'Unknown column of mst_ledger: password');
+    await api().get(url('masters/ledgers')).query({ cursor: 'not-a-cursor' }).expect(400);
+    await api().get(url('vouchers')).query({ from_date: '2024-13-01' }).expect(400);
+    await api().get(`/api/v1/vouchers/${companyId}/${resourceDivisionId}`).set('X-API-Key', 'tsk_no-such-key').expect(401);
+  });
+
+  it('assembles voucher graph with entries, allocations, party and godowns', async () => {
+    const graphDivisionId = '66666666-6666-6666-6666-666666666666';
+    const sync = (table, data) => bulkSync(table, data, {}, graphDivisionId).expect(200);
+    await sync('ledgers', [{ guid: 'gl1', name: 'Mehta & Sons', parent: 'Sundry Debtors', gstn: '27AAACM1234A1Z5' }]);
+    await sync('godowns', [{ guid: 'gg1', name: 'Main Location' }, { guid: 'gg2', name: 'Warehouse' }]);
+    await sync('vouchers', [{ guid: 'gv1', date: '2024-04-18', voucher_type: 'Sales', voucher_number: '1', party_name: 'Mehta & Sons', amount: 11800 }]);
+    await sync('accounting_entries', [
+      { guid: 'ga1', voucher_guid: 'gv1', ledger: 'Mehta & Sons', amount: -11800 },
+      { guid: 'ga2', voucher_guid: 'gv1', ledger: 'IGST', amount: 1800 }
+    ]);
+    await sync('inventory_entries', [{ guid: 'gi1', voucher_guid: 'gv1', item: 'Widget', quantity: -10, rate: 1000, amount: 10000, godown: 'Main Location' }]);
+    await sync('trn_bill', [{ guid: 'gv1', ledger: 'Mehta & Sons', name: 'INV-1', amount: -11800, billtype: 'New Ref' }]);
+    await sync('trn_batch', [{ guid: 'gv1', item: 'Widget', name: 'Primary Batch', quantity: -10, amount: 10000, godown: 'Main Location' }]);
+    await sync('trn_cost_centre', [{ guid: 'gv1', ledger: 'IGST', costcentre: 'Mumbai', amount: 1800 }]);
+    await sync('trn_inventory_accounting', [{ guid: 'gv1', ledger: 'Sales Account', amount: 10000 }]);
+
+    const res = await api().get(`/api/v1/vouchers/${companyId}/${graphDivisionId}/gv1`).expect(200);
+    const { voucher, party, ledger_entries, inventory_entries, inventory_ledger_entries, godowns } = res.body.data;
+    assert.equal(voucher.voucher_number, '1');
+    assert.equal(party.gstn, '27AAACM1234A1Z5');
+    assert.deepEqual(ledger_entries.map(p => ({ ledger: p.ledger, bills: p.bill_allocations.map(q => q.name), cost_centres: p.cost_centre_allocations.map(q => q.costcentre), banks: p.bank_allocations.length })), [
+      { ledger: 'Mehta & Sons', bills: ['INV-1'], cost_centres: [], banks: 0 },
+      { ledger: 'IGST', bills: [], cost_centres: ['Mumbai'], banks: 0 }
+    ]);
+    assert.deepEqual(inventory_entries.map(p => ({ item: p.item, batches: p.batch_allocations.map(q => q.name) })), [{ item: 'Widget', batches: ['Primary Batch'] }]);
+    assert.deepEqual(inventory_ledger_entries.map(p => p.ledger), ['Sales Account']);
+    assert.deepEqual(godowns.map(p => p.guid), ['gg1']);
+
+    await api().get(`/api/v1/vouchers/${companyId}/${graphDivisionId}/no-such-guid`).expect(404);
+    await api().get(`/api/v1/vouchers/${companyId}/${divisionId}/gv1`).expect(404);
+  });
+
+  describe('financial reports', () => {
+    const reportDivisionId = '77777777-7777-7777-7777-777777777777';
+    const report = (name, params = {}) => api().get(`/api/v1/reports/${name}/${companyId}/${reportDivisionId}`).query({ from_date: '2024-04-01', to_date: '2024-04-30', ...params });
+    const rows = async (name, params) => (await report(name, params).expect(200)).body.data.rows;
+
+    before(async () => {
+      const sync = (table, data) => bulkSync(table, data, {}, reportDivisionId).expect(200);
+      await sync('groups', [
+        { guid: 'rg1', name: 'Sundry Debtors', primary_group: 'Sundry Debtors' },
+        { guid: 'rg2', name: 'Retail Debtors', parent: 'Sundry Debtors', primary_group: 'Sundry Debtors' },
+        { guid: 'rg3', name: 'Sales Accounts', primary_group: 'Sales Accounts', is_revenue: 1, affects_gross_profit: 1 },
+        { guid: 'rg4', name: 'Cash-in-Hand', primary_group: 'Cash-in-Hand' }
+      ]);
+      await sync('ledgers', [
+        { guid: 'rl1', name: 'Mehta & Sons', parent: 'Retail Debtors', opening_balance: -1000, gstn: '27AAACM1234A1Z5' },
+        { guid: 'rl2', name: 'Sales Account', parent: 'Sales Accounts', is_revenue: 1 },
+        { guid: 'rl3', name: 'Cash', parent: 'Cash-in-Hand', opening_balance: -500 }
+      ]);
+      await sync('voucher_types', [{ guid: 'rt1', name: 'Sales', parent: 'Sales' }, { guid: 'rt2', name: 'Receipt', parent: 'Receipt' }]);
+      await sync('stock_items', [{ guid: 'rs1', name: 'Widget', uom: 'Nos', opening_balance: 5 }]);
+      await sync('vouchers', [
+        { guid: 'rv1', date: '2024-03-30', voucher_type: 'Sales', voucher_number: '1', party_name: 'Mehta & Sons', is_accounting_voucher: 1 },
+        { guid: 'rv2', date: '2024-04-10', voucher_type: 'Sales', voucher_number: '2', party_name: 'Mehta & Sons', is_accounting_voucher: 1 },
+        { guid: 'rv3', date: '2024-04-15', voucher_type: 'Receipt', voucher_number: '1', party_name: 'Mehta & Sons', narration: 'Part payment, "cheque"', is_accounting_voucher: 1 }
+      ]);
+      await sync('accounting_entries', [
+        { guid: 'ra1', voucher_guid: 'rv1', ledger: 'Mehta & Sons', amount: -1000 },
+        { guid: 'ra2', voucher_guid: 'rv1', ledger: 'Sales Account', amount: 1000 },
+        { guid: 'ra3', voucher_guid: 'rv2', ledger: 'Mehta & Sons', amount: -2000 },
+        { guid: 'ra4', voucher_guid: 'rv2', ledger: 'Sales Account', amount: 2000 },
+        { guid: 'ra5', voucher_guid: 'rv3', ledger: 'Cash', amount: -1500 },
+        { guid: 'ra6', voucher_guid: 'rv3', ledger: 'Mehta & Sons', amount: 1500 }
+      ]);
+      await sync('inventory_entries', [{ guid: 'ri1', voucher_guid: 'rv2', item: 'Widget', quantity: -2, amount: 2000 }]);
+      await sync('trn_bill', [
+        { guid: 'rv1', ledger: 'Mehta & Sons', name: 'INV-1', amount: -1000, billtype: 'New Ref', bill_credit_period: 30 },
+        { guid: 'rv2', ledger: 'Mehta & Sons', name: 'INV-2', amount: -2000, billtype: 'New Ref' },
+        { guid: 'rv3', ledger: 'Mehta & Sons', name: 'INV-1', amount: 1000, billtype: 'Agst Ref' },
+        { guid: 'rv3', ledger: 'Mehta & Sons', name: 'INV-2', amount: 500, billtype: 'Agst Ref' }
+      ]);
+    });
+
+    it('lists reports with their parameters', async () => {
+      const res = await api().get('/api/v1/reports').expect(200);
+      assert.deepEqual(res.body.data.find(p => p.name === 'account-ledger').params, ['from_date', 'to_date', 'ledger']);
+    });
+
+    it('computes trial balance and profit & loss for period', async () => {
+      assert.deepEqual(await rows('trial-balance'), [
+        { ledger: 'Cash', parent: 'Cash-in-Hand', opening: -500, debit: 1500, credit: 0, closing: -2000 },
+        { ledger: 'Mehta & Sons', parent: 'Retail Debtors', opening: -2000, debit: 2000, credit: 1500, closing: -2500 },
+        { ledger: 'Sales Account', parent: 'Sales Accounts', opening: 0, debit: 0, credit: 2000, closing: 2000 }
+      ]);
+      assert.deepEqual((await rows('trial-balance', { group: 'Sundry Debtors' })).map(p => p.ledger), ['Mehta & Sons']);
+      assert.deepEqual(await rows('profit-loss'), [
+        { group: 'Sales Accounts', ledger: 'Sales Account', nature: 'income', affects_gross_profit: 'Y', balance: 2000 },
+        { group: 'Opening Stock', ledger: 'Opening Stock', nature: 'expense', affects_gross_profit: 'Y', balance: 0 },
+        { group: 'Closing Stock', ledger: 'Closing Stock', nature: 'income', affects_gross_profit: 'Y', balance: 0 }
+      ]);
+    });
+
+    it('lists account ledger, pending bills, sales register and stock summary', async () => {
+      assert.deepEqual(await rows('account-ledger', { ledger: 'Mehta & Sons' }), [
+        { date: '2024-04-10', voucher_number: '2', voucher_type: 'Sales', ledgers: 'Sales Account', debit: 2000, credit: 0, narration: '' },
+        { date: '2024-04-15', voucher_number: '1', voucher_type: 'Receipt', ledgers: 'Cash', debit: 0, credit: 1500, narration: 'Part payment, "cheque"' }
+      ]);
+      assert.deepEqual(await rows('bills-receivable'), [
+        { date: '2024-04-10', ref_number: 'INV-2', party_name: 'Mehta & Sons', pending_amount: 1500, due_on: '2024-04-10', overdue_by_days: 20 }
+      ]);
+      assert.deepEqual(await rows('bills-payable'), []);
+      assert.deepEqual(await rows('sales-register', { group: 'Sundry Debtors' }), [
+        { date: '2024-04-10', voucher_number: '2', voucher_type: 'Sales', party_name: 'Mehta & Sons', gstn: '27AAACM1234A1Z5', ledger: 'Sales Account', amount: 2000 }
+      ]);
+      assert.deepEqual(await rows('sales-register', { ledger: 'Cash' }), []);
+      assert.deepEqual(await rows('stock-summary'), [
+        { name: 'Widget', parent: '', uom: 'Nos', op_qty: 5, in_qty: 0, out_qty: 2, clo_bal: 3 }
+      ]);
+    });
+
+    it('renders report as CSV', async () => {
+      const res = await report('account-ledger', { ledger: 'Mehta & Sons', format: 'csv' }).expect(200);
+      assert.match(res.headers['content-type'], /^text\/csv/);
+      assert.match(res.headers['content-disposition'], /account-ledger\.csv/);
+      assert.equal(res.text, 'date,voucher_number,voucher_type,ledgers,debit,credit,narration\r\n'
+        + '2024-04-10,2,Sales,Sales Account,2000,0,\r\n'
+        + '2024-04-15,1,Receipt,Cash,0,1500,"Part payment, ""cheque"""\r\n');
+    });
+
+    it('refuses unknown report and invalid parameters', async () => {
+      await report('balance-sheet').expect(404);
+      assert.equal((await report('account-ledger').expect(400)).body.error, 'Parameter ledger is required for account-ledger');
+      assert.equal((await report('trial-balance', { item: 'Widget' }).expect(400)).body.error, 'Unsupported parameter of trial-balance: item');
+      await report('trial-balance', { from_date: '2024-05-01' }).expect(400);
+      await report('trial-balance', { format: 'xlsx' }).expect(400);
+    });
+  });
+
+  it('skips rows older than stored ones by alterid', async () => {
+    const ledger = (alterid, parent) => ({ guid: 'l2', alterid, name: 'Mehta & Sons', parent, company_id: companyId, division_id: divisionId });
+    let res = await bulkSync('ledgers', [ledger(5, 'Sundry Debtors')]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, stale: res.body.data.stale, high_water_mark: res.body.data.high_water_mark }, { processed: 1, stale: 0, high_water_mark: 5 });
+
+    // earlier snapshot pushed by another client arrives late
+    res = await bulkSync('ledgers', [ledger(3, 'Sundry Creditors')]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, stale: res.body.data.stale, high_water_mark: res.body.data.high_water_mark }, { processed: 0, stale: 1, high_water_mark: 5 });
+
+    // retry of same snapshot is applied again
+    res = await bulkSync('ledgers', [ledger(5, 'Sundry Debtors'), ledger(7, 'Loans & Advances (Asset)')]).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, stale: res.body.data.stale, high_water_mark: res.body.data.high_water_mark }, { processed: 2, stale: 0, high_water_mark: 7 });
+
+    const resQuery = await query('select alterid, parent from mst_ledger where guid = ?', ['l2']).expect(200);
+    assert.deepEqual(resQuery.body.data, [{ alterid: 7, parent: 'Loans & Advances (Asset)' }]);
+
+    const resMeta = await api().get(`/api/v1/metadata/${companyId}/${divisionId}`).expect(200);
+    assert.equal(resMeta.body.data.alter_ids.mst_ledger, 7);
+    assert.equal(resMeta.body.data.last_alter_id_master, 7);
+    assert.equal(resMeta.body.data.last_alter_id_transaction, 0);
+  });
+
+  it('aggregate mode replaces voucher along with its entries', async () => {
+    const aggregate = (alterid, lstEntry, props = {}) => ({ ...voucherRow('v7', '7', { alterid }), accounting_entries: lstEntry, ...props });
+    const entries = async (division = divisionId) => (await query('select guid, amount from trn_accounting where voucher_guid = ? and division_id = ? order by guid', ['v7', division]).expect(200)).body.data;
+
+    let res = await bulkSync('vouchers', [aggregate(10, [accountingRow('a71', 'v7', 'Mehta & Sons', -11800), accountingRow('a72', 'v7', 'Sales Account', 10000), accountingRow('a73', 'v7', 'IGST', 1800)])], { mode: 'aggregate' }).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, accounting_entries: res.body.data.entries.accounting_entries, inventory_entries: res.body.data.entries.inventory_entries }, { processed: 1, accounting_entries: 3, inventory_entries: 0 });
+
+    // entries of voucher with same GUID in other division are left as is
+    await bulkSync('accounting_entries', [{ ...accountingRow('a79', 'v7', 'Cash', 500), division_id: otherDivisionId }], {}, otherDivisionId).expect(200);
+
+    // voucher altered in Tally with fewer ledger lines, entries are sent without voucher_guid & company
+    res = await bulkSync('vouchers', [aggregate(12, [{ guid: 'a71', ledger: 'Mehta & Sons', amount: -10000 }, { guid: 'a72', ledger: 'Sales Account', amount: 10000 }])], { mode: 'aggregate' }).expect(200);
+    assert.equal(res.body.data.processed, 1);
+    assert.deepEqual(await entries(), [{ guid: 'a71', amount: -10000 }, { guid: 'a72', amount: 10000 }]);
+
+    // stale aggregate leaves entries untouched
+    res = await bulkSync('vouchers', [aggregate(11, [])], { mode: 'aggregate' }).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, stale: res.body.data.stale }, { processed: 0, stale: 1 });
+    assert.equal((await entries()).length, 2);
+    assert.deepEqual(await entries(otherDivisionId), [{ guid: 'a79', amount: 500 }]);
+    await query('delete from trn_accounting where guid = ?', ['a79']).expect(200);
+  });
+
+  it('aggregate mode accepts table name of vouchers and replaces every child table of voucher', async () => {
+    const aggregate = (alterid, lstBill) => ({ ...voucherRow('v9', '9', { alterid }), accounting_entries: [accountingRow('a91', 'v9', 'Mehta & Sons', -100), accountingRow('a92', 'v9', 'Sales Account', 100)], trn_bill: lstBill });
+    const bills = async () => (await query('select guid, name, amount from trn_bill where guid = ? order by name', ['v9']).expect(200)).body.data;
+
+    let res = await bulkSync('trn_voucher', [aggregate(1, [{ name: 'INV-9', amount: 100 }, { name: 'ADV-9', amount: -20 }])], { mode: 'aggregate' }).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, accounting_entries: res.body.data.entries.accounting_entries, trn_bill: res.body.data.entries.trn_bill }, { processed: 1, accounting_entries: 2, trn_bill: 2 });
+    assert.deepEqual(await bills(), [{ guid: 'v9', name: 'ADV-9', amount: -20 }, { guid: 'v9', name: 'INV-9', amount: 100 }]);
+
+    // bill allocation removed from voucher in Tally
+    res = await bulkSync('trn_voucher', [aggregate(2, [{ name: 'INV-9', amount: 100 }])], { mode: 'aggregate' }).expect(200);
+    assert.equal(res.body.data.processed, 1);
+    assert.deepEqual(await bills(), [{ guid: 'v9', name: 'INV-9', amount: 100 }]);
+
+    res = await api().post(`/api/v1/delete-records/${companyId}/${divisionId}`).send({ table: 'vouchers', guids: ['v9'] }).expect(200);
+    assert.deepEqual([res.body.data.deleted, res.body.data.cascaded.trn_accounting, res.body.data.cascaded.trn_bill], [1, 2, 1]);
+  });
+
+  it('aggregate mode rejects invalid aggregate leaving rest of batch', async () => {
+    const res = await bulkSync('vouchers', [
+      { ...voucherRow('v7', '7', { alterid: 13 }), accounting_entries: [{ guid: 'a71', ledger: 'Mehta & Sons', amount: '-10,000' }, { guid: 'a72', ledger: 'Sales Account', amount: 10000 }] },
+      { ...voucherRow('v8', '8'), accounting_entries: [{ guid: 'a81', ledger: 'Cash', no_such_column: 1 }] }
+    ], { mode: 'aggregate' }).expect(200);
+    assert.deepEqual({ processed: res.body.data.processed, failed: res.body.data.failed }, { processed: 1, failed: 1 });
+    assert.deepEqual(res.body.data.errors, [{ index: 1, guid: 'v8', error: 'accounting_entries[0]: Unknown column(s): no_such_column' }]);
+
+    const resQuery = await query(`select guid, alterid, (select sum(amount) from trn_accounting where voucher_guid = v.guid) as amount from trn_voucher v where guid in ('v7', 'v8')`).expect(200);
+    assert.deepEqual(resQuery.body.data, [{ guid: 'v7', alterid: 13, amount: 0 }]);
+
+    await bulkSync('ledgers', [], { mode: 'aggregate' }).expect(400);
+  });
+
+  it('keeps rows of concurrent request when aggregate batch rolls back', async () => {
+    // entry failing at insert rolls back whole batch of aggregates, after a number of statements ran in transaction
+    await query(`create temp trigger fail_entry before insert on trn_accounting when new.guid = 'a-fail' begin select raise(abort, 'entry rejected'); end`).expect(200);
+    const lstAggregate = Array.from({ length: 50 }, (_, i) => ({ ...voucherRow(`vr${i}`, `R${i}`), accounting_entries: [{ guid: i == 49 ? 'a-fail' : `ar${i}`, ledger: 'Cash', amount: 100 }] }));
+    try {
+      const [resAggregate, resLedger] = await Promise.all([
+        bulkSync('vouchers', lstAggregate, { mode: 'aggregate' }),
+        bulkSync('ledgers', [{ guid: 'l-concurrent', name: 'Concurrent Ledger', company_id: companyId, division_id: divisionId }])
+      ]);
+      assert.equal(resAggregate.body.data.failed, 50);
+      assert.equal(resLedger.body.data.processed, 1);
+    } finally {
+      await query('drop trigger fail_entry').expect(200);
+    }
+
+    const res = await query(`select (select count(*) from trn_voucher where guid like 'vr%') as vouchers, (select count(*) from mst_ledger where guid = 'l-concurrent') as ledgers`).expect(200);
+    assert.deepEqual(res.body.data, [{ vouchers: 0, ledgers: 1 }]);
+    await query('delete from mst_ledger where guid = ?', ['l-concurrent']).expect(200);
+  });
+
+  it('deletes records by guid along with their entries', async () => {
+    let res = await api().get(`/api/v1/guids/${companyId}/${divisionId}/vouchers`).expect(200);
+    assert.deepEqual(res.body.data.guids.sort(), ['v1', 'v3', 'v4', 'v5', 'v7']);
+    await api().get(`/api/v1/guids/${companyId}/${divisionId}/payroll`).expect(400);
+
+    // vouchers of period only, as exported by Tally for period of sync client
+    res = await api().get(`/api/v1/guids/${companyId}/${divisionId}/vouchers?from_date=2024-04-19&to_date=20240430`).expect(200);
+    assert.deepEqual(res.body.data.guids.sort(), ['v5']);
+    await api().get(`/api/v1/guids/${companyId}/${divisionId}/vouchers?from_date=2024-02-30`).expect(400);
+    await api().get(`/api/v1/guids/${companyId}/${divisionId}/ledgers?from_date=2024-04-01`).expect(400);
+
+    await bulkSync('trn_bill', [{ guid: 'v4', name: 'INV-4', amount: 4720, company_id: companyId, division_id: divisionId }]).expect(200);
+    res = await api().post(`/api/v1/delete-records/${companyId}/${divisionId}`).send({ table: 'vouchers', guids: ['v4', 'v7', 'no-such-guid'] }).expect(200);
+    assert.deepEqual({ requested: res.body.data.requested, deleted: res.body.data.deleted }, { requested: 3, deleted: 2 });
+    assert.deepEqual([res.body.data.cascaded.trn_accounting, res.body.data.cascaded.trn_inventory, res.body.data.cascaded.trn_bill, res.body.data.cascaded.trn_batch], [2, 0, 1, 0]);
+
+    res = await api().get(`/api/v1/guids/${companyId}/${divisionId}/vouchers`).expect(200);
+    assert.deepEqual(res.body.data.guids.sort(), ['v1', 'v3', 'v5']);
+    res = await query('select count(*) as c from trn_accounting where voucher_guid = ?', ['v7']).expect(200);
+    assert.equal(res.body.data[0].c, 0);
+
+    // rows of other division are left untouched
+    res = await api().post(`/api/v1/delete-records/${companyId}/${divisionId}`).send({ table: 'ledgers', guids: ['l1'] }).expect(200);
+    assert.equal(res.body.data.deleted, 0);
+    await api().post(`/api/v1/delete-records/${companyId}/${divisionId}`).send({ table: 'vouchers' }).expect(400);
+  });
+
+  describe('sync queue', () => {
+    const queueUrl = `/api/v1/sync-queue/${companyId}/${divisionId}`;
+    const voucher = { date: '2025-03-05', voucher_type: 'Receipt', accounting: [{ ledger: 'Cash', amount: -100 }, { ledger: 'Mehta & Sons', amount: 100 }] };
+
+    function enqueue(body) {
+      return api().post(queueUrl).send({ operation: 'create_voucher', payload: voucher, ...body });
+    }
+
+    function lease(clientId, body = {}) {
+      return api().post(`${queueUrl}/lease`).send({ client_id: clientId, ...body });
+    }
+
+    it('enqueues valid operations only', async () => {
+      await enqueue({ operation: 'drop_company' }).expect(400);
+      await enqueue({ payload: 'voucher' }).expect(400);
+
+      const res = await enqueue({ sync_id: 'web-1' }).expect(201);
+      assert.equal(res.body.data.status, 'pending');
+      assert.equal(res.body.data.attempts, 0);
+      assert.deepEqual(res.body.data.payload, voucher);
+    });
+
+    it('queues same sync_id only once', async () => {
+      const resFirst = await api().get(queueUrl).expect(200);
+      const res = await enqueue({ sync_id: 'web-1' }).expect(200);
+      assert.equal(res.body.duplicate, true);
+      assert.equal(res.body.data.id, resFirst.body.data.items[0].id);
+    });
+
+    it('leases each item to only one client', async () => {
+      await enqueue({ sync_id: 'web-2' }).expect(201);
+      await enqueue({ sync_id: 'web-3' }).expect(201);
+      await lease('').expect(400);
+
+      const [resA, resB] = await Promise.all([lease('client-a', { limit: 2 }), lease('client-b', { limit: 2 })]);
+      const lstA = resA.body.data.items.map(p => p.sync_id);
+      const lstB = resB.body.data.items.map(p => p.sync_id);
+      assert.equal(lstA.length + lstB.length, 3);
+      assert.deepEqual([...lstA, ...lstB].sort(), ['web-1', 'web-2', 'web-3']);
+      assert.ok(resA.body.data.items.every(p => p.status == 'sent' && p.leased_by == 'client-a' && p.lease_id == resA.body.data.lease_id && p.attempts == 1));
+
+      const resNone = await lease('client-c').expect(200);
+      assert.deepEqual(resNone.body.data.items, []);
+    });
+
+    it('acknowledges item only with its lease', async () => {
+      const res = await api().get(`${queueUrl}?status=sent`).expect(200);
+      const item = res.body.data.items.find(p => p.sync_id == 'web-1');
+
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: 'not-my-lease' }).expect(409);
+      await api().post(`${queueUrl}/999999/ack`).send({ lease_id: item.lease_id }).expect(404);
+
+      const resAck = await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id, result: { guid: 'g-1', voucher_number: '7' } }).expect(200);
+      assert.equal(resAck.body.data.status, 'confirmed');
+      assert.deepEqual(resAck.body.data.result, { guid: 'g-1', voucher_number: '7' });
+
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id }).expect(409);
+    });
+
+    it('offers item again once lease expires', async () => {
+      const res = await api().get(`${queueUrl}?status=sent`).expect(200);
+      const item = res.body.data.items.find(p => p.sync_id == 'web-2');
+      await api().post('/api/v1/execute-sql').send({ sql: 'update sync_queue set lease_expires_at = ? where id = ?', params: ['2000-01-01T00:00:00.000Z', item.id] }).expect(200);
+
+      const resLease = await lease('client-c').expect(200);
+      assert.deepEqual(resLease.body.data.items.map(p => [p.id, p.attempts, p.leased_by]), [[item.id, 2, 'client-c']]);
+
+      // client which lost the lease can no longer acknowledge
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id }).expect(409);
+    });
+
+    it('retries failed item until attempts are exhausted', async () => {
+      let res = await api().get(`${queueUrl}?status=sent`).expect(200);
+      let item = res.body.data.items.find(p => p.sync_id == 'web-3');
+
+      res = await api().post(`${queueUrl}/${item.id}/fail`).send({ lease_id: item.lease_id, error: 'Tally is not running' }).expect(200);
+      assert.equal(res.body.data.status, 'pending');
+      assert.equal(res.body.data.error_message, 'Tally is not running');
+
+      res = await lease('client-a').expect(200);
+      item = res.body.data.items.find(p => p.sync_id == 'web-3');
+      assert.equal(item.attempts, 2);
+      res = await api().post(`${queueUrl}/${item.id}/fail`).send({ lease_id: item.lease_id, error: 'Tally is not running' }).expect(200);
+      assert.equal(res.body.data.status, 'failed');
+    });
+
+    it('dead-letters item rejected by Tally', async () => {
+      await enqueue({ sync_id: 'web-4' }).expect(201);
+      let res = await lease('client-a').expect(200);
+      const item = res.body.data.items[0];
+
+      res = await api().post(`${queueUrl}/${item.id}/dead-letter`).send({ lease_id: item.lease_id, error: "Ledger 'Cash' does not exist!" }).expect(200);
+      assert.equal(res.body.data.status, 'failed');
+
+      res = await api().get(queueUrl).expect(200);
+      assert.deepEqual(res.body.data.counts, { pending: 0, sent: 1, confirmed: 1, failed: 2 });
+    });
+
+    it('queues cancel & delete of synced voucher only', async () => {
+      await bulkSync('voucher_types', [{ guid: 'vt1', name: 'Sales', numbering_method: 'Automatic', company_id: companyId, division_id: divisionId }]).expect(200);
+      await enqueue({ operation: 'delete_voucher', payload: { guid: 'no-such-guid' } }).expect(404);
+
+      const res = await enqueue({ operation: 'delete_voucher', payload: { guid: 'v1' }, sync_id: 'web-5' }).expect(201);
+      assert.deepEqual(res.body.data.payload, { guid: 'v1', date: '2024-04-18', voucher_type: 'Sales', voucher_number: '1', numbering_method: 'Automatic' });
+    });
+
+    it('marks voucher cancelled once confirmed', async () => {
+      let res = await lease('client-a').expect(200);
+      const item = res.body.data.items.find(p => p.sync_id == 'web-5');
+
+      // voucher stays as is until Tally confirms
+      res = await query('select is_cancelled from trn_voucher where guid = ?', ['v1']).expect(200);
+      assert.equal(res.body.data[0].is_cancelled, 0);
+
+      // deletion of automatic numbering voucher turned into cancellation by client
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id, result: { guid: 'v1', action: 'cancel' } }).expect(200);
+      res = await query('select is_cancelled, amount from trn_voucher where guid = ?', ['v1']).expect(200);
+      assert.deepEqual(res.body.data, [{ is_cancelled: 1, amount: 0 }]);
+      res = await query('select count(*) as c from trn_accounting where voucher_guid = ?', ['v1']).expect(200);
+      assert.equal(res.body.data[0].c, 0);
+    });
+
+    it('removes voucher deleted in Tally along with its entries', async () => {
+      await bulkSync('accounting_entries', [accountingRow('a5', 'v3', 'Mehta & Sons', -11800), accountingRow('a6', 'v3', 'Sales Account', 11800)]).expect(200);
+      await bulkSync('trn_bill', [{ guid: 'v3', ledger: 'Mehta & Sons', name: 'INV-3', amount: -11800, company_id: companyId, division_id: divisionId }]).expect(200);
+      await bulkSync('trn_cost_centre', [{ guid: 'v3', ledger: 'Sales Account', costcentre: 'Mumbai', amount: 11800, company_id: companyId, division_id: divisionId }]).expect(200);
+      await enqueue({ operation: 'delete_voucher', payload: { guid: 'v3' }, sync_id: 'web-6' }).expect(201);
+      let res = await lease('client-a').expect(200);
+      const item = res.body.data.items.find(p => p.sync_id == 'web-6');
+
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id, result: { guid: 'v3', action: 'delete' } }).expect(200);
+      res = await query('select count(*) as c from trn_voucher where guid = ?', ['v3']).expect(200);
+      assert.equal(res.body.data[0].c, 0);
+      res = await query('select count(*) as c from trn_accounting where voucher_guid = ?', ['v3']).expect(200);
+      assert.equal(res.body.data[0].c, 0);
+      res = await query(`select (select count(*) from trn_bill where guid = 'v3') + (select count(*) from trn_cost_centre where guid = 'v3') as c`).expect(200);
+      assert.equal(res.body.data[0].c, 0);
+    });
+
+    it('leaves item leased when voucher cannot be removed', async () => {
+      await bulkSync('vouchers', [voucherRow('v9', '9')]).expect(200);
+      let res = await enqueue({ operation: 'delete_voucher', payload: { guid: 'v9' }, sync_id: 'web-8' }).expect(201);
+      res = await lease('client-a').expect(200);
+      const item = res.body.data.items.find(p => p.sync_id == 'web-8');
+
+      await query(`create trigger fail_voucher_delete before delete on trn_voucher begin select raise(abort, 'voucher is locked'); end`).expect(200);
+      try {
+        await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id, result: { guid: 'v9', action: 'delete' } }).expect(500);
+      } finally {
+        await query('drop trigger fail_voucher_delete').expect(200);
+      }
+      res = await api().get(`${queueUrl}?status=sent`).expect(200);
+      assert.ok(res.body.data.items.some(p => p.id == item.id));
+
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id, result: { guid: 'v9', action: 'delete' } }).expect(200);
+      res = await query('select count(*) as c from trn_voucher where guid = ?', ['v9']).expect(200);
+      assert.equal(res.body.data[0].c, 0);
+    });
+
+    it('leases for visibility timeout within limit only', async () => {
+      await enqueue({ sync_id: 'web-7' }).expect(201);
+      for (const visibilityTimeout of [0, -60, 1.5, '30s', 'abc', null])
+        await lease('client-a', { visibility_timeout: visibilityTimeout }).expect(400);
+
+      const timestampBefore = Date.now();
+      const res = await lease('client-a', { visibility_timeout: 86400 }).expect(200);
+      const [item] = res.body.data.items;
+      assert.equal(item.sync_id, 'web-7');
+      const leaseSeconds = (Date.parse(res.body.data.lease_expires_at) - timestampBefore) / 1000;
+      assert.ok(leaseSeconds >= 3600 && leaseSeconds < 3660, `lease of ${leaseSeconds} seconds`);
+      await api().post(`${queueUrl}/${item.id}/ack`).send({ lease_id: item.lease_id }).expect(200);
+    });
+  });
+
+  describe('authentication', () => {
+    const otherCompanyId = '44444444-4444-4444-4444-444444444444';
+    const metadataUrl = `/api/v1/metadata/${companyId}/${divisionId}`;
+
+    function issueKey(body) {
+      return api().post('/api/v1/api-keys').send({ company_id: companyId, name: 'Windows client', ...body });
+    }
+
+    it('requires credentials except for health check', async () => {
+      await api({}).get('/api/v1/health').expect(200);
+      let res = await api({}).get(metadataUrl).expect(401);
+      assert.equal(res.body.error, 'Authentication required');
+      res = await api({ 'X-API-Key': 'tsk_no-such-key' }).get(metadataUrl).expect(401);
+      assert.match(res.body.error, /Invalid, expired or revoked API key/);
+    });
+
+    it('scopes API key to its company & division', async () => {
+      let res = await issueKey({ division_id: divisionId }).expect(201);
+      const { key, id } = res.body.data;
+      assert.match(key, /^tsk_/);
+      assert.equal(res.body.data.key_hash, undefined);
+      const client = () => api({ 'X-API-Key': key });
+
+      await client().get(metadataUrl).expect(200);
+      res = await client().post(`/api/v1/bulk-sync/${companyId}/${divisionId}`).send({ table: 'godowns', data: [
+        { guid: 'gd1', name: 'Main Location' },
+        { guid: 'gd2', name: 'Other Company', company_id: otherCompanyId }
+      ] }).expect(200);
+      assert.deepEqual(res.body.data.errors, [{ index: 1, guid: 'gd2', error: 'Record belongs to another company or division' }]);
+
+      await client().get(`/api/v1/metadata/${companyId}/${otherDivisionId}`).expect(403);
+      await client().get(`/api/v1/guids/${otherCompanyId}/${divisionId}/godowns`).expect(403);
+      await client().post(`/api/v1/query/${companyId}/${divisionId}`).send({ table: 'godowns', columns: ['guid'] }).expect(200);
+      await client().post(`/api/v1/query/${otherCompanyId}/${divisionId}`).send({ table: 'godowns' }).expect(403);
+      await client().get('/api/v1/sql-audit').expect(403);
+      await client().post('/api/v1/execute-sql').send({ sql: 'delete from mst_ledger' }).expect(403);
+      await client().post('/api/v1/api-keys').send({ company_id: otherCompanyId }).expect(403);
+
+      res = await api().get(`/api/v1/api-keys?company_id=${companyId}`).expect(200);
+      assert.ok(res.body.data.find(p => p.id === id).last_used_at);
+    });
+
+    it('rotates and revokes API key', async () => {
+      let res = await issueKey({}).expect(201);
+      const { key, id } = res.body.data;
+      // key without division is valid for every division of company
+      await api({ 'X-API-Key': key }).get(`/api/v1/metadata/${companyId}/${otherDivisionId}`).expect(200);
+
+      res = await api().post(`/api/v1/api-keys/${id}/rotate`).send({ grace_seconds: 60 }).expect(200);
+      const rotated = res.body.data;
+      assert.equal(rotated.company_id, companyId);
+      await api({ 'X-API-Key': key }).get(metadataUrl).expect(200); // within grace period
+      await api({ 'X-API-Key': rotated.key }).get(metadataUrl).expect(200);
+
+      res = await api().post(`/api/v1/api-keys/${rotated.id}/rotate`).send({}).expect(200);
+      await api({ 'X-API-Key': rotated.key }).get(metadataUrl).expect(401);
+
+      await api().delete(`/api/v1/api-keys/${res.body.data.id}`).expect(200);
+      await api({ 'X-API-Key': res.body.data.key }).get(metadataUrl).expect(401);
+      await api().delete(`/api/v1/api-keys/${res.body.data.id}`).expect(404);
+      await api().post(`/api/v1/api-keys/${rotated.id}/rotate`).expect(404);
+      await api().post('/api/v1/api-keys').send({ name: 'no company' }).expect(400);
+    });
+
+    it('accepts JWT of web app scoped by its claims', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const bearer = (payload, secret = jwtSecret) => ({ Authorization: `Bearer ${signJWT({ exp: now + 300, ...payload }, secret)}` });
+
+      await api(bearer({ sub: 'user-1', company_id: companyId })).get(`/api/v1/metadata/${companyId}/${otherDivisionId}`).expect(200);
+      await api(bearer({ sub: 'user-1', company_id: companyId, division_id: divisionId })).get(`/api/v1/metadata/${companyId}/${otherDivisionId}`).expect(403);
+      await api(bearer({ sub: 'user-2', company_id: otherCompanyId })).get(metadataUrl).expect(403);
+      await api(bearer({ sub: 'user-1', company_id: companyId })).post('/api/v1/execute-sql').send({ sql: 'select 1' }).expect(403);
+      await api(bearer({ sub: 'ops', role: 'admin' })).post('/api/v1/execute-sql').send({ sql: 'select 1 as one' }).expect(200);
+      const res0 = await api().get('/api/v1/sql-audit?limit=1').expect(200);
+      assert.equal(res0.body.data[0].principal, 'jwt:ops');
+
+      let res = await api(bearer({ company_id: companyId }, 'wrong-secret')).get(metadataUrl).expect(401);
+      assert.equal(res.body.error, 'Invalid token signature');
+      res = await api(bearer({ company_id: companyId, exp: now - 10 })).get(metadataUrl).expect(401);
+      assert.equal(res.body.error, 'Token expired');
+      const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${Buffer.from(JSON.stringify({ role: 'admin' })).toString('base64url')}.`;
+      await api({ Authorization: `Bearer ${unsigned}` }).post('/api/v1/execute-sql').send({ sql: 'select 1' }).expect(401);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests of Railway server schema built from export definition YAML
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { createServerSchema } from '../server-schema.js';
+
+describe('server-schema', () => {
+  const schema = createServerSchema(new URL('../tally-export-config.yaml', import.meta.url));
+
+  it('builds tables of definition with server columns', () => {
+    const voucher = schema.getTable('trn_voucher');
+    assert.deepEqual(voucher.columns.slice(0, 3), [
+      { name: 'guid', type: 'text', definition: 'TEXT NOT NULL' },
+      { name: 'date', type: 'date', definition: 'TEXT' },
+      { name: 'voucher_type', type: 'text', definition: `TEXT DEFAULT ''` }
+    ]);
+    assert.deepEqual(voucher.columns.slice(-6).map(p => p.name), ['alterid', 'is_cancelled', 'company_id', 'division_id', 'sync_timestamp', 'source']);
+    assert.match(schema.getCreateTableSQL(voucher), /, PRIMARY KEY \(company_id, division_id, guid\)\)$/);
+
+    const bill = schema.getTable('trn_bill');
+    assert.equal(bill.isKeyed, false);
+    assert.deepEqual(bill.primaryKey, []);
+    assert.equal(bill.columns.find(p => p.name === 'amount').definition, 'REAL DEFAULT 0');
+    assert.ok(!bill.columns.some(p => p.name === 'alterid'));
+    assert.ok(schema.getIndexSQL(bill).some(p => p.includes('idx_trn_bill_guid')));
+    assert.ok(schema.getPrimaryTables().includes('mst_payhead'));
+
+    // entries are keyed by their own guid and refer voucher by voucher_guid, other child tables carry guid of voucher
+    const lstChild = schema.getChildTables('trn_voucher');
+    assert.deepEqual(lstChild.slice(0, 2), [{ table: 'trn_accounting', field: 'voucher_guid' }, { table: 'trn_inventory', field: 'voucher_guid' }]);
+    assert.ok(['trn_bill', 'trn_batch', 'trn_bank', 'trn_cost_centre'].every(p => lstChild.some(q => q.table == p && q.field == 'guid')));
+    assert.deepEqual(schema.getChildTables('trn_bill'), []);
+  });
+
+  it('resolves API names and names of definition', () => {
+    assert.equal(schema.resolveTable('vouchers'), 'trn_voucher');
+    assert.equal(schema.resolveTable('stock_groups'), 'mst_stock_group');
+    assert.equal(schema.resolveTable('trn_batch'), 'trn_batch');
+    assert.equal(schema.resolveTable('payroll'), undefined);
+    assert.equal(schema.resolveTable('constructor'), undefined);
+  });
+
+  it('coerces values of record by field type', () => {
+    assert.deepEqual(schema.prepareRow('trn_voucher', { guid: 'v1', alterid: '7', date: '2024-04-18T00:00:00.000Z', amount: '-1,200.25', is_invoice: 'No', voucher_number: 12, narration: null }, { company_id: 'c' }).row,
+      { company_id: 'c', guid: 'v1', alterid: 7, date: '2024-04-18', amount: -1200.25, is_invoice: 0, voucher_number: '12', narration: null });
+    assert.equal(schema.prepareRow('trn_voucher', { guid: 'v1', date: '1-Apr-24' }).row.date, '2024-04-01');
+    assert.equal(schema.prepareRow('trn_voucher', { guid: 'v1', date: '' }).row.date, null);
+    assert.equal(schema.prepareRow('trn_voucher', { guid: 'v1', is_invoice: 'maybe' }).error, 'Invalid logical for column is_invoice: "maybe"');
+    assert.equal(schema.prepareRow('trn_voucher', { guid: 'v1', narration: { text: 'x' } }).error, 'Invalid text for column narration: {"text":"x"}');
+    assert.equal(schema.prepareRow('trn_bill', { name: 'INV-1' }).error, undefined); // derived table has no key
+  });
+
+  describe('migration of existing table', () => {
+    let db;
+    const run = (sql) => new Promise((resolve, reject) => db.run(sql, (err) => err ? reject(err) : resolve()));
+    const all = (sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+
+    before(() => { db = new sqlite3.Database(':memory:'); });
+    after(() => new Promise((resolve) => db.close(() => resolve())));
+
+    it('adds columns missing in table of earlier release', async () => {
+      await run(`CREATE TABLE mst_godown (guid TEXT PRIMARY KEY, name TEXT NOT NULL DEFAULT '', company_id TEXT NOT NULL, division_id TEXT NOT NULL)`);
+      await run(`INSERT INTO mst_godown (guid, name, company_id, division_id) VALUES ('g1', 'Main Location', 'c', 'd')`);
+
+      const table = schema.getTable('mst_godown');
+      const columns = (await all('PRAGMA table_info(mst_godown)')).map(p => p.name);
+      for (const column of table.columns.filter(p => !columns.includes(p.name)))
+        await run(schema.getAddColumnSQL(table, column));
+
+      assert.deepEqual((await all('PRAGMA table_info(mst_godown)')).map(p => p.name).sort(), table.columns.map(p => p.name).sort());
+      assert.deepEqual(await all('SELECT guid, parent, alterid, source FROM mst_godown'), [{ guid: 'g1', parent: '', alterid: 0, source: 'tally' }]);
+    });
+
+    it('re-creates table keyed by guid alone with key of company & division', async () => {
+      const table = schema.getTable('mst_godown');
+      for (const sql of schema.getRebuildTableSQL(table, (await all('PRAGMA table_info(mst_godown)')).map(p => p.name)))
+        await run(sql);
+
+      const columns = await all('PRAGMA table_info(mst_godown)');
+      assert.deepEqual(columns.filter(p => p.pk > 0).sort((a, b) => a.pk - b.pk).map(p => p.name), ['company_id', 'division_id', 'guid']);
+      assert.deepEqual(await all('SELECT guid, name, company_id, division_id FROM mst_godown'), [{ guid: 'g1', name: 'Main Location', company_id: 'c', division_id: 'd' }]);
+
+      // same GUID is stored for another company instead of replacing row of first one
+      await run(`INSERT OR REPLACE INTO mst_godown (guid, name, company_id, division_id) VALUES ('g1', 'Godown of Other Company', 'c2', 'd')`);
+      assert.deepEqual((await all('SELECT company_id FROM mst_godown ORDER BY company_id')).map(p => p.company_id), ['c', 'c2']);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests of voucher write-back into Tally against mock Tally XML server
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockTallyServer } from '../mock-tally-server.js';
+import { createTallyWriter, TallyImportError } from '../tally-writer.js';
+
+const companyName = 'Demo Trading Co';
+
+describe('tally-writer', () => {
+  let mock;
+  let company;
+  let writer;
+
+  before(async () => {
+    mock = createMockTallyServer({ activeCompany: companyName });
+    const port = await mock.listen(0);
+    company = mock.getCompany(companyName);
+    writer = createTallyWriter({ server: '127.0.0.1', port, company: companyName });
+  });
+
+  after(() => mock.close());
+
+  it('creates accounting voucher and returns GUID & automatic voucher number', async () => {
+    const countReceipt = company.tables.trn_voucher.filter(p => p.voucher_type == 'Receipt').length;
+    const created = await writer.createVoucher({
+      date: '2025-03-05', voucher_type: 'Receipt', narration: 'Part payment <cheque>', party_name: 'Mehta & Sons',
+      accounting: [
+        { ledger: 'HDFC Bank', amount: -10000 },
+        { ledger: 'Mehta & Sons', amount: 10000, bills: [{ name: '1', billtype: 'Agst Ref' }] }
+      ]
+    });
+
+    assert.equal(created.voucher_number, String(countReceipt + 1));
+    assert.match(created.guid, new RegExp(`^${company.company.guid}-[0-9a-f]{8}$`));
+    assert.equal(created.result.created, 1);
+
+    const voucher = company.tables.trn_voucher.find(p => p.guid == created.guid);
+    assert.equal(voucher.narration, 'Part payment <cheque>');
+    assert.equal(voucher.party_name, 'Mehta & Sons');
+    assert.deepEqual(company.tables.trn_accounting.filter(p => p.guid == created.guid).map(p => [p.ledger, p.amount]), [['HDFC Bank', -10000], ['Mehta & Sons', 10000]]);
+    assert.deepEqual(company.tables.trn_bill.filter(p => p.guid == created.guid).map(p => [p.name, p.billtype, p.amount]), [['1', 'Agst Ref', 10000]]);
+  });
+
+  it('creates sales invoice with inventory allocated to sales ledger', async () => {
+    const item = company.tables.mst_stock_item[0];
+    const godown = company.tables.mst_godown[0];
+    const created = await writer.createVoucher({
+      date: '2025-03-10', voucher_type: 'Sales', voucher_number: 'SO/101', party_name: 'Mehta & Sons', is_invoice: 1,
+      accounting: [
+        { ledger: 'Mehta & Sons', amount: -1180, bills: [{ name: 'SO/101', billtype: 'New Ref', bill_credit_period: 30 }] },
+        { ledger: 'Sales', amount: 1000 },
+        { ledger: 'IGST', amount: 180 }
+      ],
+      inventory: [{ item: item.name, quantity: -10, uom: item.uom, rate: 100, amount: 1000, godown: godown.name, ledger: 'Sales' }]
+    });
+    assert.equal(created.voucher_number, 'SO/101');
+
+    assert.deepEqual(company.tables.trn_accounting.filter(p => p.guid == created.guid).map(p => [p.ledger, p.amount]).sort(), [['IGST', 180], ['Mehta & Sons', -1180], ['Sales', 1000]]);
+    assert.deepEqual(company.tables.trn_inventory.filter(p => p.guid == created.guid).map(p => [p.item, p.quantity, p.amount, p.godown]), [[item.name, -10, 1000, godown.name]]);
+    assert.deepEqual(company.tables.trn_bill.filter(p => p.guid == created.guid).map(p => [p.name, p.bill_credit_period]), [['SO/101', 30]]);
+  });
+
+  it('builds import envelope with escaped values and Tally sign convention', () => {
+    const xml = writer.buildVoucherXML({
+      date: '2025-03-05', voucher_type: 'Payment', voucher_number: 'P&1', accounting: [{ ledger: 'Rent', amount: -500 }, { ledger: 'Cash', amount: 500 }]
+    });
+    assert.match(xml, /<TALLYREQUEST>Import<\/TALLYREQUEST>/);
+    assert.match(xml, /<SVCURRENTCOMPANY>Demo Trading Co<\/SVCURRENTCOMPANY>/);
+    assert.match(xml, /<DATE>20250305<\/DATE>/);
+    assert.match(xml, /<VOUCHERNUMBER>P&amp;1<\/VOUCHERNUMBER>/);
+    assert.match(xml, /<ALLLEDGERENTRIES.LIST><LEDGERNAME>Rent<\/LEDGERNAME><ISDEEMEDPOSITIVE>Yes<\/ISDEEMEDPOSITIVE><ISPARTYLEDGER>No<\/ISPARTYLEDGER><AMOUNT>-500<\/AMOUNT>/);
+  });
+
+  it('parses errors reported by Tally', () => {
+    const result = writer.parseImportResponse('<RESPONSE><LINEERROR>Voucher totals do not match!</LINEERROR><CREATED>0</CREATED><ALTERED>0</ALTERED><LASTVCHID>0</LASTVCHID><ERRORS>1</ERRORS><EXCEPTIONS>0</EXCEPTIONS></RESPONSE>');
+    assert.equal(result.created, 0);
+    assert.equal(result.errors, 1);
+    assert.deepEqual(result.lineErrors, ['Voucher totals do not match!']);
+  });
+
+  it('rejects voucher refused by Tally without creating it', async () => {
+    const countBefore = company.tables.trn_voucher.length;
+    await assert.rejects(
+      writer.createVoucher({ date: '2025-03-05', voucher_type: 'Payment', accounting: [{ ledger: 'Unknown Vendor', amount: -500 }, { ledger: 'Cash', amount: 500 }] }),
+      (err) => err instanceof TallyImportError && /Ledger 'Unknown Vendor' does not exist/.test(err.message) && err.result.errors == 1
+    );
+    await assert.rejects(
+      writer.createVoucher({ date: '2025-03-05', voucher_type: 'Payment', accounting: [{ ledger: 'Rent', amount: -500 }, { ledger: 'Cash', amount: 400 }] }),
+      /Voucher totals do not match/
+    );
+    assert.equal(company.tables.trn_voucher.length, countBefore);
+  });
+
+  it('validates voucher before posting', async () => {
+    const countRequests = mock.requests.length;
+    await assert.rejects(writer.createVoucher({ voucher_type: 'Payment', accounting: [] }), /missing date/);
+    await assert.rejects(writer.createVoucher({ date: '05-03-2025', voucher_type: 'Payment', accounting: [{ ledger: 'Cash', amount: 1 }] }), /Invalid voucher date/);
+    await assert.rejects(writer.createVoucher({ date: '2025-03-05', voucher_type: 'Payment' }), /neither accounting nor inventory/);
+    assert.equal(mock.requests.length, countRequests);
+  });
+
+  describe('masters', () => {
+    function getCatalog() {
+      const retval = {};
+      for (const tableName of ['mst_group', 'mst_stock_group', 'mst_uom', 'mst_godown', 'mst_ledger', 'mst_stock_item'])
+        retval[tableName] = company.tables[tableName].map(p => p.name);
+      return retval;
+    }
+
+    it('creates ledger under synced group and returns its GUID', async () => {
+      const [result] = await writer.writeMasters('mst_ledger', [{
+        name: 'Kapoor Traders', parent: 'Sundry Debtors', mailing_address: '12, MG Road\nAhmedabad', mailing_state: 'Gujarat',
+        gstn: '24AAKCK1234L1Z5', it_pan: 'AAKCK1234L', bill_credit_period: 30, opening_balance: -2500
+      }], getCatalog());
+
+      assert.deepEqual({ action: result.action, success: result.success, error: result.error }, { action: 'create', success: true, error: undefined });
+      const ledger = company.tables.mst_ledger.find(p => p.name == 'Kapoor Traders');
+      assert.equal(result.guid, ledger.guid);
+      assert.deepEqual([ledger.parent, ledger.mailing_address, ledger.gstn, ledger.bill_credit_period, ledger.opening_balance], ['Sundry Debtors', '12, MG Road\nAhmedabad', '24AAKCK1234L1Z5', 30, -2500]);
+    });
+
+    it('alters existing ledger, renaming it via original_name', async () => {
+      const ledger = company.tables.mst_ledger.find(p => p.name == 'Gupta Suppliers');
+      const alterIdBefore = ledger.alterid;
+      const [result] = await writer.writeMasters('mst_ledger', [{ original_name: 'Gupta Suppliers', name: 'Gupta Suppliers LLP', parent: 'Sundry Creditors', email: 'accounts@gupta.example' }], getCatalog());
+
+      assert.equal(result.action, 'alter');
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.guid, ledger.guid);
+      assert.equal(ledger.name, 'Gupta Suppliers LLP');
+      assert.equal(ledger.email, 'accounts@gupta.example');
+      assert.ok(ledger.alterid > alterIdBefore);
+    });
+
+    it('reports result of every record, validating against synced data before posting', async () => {
+      const countRequests = mock.requests.length;
+      const lstResult = await writer.writeMasters('mst_ledger', [
+        { name: 'Bad Parent', parent: 'No Such Group' },
+        { name: 'Bad GSTIN', parent: 'Sundry Debtors', gstn: '24ABC' },
+        { parent: 'Sundry Debtors' }
+      ], getCatalog());
+
+      assert.deepEqual(lstResult.map(p => p.success), [false, false, false]);
+      assert.match(lstResult[0].error, /Group 'No Such Group' not found/);
+      assert.match(lstResult[1].error, /Invalid GSTIN/);
+      assert.match(lstResult[2].error, /name is required/);
+      assert.equal(mock.requests.length, countRequests);
+    });
+
+    it('reports error line of Tally for rejected record and continues with next', async () => {
+      // catalog is stale: ledger exists in Tally, but not yet synced
+      const catalog = getCatalog();
+      catalog.mst_ledger = catalog.mst_ledger.filter(p => p != 'Cash');
+      const lstResult = await writer.writeMasters('mst_ledger', [
+        { name: 'Cash', parent: 'Cash-in-Hand' },
+        { name: 'Petty Cash', parent: 'Cash-in-Hand' }
+      ], catalog);
+
+      assert.deepEqual(lstResult.map(p => [p.name, p.success]), [['Cash', false], ['Petty Cash', true]]);
+      assert.match(lstResult[0].error, /Ledger 'Cash' already exists/);
+    });
+
+    it('creates stock item with GST details and godown under parent created in same batch', async () => {
+      const [resultItem] = await writer.writeMasters('mst_stock_item', [{
+        name: 'LED Tube 20W', parent: 'Electricals', uom: 'Nos', part_number: 'LT-20W', gst_hsn_code: '8539', gst_rate: 12, gst_taxability: 'Taxable', opening_balance: 50, opening_rate: 150, opening_value: -7500
+      }], getCatalog());
+      assert.equal(resultItem.success, true, resultItem.error);
+      const item = company.tables.mst_stock_item.find(p => p.guid == resultItem.guid);
+      assert.deepEqual([item.name, item.uom, item.part_number, item.gst_hsn_code, item.gst_rate, item.opening_balance, item.opening_value], ['LED Tube 20W', 'Nos', 'LT-20W', '8539', 12, 50, -7500]);
+
+      const lstResult = await writer.writeMasters('mst_godown', [{ name: 'Surat Depot' }, { name: 'Surat Depot - Rack A', parent: 'Surat Depot' }], getCatalog());
+      assert.deepEqual(lstResult.map(p => p.success), [true, true]);
+      assert.equal(company.tables.mst_godown.find(p => p.guid == lstResult[1].guid).parent, 'Surat Depot');
+    });
+
+    it('validates unit & GST fields of stock item', async () => {
+      const lstResult = await writer.writeMasters('mst_stock_item', [
+        { name: 'Switch', uom: 'Box' },
+        { name: 'Switch', uom: 'Nos', gst_rate: 128, gst_hsn_code: '85A' }
+      ], getCatalog());
+      assert.match(lstResult[0].error, /Unit 'Box' not found/);
+      assert.match(lstResult[1].error, /Invalid GST rate.*Invalid HSN/);
+      await assert.rejects(writer.writeMasters('mst_group', [{ name: 'Branches' }]), /not supported/);
+    });
+
+    it('builds master envelope with GST rate split into duty heads', () => {
+      const xml = writer.buildMasterXML('mst_stock_item', { name: 'Fan & Light', uom: 'Nos', gst_hsn_code: '8414', gst_rate: 18 });
+      assert.match(xml, /<STOCKITEM NAME="Fan &amp; Light" ACTION="Create">/);
+      assert.match(xml, /<GSTAPPLICABLE>&#4; Applicable<\/GSTAPPLICABLE>/);
+      assert.match(xml, /<GSTRATEDUTYHEAD>CGST<\/GSTRATEDUTYHEAD><GSTRATEVALUATIONTYPE>Based on Value<\/GSTRATEVALUATIONTYPE><GSTRATE>9<\/GSTRATE>/);
+      assert.match(xml, /<GSTRATEDUTYHEAD>IGST<\/GSTRATEDUTYHEAD><GSTRATEVALUATIONTYPE>Based on Value<\/GSTRATEVALUATIONTYPE><GSTRATE>18<\/GSTRATE>/);
+    });
+  });
+
+  describe('cancel & delete', () => {
+    const getVoucher = (voucherType) => company.tables.trn_voucher.find(p => p.voucher_type == voucherType && !p.is_cancelled);
+
+    it('deletes voucher of manual numbering along with its entries', async () => {
+      const voucher = getVoucher('Purchase');
+      const removed = await writer.deleteVoucher({ ...voucher, numbering_method: 'Manual' });
+
+      assert.deepEqual({ guid: removed.guid, action: removed.action, deleted: removed.result.deleted }, { guid: voucher.guid, action: 'delete', deleted: 1 });
+      assert.equal(company.tables.trn_voucher.some(p => p.guid == voucher.guid), false);
+      assert.equal(company.tables.trn_accounting.some(p => p.guid == voucher.guid), false);
+    });
+
+    it('cancels voucher of automatic numbering instead of deleting it', async () => {
+      const voucher = getVoucher('Sales');
+      const alterid = voucher.alterid;
+      const removed = await writer.deleteVoucher({ guid: voucher.guid, date: voucher.date, voucher_type: voucher.voucher_type, numbering_method: 'Automatic', narration: 'Order withdrawn' });
+
+      assert.deepEqual({ action: removed.action, cancelled: removed.result.cancelled }, { action: 'cancel', cancelled: 1 });
+      assert.equal(voucher.is_cancelled, 1);
+      assert.equal(voucher.narration, 'Order withdrawn');
+      assert.ok(voucher.alterid > alterid);
+      assert.equal(company.tables.trn_accounting.some(p => p.guid == voucher.guid), false);
+    });
+
+    it('reports voucher missing in Tally', async () => {
+      await assert.rejects(writer.cancelVoucher({ guid: 'no-such-guid', date: '2025-03-05', voucher_type: 'Receipt' }), (err) => err instanceof TallyImportError && /Voucher 'no-such-guid' does not exist!/.test(err.message));
+      await assert.rejects(writer.deleteVoucher({ guid: 'no-such-guid' }), /Voucher is missing date, voucher_type/);
+    });
+
+    it('builds envelope identifying voucher by GUID', () => {
+      const xml = writer.buildVoucherActionXML({ guid: 'abc-1', date: '2025-03-05', voucher_type: 'Sales & Returns', narration: 'Duplicate entry' }, 'Cancel');
+      assert.match(xml, /<VOUCHER DATE="20250305" TAGNAME="GUID" TAGVALUE="abc-1" VCHTYPE="Sales &amp; Returns" ACTION="Cancel"><NARRATION>Duplicate entry<\/NARRATION><\/VOUCHER>/);
+      assert.doesNotMatch(writer.buildVoucherActionXML({ guid: 'abc-1', date: '2025-03-05', voucher_type: 'Sales', narration: 'x' }, 'Delete'), /NARRATION/);
+    });
+  });
+
+  it('reports unreachable Tally', async () => {
+    const writerOffline = createTallyWriter({ server: '127.0.0.1', port: 1 });
+    await assert.rejects(writerOffline.createVoucher({ date: '2025-03-05', voucher_type: 'Payment', accounting: [{ ledger: 'Cash', amount: 0 }] }), /Unable to connect with Tally/);
+  });
+});
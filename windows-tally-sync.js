@@ -15,6 +15,10 @@ const yaml = require('js-yaml');
 const config = JSON.parse(fs.readFileSync('./windows-client-config.json', 'utf8'));
 const tallyExportConfig = yaml.load(fs.readFileSync('./tally-export-config.yaml', 'utf8'));
 
+// Every request to Railway server carries API key of company & division
+const railwayApiKey = process.env.RAILWAY_API_KEY || config.railway.api_key;
+if (railwayApiKey) axios.defaults.headers.common['X-API-Key'] = railwayApiKey;
+
 class WindowsTallySync {
   constructor() {
     this.config = config;